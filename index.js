@@ -9,6 +9,9 @@ const express = require('express');
 const line = require('@line/bot-sdk');
 
 const { handleMessage, handlePostback, handleJoin } = require('./lib/handler');
+const { startScheduleReminders } = require('./lib/scheduleReminder');
+const { startLeaderboardPosts } = require('./lib/leaderboard');
+const { renderCalendarFeed } = require('./lib/scheduleCalendar');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -38,6 +41,10 @@ const processedRetries = new Set();
 // 定期清理舊的 x-line-retry-key
 setInterval(() => processedRetries.clear(), 10 * 60 * 1000);
 
+// 間歇課表前一晚的推播提醒、週日晚上的里程排行 (伺服器行程內排程)
+startScheduleReminders(client);
+startLeaderboardPosts(client);
+
 // 手動讀取原始 body（Buffer），避免被平台或 express.json 先解析導致簽章驗證失敗
 function rawBodyMiddleware(req, res, next) {
   const existingBody = req.body;
@@ -120,6 +127,17 @@ app.get('/', (req, res) => {
   res.send('LINE 美食推薦機器人運行中');
 });
 
+// 課表行事曆訂閱 (token 由「stu 匯出行事曆」指令產生，每個聊天室各自一組)
+app.get('/calendar/:token.ics', (req, res) => {
+  const group = String(req.query.group || '').trim().toUpperCase();
+  const division = req.query.div ? String(req.query.div) : null;
+  const ics = group ? renderCalendarFeed(req.params.token, division, group) : null;
+  if (!ics) return res.status(404).send('Not Found');
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="schedule-${group}.ics"`);
+  res.send(ics);
+});
+
 function safeSend200(res) {
   try {
     if (!res.headersSent) res.status(200).end();
@@ -0,0 +1,166 @@
+/**
+ * 跑錶運動檔案模組
+ * 沒用 Strava 的跑友可以直接傳 Garmin / Coros 匯出的 GPX、TCX 或 FIT 檔：下載後在本地解析，
+ * 整理成與 Strava 頁面資料相同的格式 (scalars / streams / laps)，再交給 analyzeActivity() 走同一條教練分析流程
+ */
+const { formatDuration } = require('./pace');
+const { getTaipeiParts, toDateKey } = require('./taipeiTime');
+const { parseGpx, parseTcx } = require('./activityXml');
+const { parseFit } = require('./fitParser');
+const { analyzeActivity } = require('./stravaCompliance');
+const {
+    ACTIVITY_FILE_MAX_BYTES, ACTIVITY_PAUSE_GAP_SEC, ACTIVITY_MIN_MOVING_SPEED, ACTIVITY_ELEVATION_NOISE_M, ACTIVITY_MAX_LAP_LINES
+} = require('./constants');
+
+const FILE_PATTERN = /\.(gpx|tcx|fit)$/i;
+const PARSE_FAILED = '這個運動檔案教練讀不懂 🙈 請確認是跑錶匯出的 GPX、TCX 或 FIT 檔再傳一次！';
+
+function distanceMeters(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * FIT 的 session / lap / record 換成與 GPX / TCX 相同的結構
+ */
+function parseFitFile(buffer) {
+    const { sessions, laps, records } = parseFit(buffer);
+    const session = sessions[0] || {};
+    return {
+        name: null,
+        sport: session.sport === 1 ? 'running' : session.sport ?? null,
+        points: records.map(r => ({
+            time: r.timestamp, lat: r.lat ?? null, lng: r.lng ?? null, altitude: r.altitude ?? null,
+            distance: r.distance ?? null, heartRate: r.heartRate ?? null, cadence: r.cadence ?? null, power: r.power ?? null
+        })),
+        laps: laps.map(l => ({ distance: l.distance, movingTime: l.timerTime ?? l.elapsedTime })).filter(l => l.distance > 0 && l.movingTime > 0),
+        summary: { distance: session.distance, movingTime: session.timerTime, ascent: session.ascent }
+    };
+}
+
+const PARSERS = {
+    gpx: (buffer) => parseGpx(buffer.toString('utf8')),
+    tcx: (buffer) => parseTcx(buffer.toString('utf8')),
+    fit: parseFitFile
+};
+
+/**
+ * 依軌跡點累計距離、移動時間 (扣掉暫停與停下來的片段) 與爬升 (過濾高度雜訊)
+ */
+function summarizeTrack(points) {
+    const hasDistance = points.some(p => typeof p.distance === 'number');
+    let distance = 0;
+    let movingTime = 0;
+    let ascent = 0;
+    let anchor = points.find(p => typeof p.altitude === 'number')?.altitude ?? null;
+    const cumulative = points.map((p, i) => {
+        const prev = points[i - 1];
+        if (prev) {
+            const before = distance;
+            if (hasDistance) distance = typeof p.distance === 'number' ? p.distance : distance;
+            else if ([p.lat, p.lng, prev.lat, prev.lng].every(n => typeof n === 'number')) distance += distanceMeters(prev, p);
+            const dt = (p.time - prev.time) / 1000;
+            if (dt > 0 && dt <= ACTIVITY_PAUSE_GAP_SEC && (distance - before) / dt >= ACTIVITY_MIN_MOVING_SPEED) movingTime += dt;
+        }
+        if (typeof p.altitude === 'number' && anchor !== null && Math.abs(p.altitude - anchor) >= ACTIVITY_ELEVATION_NOISE_M) {
+            if (p.altitude > anchor) ascent += p.altitude - anchor;
+            anchor = p.altitude;
+        }
+        return distance;
+    });
+    return { distance, movingTime, ascent, cumulative, hasAltitude: anchor !== null };
+}
+
+function describeLaps(laps) {
+    if (laps.length < 2) return '';
+    const lines = laps.slice(0, ACTIVITY_MAX_LAP_LINES).map((lap, i) =>
+        `${i + 1}. ${(lap.distance / 1000).toFixed(2)}km ${formatDuration(Math.round(lap.movingTime))} (${formatDuration(Math.round(lap.movingTime * 1000 / lap.distance))}/km)`);
+    return `分圈：${lines.join('、')}${laps.length > ACTIVITY_MAX_LAP_LINES ? ` 等共 ${laps.length} 圈` : ''}`;
+}
+
+/**
+ * 將解析結果整理成 fetchStravaActivity() 的格式 { source, title, description, activity }
+ * @throws {Error} 檔案裡沒有可用的軌跡點時
+ */
+function toActivityPage(parsed, format, fileName) {
+    const points = parsed.points.filter(p => p.time);
+    if (points.length < 2) throw new Error('檔案裡沒有帶時間的軌跡點');
+
+    const track = summarizeTrack(points);
+    const start = points[0].time;
+    const { hour, minute } = getTaipeiParts(start);
+    const startLocal = `${toDateKey(start)}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00`;
+    const summary = parsed.summary || {};
+    const lapSeconds = parsed.laps.reduce((sum, l) => sum + l.movingTime, 0);
+    const isRun = /run/i.test(String(parsed.sport || 'running'));
+
+    const activity = {
+        type: isRun ? 'Run' : String(parsed.sport),
+        startLocal,
+        scalars: {
+            distance: Math.round(summary.distance || track.distance),
+            movingTime: Math.round(summary.movingTime || lapSeconds || track.movingTime),
+            // 檔案沒有高度資料時不提供爬升，避免 AI 誤以為是平路
+            elevationGain: track.hasAltitude || summary.ascent !== undefined ? Math.round(summary.ascent ?? track.ascent) : undefined
+        },
+        streams: {
+            time: points.map(p => Math.round((p.time - start) / 1000)),
+            distance: track.cumulative,
+            heartrate: points.map(p => p.heartRate),
+            cadence: points.map(p => p.cadence),
+            watts: points.map(p => p.power),
+            location: points.filter(p => typeof p.lat === 'number' && typeof p.lng === 'number').map(p => ({ lat: p.lat, lng: p.lng }))
+        },
+        laps: parsed.laps
+    };
+    const description = [`${format.toUpperCase()} 檔案，${startLocal.replace('T', ' ').slice(0, 16)} 開始${isRun ? '' : ` (運動類型：${parsed.sport})`}`, describeLaps(parsed.laps)]
+        .filter(Boolean).join('；');
+    return { source: `跑錶 ${format.toUpperCase()} 檔案`, title: parsed.name || fileName, description, activity };
+}
+
+async function downloadFile(blobClient, messageId) {
+    if (!blobClient) throw new Error('Blob Client 未初始化');
+    const stream = await blobClient.getMessageContent(messageId);
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > ACTIVITY_FILE_MAX_BYTES) throw new Error('檔案超過大小上限');
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * 解析使用者傳來的運動檔案，產生與 Strava 分享相同的 AI 數據提示與先行回覆訊息
+ * @param {Object} blobClient - LINE Blob API Client
+ * @param {Object} message - LINE file 訊息 { id, fileName, fileSize }
+ * @param {Object} ctx - { sourceId, userId }
+ * @returns {Promise<{ systemContext, messages, promptText }|{ error: string }|null>} 不是運動檔案時回傳 null (不回覆)
+ */
+async function analyzeActivityFile(blobClient, message, ctx) {
+    const format = String(message.fileName || '').match(FILE_PATTERN)?.[1].toLowerCase();
+    if (!format) return null;
+    if (message.fileSize > ACTIVITY_FILE_MAX_BYTES) {
+        return { error: `檔案太大了 (上限 ${ACTIVITY_FILE_MAX_BYTES / 1024 / 1024} MB)，請只匯出單次跑步的活動檔喔！` };
+    }
+
+    try {
+        const page = toActivityPage(PARSERS[format](await downloadFile(blobClient, message.id)), format, message.fileName);
+        const { distance, movingTime } = page.activity.scalars;
+        console.log(`[運動檔案] ${message.fileName} 解析成功：${(distance / 1000).toFixed(2)} km / ${formatDuration(movingTime)}`);
+        const analysis = await analyzeActivity(page, ctx);
+        if (!analysis.systemContext) return { error: PARSE_FAILED };
+        return { ...analysis, promptText: `[使用者上傳了跑錶運動檔案 ${message.fileName}] 請幫我分析這次的訓練` };
+    } catch (err) {
+        console.error(`[運動檔案] ${message.fileName} 解析失敗:`, err.message);
+        return { error: PARSE_FAILED };
+    }
+}
+
+module.exports = {
+    analyzeActivityFile
+};
@@ -0,0 +1,94 @@
+/**
+ * GPX / TCX 運動檔解析模組
+ * 跑錶匯出的 XML 以寬鬆的正則擷取軌跡點與分圈，容許命名空間前綴 (如 gpxtpx:hr、ns3:RunCadence) 與不規則斷行，
+ * 輸出與 fitParser 換算後相同的欄位：{ name, sport, points: [{ time, lat, lng, altitude, distance, heartRate, cadence, power }], laps }
+ */
+const tagPattern = (name) => new RegExp(String.raw`<(?:[\w-]+:)?${name}\b[^>]*>\s*([^<]*?)\s*</(?:[\w-]+:)?${name}>`, 'i');
+const TAGS = {
+    name: tagPattern('name'),
+    type: tagPattern('type'),
+    time: tagPattern('time'),
+    ele: tagPattern('ele'),
+    hr: tagPattern('hr'),
+    cad: tagPattern('cad'),
+    power: tagPattern('power'),
+    Time: tagPattern('Time'),
+    LatitudeDegrees: tagPattern('LatitudeDegrees'),
+    LongitudeDegrees: tagPattern('LongitudeDegrees'),
+    AltitudeMeters: tagPattern('AltitudeMeters'),
+    DistanceMeters: tagPattern('DistanceMeters'),
+    RunCadence: tagPattern('RunCadence'),
+    Cadence: tagPattern('Cadence'),
+    Watts: tagPattern('Watts'),
+    TotalTimeSeconds: tagPattern('TotalTimeSeconds'),
+    Notes: tagPattern('Notes')
+};
+const HEART_RATE_PATTERN = /<(?:[\w-]+:)?HeartRateBpm\b[^>]*>\s*<(?:[\w-]+:)?Value>\s*([\d.]+)/i;
+
+function readNumber(text) {
+    const value = parseFloat(text);
+    return Number.isFinite(value) ? value : null;
+}
+
+function readTag(body, tag) {
+    return body.match(TAGS[tag])?.[1] ?? null;
+}
+
+function readDate(text) {
+    const date = text ? new Date(text) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+function readAttribute(attributes, name) {
+    return readNumber(attributes.match(new RegExp(String.raw`\b${name}\s*=\s*["']([^"']+)["']`, 'i'))?.[1]);
+}
+
+/**
+ * GPX：<trkpt lat lon> 底下的 <ele>、<time> 與 Garmin TrackPointExtension 的心率 / 步頻 / 功率 (GPX 沒有分圈)
+ */
+function parseGpx(xml) {
+    const points = [...xml.matchAll(/<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/gi)].map(([, attributes, body]) => ({
+        time: readDate(readTag(body, 'time')),
+        lat: readAttribute(attributes, 'lat'),
+        lng: readAttribute(attributes, 'lon'),
+        altitude: readNumber(readTag(body, 'ele')),
+        distance: null,
+        heartRate: readNumber(readTag(body, 'hr')),
+        cadence: readNumber(readTag(body, 'cad')),
+        power: readNumber(readTag(body, 'power'))
+    }));
+    const track = xml.match(/<trk\b[^>]*>([\s\S]*?)<trkseg\b/i)?.[1] || '';
+    return { name: readTag(track, 'name') || readTag(xml, 'name'), sport: readTag(track, 'type'), points, laps: [] };
+}
+
+/**
+ * TCX：<Activity Sport> 底下每個 <Lap> 的總時間 / 距離，以及 <Trackpoint> 的軌跡與感測器資料
+ */
+function parseTcx(xml) {
+    const laps = [];
+    const points = [];
+    for (const [, lapBody] of xml.matchAll(/<Lap\b[^>]*>([\s\S]*?)<\/Lap>/gi)) {
+        // 分圈摘要在 <Track> 之前，避免讀到軌跡點的累計距離
+        const summary = lapBody.split(/<Track\b/i)[0];
+        laps.push({ distance: readNumber(readTag(summary, 'DistanceMeters')), movingTime: readNumber(readTag(summary, 'TotalTimeSeconds')) });
+        for (const [, body] of lapBody.matchAll(/<Trackpoint\b[^>]*>([\s\S]*?)<\/Trackpoint>/gi)) {
+            points.push({
+                time: readDate(readTag(body, 'Time')),
+                lat: readNumber(readTag(body, 'LatitudeDegrees')),
+                lng: readNumber(readTag(body, 'LongitudeDegrees')),
+                altitude: readNumber(readTag(body, 'AltitudeMeters')),
+                distance: readNumber(readTag(body, 'DistanceMeters')),
+                heartRate: readNumber(body.match(HEART_RATE_PATTERN)?.[1]),
+                cadence: readNumber(readTag(body, 'RunCadence') ?? readTag(body, 'Cadence')),
+                power: readNumber(readTag(body, 'Watts'))
+            });
+        }
+    }
+    const sport = xml.match(/<Activity\b[^>]*\bSport\s*=\s*["']([^"']+)["']/i)?.[1] || null;
+    return { name: readTag(xml, 'Notes'), sport, points, laps: laps.filter(l => l.distance > 0 && l.movingTime > 0) };
+}
+
+module.exports = {
+    parseGpx,
+    parseTcx
+};
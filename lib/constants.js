@@ -15,6 +15,117 @@ module.exports = {
     // === 課表存儲 ===
     SCHEDULE_CACHE_TTL: 14 * 24 * 60 * 60 * 1000,   // 課表快取：14 天
     SCHEDULE_CLEANUP: 365 * 24 * 60 * 60 * 1000,     // 維護清理：1 年無動作即刪除
+    SCHEDULE_KEEP_DAYS: 30,                         // 週期結束超過 30 天的課表啟動時不再載入
+    SCHEDULE_HISTORY_MAX: 5,                        // 同一週課表重貼修正時，最多保留幾個舊版本
+    SCHEDULE_CHANGE_MAX_LINES: 10,                  // 修正版變更摘要最多列出幾項，避免洗版
+    SCHEDULE_LLM_MIN_LENGTH: 80,                    // 範本認不得的課表交給 LLM 解析的最短字數 (太短不可能是整週課表，不浪費額度)
+    // 課表提醒：間歇課表前一晚幾點推播 (台北時間，可由環境變數 SCHEDULE_REMINDER_HOUR 覆寫，預設 20 點)
+    SCHEDULE_REMINDER_HOUR: parseInt(process.env.SCHEDULE_REMINDER_HOUR, 10) || 20,
+    SCHEDULE_REMINDER_CHECK_MS: 5 * 60 * 1000,      // 排程器檢查間隔：5 分鐘
+    SCHEDULE_REMINDER_MAX_BUBBLES: 4,               // 每次提醒最多幾組的卡片 (LINE 單次推播最多 5 則訊息，含開頭提醒文字)
+    // 行事曆匯出：課表沒寫集合時間 / 地點時的預設值 (地點可由環境變數 SCHEDULE_EVENT_LOCATION 設定)
+    SCHEDULE_EVENT_START: { weekday: '19:30', weekend: '06:00' },
+    SCHEDULE_EVENT_MINUTES: 90,                     // 每次訓練的行事曆時段長度 (分鐘)
+    SCHEDULE_EVENT_LOCATION: process.env.SCHEDULE_EVENT_LOCATION || '',
+    // 分組建議：間歇 (I 配速) 視為能全力維持約 11 分鐘的強度，用來在間歇配速與 VDOT 之間換算
+    PREDICT_INTERVAL_EFFORT_MINUTES: 11,
+    PREDICT_MIN_ACTIVITY_METERS: 1500,              // 太短的成績 / 活動無法可靠推估跑力
+    PREDICT_BEST_EFFORT_METERS: [5000, 10000, 21097.5], // Strava 活動取這些距離中最快的區段推估跑力 (而非整趟含熱身收操)
+    PREDICT_DEFAULT_INTERVAL_METERS: 800,           // 課表沒寫間歇距離時，挑戰快一組的換算距離
+    // 間歇達成檢查：Strava 分圈距離與課表趟距離的容許誤差 (比例)，以及配速在目標 ± 幾秒內算達標
+    COMPLIANCE_DISTANCE_TOLERANCE: 0.15,
+    COMPLIANCE_PACE_TOLERANCE_SEC: 3,
+    COMPLIANCE_RECOVERY_PACE_MARGIN_SEC: 45,        // 比目標最慢配速還慢這麼多 (秒/公里) 的分圈視為休息慢跑，不算一趟
+    COMPLIANCE_MAX_REP_LINES: 20,                   // 逐趟達成表最多列出幾趟
+    COMPLIANCE_STDEV_BOUNDS: [3, 6],                // 各趟配速標準差 (秒/公里) 在此以內分別算「非常穩定」「還算穩定」
+    // 對外公開的服務網址 (如 https://stuart.zeabur.app)，用來組出行事曆訂閱連結
+    PUBLIC_BASE_URL: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+
+    // === Strava 活動里程排行 ===
+    ACTIVITY_RETENTION_DAYS: 62,                    // 分享的活動保存天數 (足夠涵蓋「本月排行」)
+    LEADERBOARD_TOP_N: 10,                          // 排行榜列出的人數
+    // 週日晚上自動發本週排行的時間 (台北時間，可由環境變數 LEADERBOARD_POST_HOUR 覆寫，預設 21 點)
+    LEADERBOARD_POST_HOUR: parseInt(process.env.LEADERBOARD_POST_HOUR, 10) || 21,
+    LEADERBOARD_CHECK_MS: 10 * 60 * 1000,           // 排行推播排程檢查間隔：10 分鐘
+
+    // === 心率區間分析 ===
+    // Z2~Z5 的下限：有最大 + 安靜心率時為儲備心率 (HRR) 比例，只有最大心率時為最大心率比例
+    HR_ZONE_BOUNDS: [0.6, 0.7, 0.8, 0.9],
+    HR_ZONE_LTHR_BOUNDS: [0.85, 0.9, 0.95, 1.0],    // 有登記 LTHR 時改以乳酸閾值心率比例分區 (Friel)
+    // 心率設定的合理範圍 (bpm)，超出視為打錯
+    HR_PROFILE_RANGES: { maxHr: [120, 230], restHr: [30, 100], lthr: [100, 220] },
+    HR_SAMPLE_MAX_GAP_SEC: 30,                      // 相鄰心率取樣間隔超過此秒數 (暫停) 不計入區間時間
+    HR_DRIFT_MIN_MINUTES: 20,                       // 活動短於此分鐘數不計算心率飄移
+    HR_DRIFT_WARN_PCT: 5,                           // 心率飄移 / 配速心率脫鉤超過 5% 視為有氧耐力不足或強度偏高
+    HR_EASY_MIN_SHARE: 0.8,                         // Z1 + Z2 占比達 80% 才算真正的輕鬆跑
+
+    // === 跑錶運動檔案 (GPX / TCX / FIT) ===
+    ACTIVITY_FILE_MAX_BYTES: 10 * 1024 * 1024,      // 檔案大小上限：10 MB (一般跑步活動遠小於此)
+    ACTIVITY_PAUSE_GAP_SEC: 30,                     // 相鄰軌跡點間隔超過此秒數視為暫停，不計入移動時間
+    ACTIVITY_MIN_MOVING_SPEED: 0.5,                 // 低於此速度 (m/s) 視為停下來，不計入移動時間
+    ACTIVITY_ELEVATION_NOISE_M: 3,                  // 高度變化累積超過此公尺數才計入爬升，過濾 GPS / 氣壓計雜訊
+    ACTIVITY_MAX_LAP_LINES: 20,                     // 分析提示最多列出幾圈分圈
+
+    // === 其他持久化資料 (偏好設定等) ===
+    DATA_CLEANUP: 365 * 24 * 60 * 60 * 1000,         // 維護清理：1 年無動作即刪除
+
+    // === Google Places 餐廳搜尋 ===
+    PLACES_MIN_RATING: 4.0,         // 最低評分門檻
+    PLACES_MIN_REVIEWS: 10,         // 最低評論數門檻
+    PLACES_TOP_N: 5,                // 每次推薦的餐廳數量
+    NEARBY_RADIUS_M: 1200,          // 座標搜尋的步行半徑 (公尺)
+    WALKING_SPEED_M_PER_MIN: 80,    // 無法取得步行路徑時，估算用的步行速度
+    PLACES_PHOTO_MAX_WIDTH: 800,    // 卡片封面照片寬度 (px)
+    PLACES_DETAIL_REVIEWS: 3,       // 詳細資訊卡片顯示的評論數
+    OPEN_AT_CANDIDATES: 10,         // 指定用餐時間時，最多查詢幾家候選店家的營業時段
+    PLACES_PAGE_TOKEN_DELAY_MS: 2000, // next_page_token 發出後約 2 秒才生效，太早使用會回傳 INVALID_REQUEST
+    // 只說餐別 (如「明天早餐」) 時套用的預設用餐時間 [時, 分]
+    MEAL_DEFAULT_TIMES: {
+        breakfast: [7, 0],
+        brunch: [10, 30],
+        lunch: [12, 0],
+        dinner: [18, 30],
+        late_night: [22, 0]
+    },
+
+    // === Google Places 快取與用量 ===
+    // 每日 Places API 呼叫上限 (超過即改請使用者稍後再試)，可由環境變數 PLACES_DAILY_CAP 覆寫
+    PLACES_DAILY_CAP: parseInt(process.env.PLACES_DAILY_CAP, 10) || 300,
+    // 各端點每次呼叫的預估費用 (美元，依 Google Maps Platform 公開定價)
+    PLACES_SKU_COST_USD: {
+        'place/textsearch/json': 0.032,
+        'place/nearbysearch/json': 0.032,
+        'place/details/json': 0.017,
+        'distancematrix/json': 0.005,   // 以每個目的地計費
+        'place/photo': 0.007
+    },
+    // 各端點的快取存活時間 (未列出的端點不快取；搜尋結果含「營業中」狀態，因此較短)
+    PLACES_CACHE_TTL: {
+        'place/textsearch/json': 30 * 60 * 1000,
+        'place/nearbysearch/json': 30 * 60 * 1000,
+        'place/details/json': 12 * 60 * 60 * 1000,
+        'place/photo': 24 * 60 * 60 * 1000
+    },
+    PLACES_CACHE_MAX_ENTRIES: 500,  // 快取筆數上限，超過時淘汰最舊的
+    PLACES_CACHE_COORD_DECIMALS: 3, // 座標快取鍵值的小數位數 (約 100 公尺)
+
+    // === 餐廳搜尋 Session (再推薦幾家) ===
+    SEARCH_SESSION_TTL_MS: 30 * 60 * 1000,  // 搜尋結果保留時間：30 分鐘內可以「再推薦幾家」
+
+    // === 飲食限制 ===
+    DIETARY_MEMBER_REFRESH_MS: 24 * 60 * 60 * 1000, // 群組成員同一天內重複發言不重複寫檔
+
+    // === 飲食紀錄 ===
+    NUTRITION_RETENTION_DAYS: 60,   // 餐點紀錄保存天數
+    // 各訓練量的每日碳水建議 (g/kg 體重)
+    NUTRITION_CARB_GUIDE: {
+        easy: [5, 7],
+        hard: [6, 10]    // 間歇、節奏跑、LSD 等課表強度日
+    },
+
+    // === 群組揪吃投票 ===
+    // 投票逾時自動結算時間，可由環境變數 VOTE_TIMEOUT_MINUTES 覆寫 (預設 15 分鐘)
+    VOTE_TIMEOUT_MS: (parseInt(process.env.VOTE_TIMEOUT_MINUTES, 10) || 15) * 60 * 1000,
 
     // === 圖片處理 ===
     IMAGE_MAX_WIDTH: 1024,          // 圖片最大寬度 (px)
@@ -0,0 +1,65 @@
+/**
+ * 本地 JSON 持久化存儲共用工具
+ * 存儲路徑統一由環境變數 DATA_DIR 控制 (預設 /tmp，Zeabur 容器可寫)
+ */
+const fs = require('fs');
+const path = require('path');
+const { DATA_CLEANUP } = require('./constants');
+
+const DATA_DIR = process.env.DATA_DIR || '/tmp';
+
+/**
+ * 讀取 DATA_DIR 下的 JSON 檔案
+ * @param {string} fileName - 檔名 (例如 preferences.json)
+ * @returns {Object} 解析後的物件，檔案不存在或損毀時回傳空物件
+ */
+function loadJsonFile(fileName) {
+    const filePath = path.resolve(DATA_DIR, fileName);
+    try {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (e) {
+        console.warn(`[系統警告] 載入 ${fileName} 失敗:`, e.message);
+    }
+    return {};
+}
+
+/**
+ * 將物件寫回 DATA_DIR 下的 JSON 檔案
+ * @param {string} fileName - 檔名
+ * @param {Object} data - 要寫入的資料
+ */
+function saveJsonFile(fileName, data) {
+    try {
+        fs.writeFileSync(path.resolve(DATA_DIR, fileName), JSON.stringify(data, null, 2), 'utf8');
+    } catch (e) {
+        console.warn(`[系統警告] 儲存 ${fileName} 失敗:`, e.message);
+    }
+}
+
+/**
+ * 將 Map<id, { updatedAt, ... }> 轉為可寫入的物件，並順便移除超過一年無動作的來源
+ * @param {Map} map - 以來源 ID 為鍵值的資料
+ * @param {string} label - 日誌中顯示的資料名稱
+ */
+function serializeWithCleanup(map, label) {
+    const rootObj = {};
+    const now = Date.now();
+    for (const [id, value] of map) {
+        if (now - (value.updatedAt || 0) > DATA_CLEANUP) {
+            console.log(`[維護清理] 來源 ${id} 已超過一年無動作，正式移除其${label}。`);
+            map.delete(id);
+            continue;
+        }
+        rootObj[id] = value;
+    }
+    return rootObj;
+}
+
+module.exports = {
+    DATA_DIR,
+    loadJsonFile,
+    saveJsonFile,
+    serializeWithCleanup
+};
@@ -0,0 +1,190 @@
+/**
+ * 飲食限制與過敏原模組
+ * 每位使用者各自設定素食類型與過敏原 (stu 飲食限制 ...)，並持久化存儲。
+ * 套用於三處：Places 搜尋過濾、對話的隱藏指令、餐點照片分析；
+ * 在群組中取所有曾發言成員的限制聯集 (素食取最嚴格者、過敏原取聯集)。
+ */
+const { loadJsonFile, saveJsonFile, serializeWithCleanup } = require('./dataStore');
+const { DIETARY_MEMBER_REFRESH_MS } = require('./constants');
+
+const DB_FILE = 'dietary.json';
+
+// 素食類型 (level 越高越嚴格，keyword 為加入 Places 搜尋的關鍵字)；吃素時以 MEAT_NAME_EXCLUDES 過濾店名明顯不適合的店家
+const DIET_TYPES = {
+    vegetarian: { level: 1, label: '蛋奶素', keyword: '素食', words: ['蛋奶素', '奶蛋素', '素食', '吃素'] },
+    vegan: { level: 2, label: '全素 (不含蛋奶)', keyword: '純素', words: ['全素', '純素', '嚴格素', 'vegan'] }
+};
+const MEAT_NAME_EXCLUDES = ['燒肉', '牛排', '炸雞', '海鮮', '牛肉麵', '鹹酥雞', '燒臘', '羊肉爐', '薑母鴨'];
+
+// 過敏原 (aliases 為使用者可能的說法；nameExcludes 為搜尋時要避開的店名關鍵字)
+const ALLERGENS = [
+    { name: '甲殼類', aliases: ['甲殼', '蝦', '蟹', '龍蝦'], nameExcludes: ['海鮮', '蝦', '蟹'] },
+    { name: '貝類', aliases: ['貝類', '蛤蜊', '牡蠣', '蚵'], nameExcludes: ['海鮮', '蚵仔'] },
+    { name: '魚類', aliases: ['魚'], nameExcludes: ['魚'] },
+    { name: '花生', aliases: ['花生'], nameExcludes: ['花生'] },
+    { name: '堅果', aliases: ['堅果', '核桃', '杏仁', '腰果'], nameExcludes: [] },
+    { name: '蛋', aliases: ['蛋'], nameExcludes: [] },
+    { name: '乳製品', aliases: ['牛奶', '乳製品', '乳糖', '奶'], nameExcludes: [] },
+    { name: '麩質', aliases: ['麩質', '小麥', '麵粉'], nameExcludes: [] },
+    { name: '大豆', aliases: ['大豆', '黃豆'], nameExcludes: ['豆漿'] },
+    { name: '芝麻', aliases: ['芝麻'], nameExcludes: [] }
+];
+
+// 結構: users Map<userId, { diet, allergens, displayName, updatedAt }>
+//      groups Map<groupId, { members: [userId], updatedAt }> (曾在群組內發言的成員)
+const stored = loadJsonFile(DB_FILE);
+const profilesByUser = new Map(Object.entries(stored.users || {}));
+const membersByGroup = new Map(Object.entries(stored.groups || {}));
+
+function saveDietaryToDB() {
+    saveJsonFile(DB_FILE, {
+        users: serializeWithCleanup(profilesByUser, '飲食限制'),
+        groups: serializeWithCleanup(membersByGroup, '群組成員名單')
+    });
+}
+
+/**
+ * 記錄群組中的發言成員，供群組聯集飲食限制使用 (同一天內重複發言不重複寫檔)
+ */
+function noteGroupMember(groupId, userId) {
+    if (!groupId || !userId || groupId === userId) return;
+    const entry = membersByGroup.get(groupId) || { members: [], updatedAt: 0 };
+    const isNew = !entry.members.includes(userId);
+    if (!isNew && Date.now() - entry.updatedAt < DIETARY_MEMBER_REFRESH_MS) return;
+
+    if (isNew) entry.members.push(userId);
+    entry.updatedAt = Date.now();
+    membersByGroup.set(groupId, entry);
+    saveDietaryToDB();
+}
+
+/**
+ * 取得實際要套用的飲食限制
+ * 私訊時為本人設定；群組中為發話者與所有曾發言成員的聯集
+ * @returns {Object} { diet, allergens, memberCount } (memberCount 為有設定限制的人數)
+ */
+function getEffectiveRestrictions(sourceId, userId) {
+    const ids = new Set([userId, ...(sourceId !== userId ? membersByGroup.get(sourceId)?.members || [] : [])]);
+    const profiles = [...ids].map(id => profilesByUser.get(id)).filter(Boolean);
+
+    let diet = null;
+    for (const p of profiles) {
+        if (p.diet && (!diet || DIET_TYPES[p.diet].level > DIET_TYPES[diet].level)) diet = p.diet;
+    }
+    const allergens = [...new Set(profiles.flatMap(p => p.allergens || []))];
+    return { diet, allergens, memberCount: profiles.length };
+}
+
+function hasRestrictions(r) {
+    return Boolean(r && (r.diet || r.allergens.length > 0));
+}
+
+/**
+ * 將飲食限制疊加到用餐偏好上：素食加入搜尋關鍵字，並以店名關鍵字排除明顯不適合的店家
+ */
+function applyRestrictionsToPreferences(prefs, r) {
+    if (!hasRestrictions(r)) return prefs;
+    const nameExcludes = [
+        ...(r.diet ? MEAT_NAME_EXCLUDES : []),
+        ...ALLERGENS.filter(a => r.allergens.includes(a.name)).flatMap(a => a.nameExcludes)
+    ];
+    return {
+        ...prefs,
+        dietKeyword: r.diet ? DIET_TYPES[r.diet].keyword : undefined,
+        excludes: [...new Set([...(prefs.excludes || []), ...nameExcludes])]
+    };
+}
+
+/**
+ * 將飲食限制轉為人類可讀的描述
+ */
+function describeRestrictions(r) {
+    const parts = [];
+    if (r.diet) parts.push(`飲食：${DIET_TYPES[r.diet].label}`);
+    if (r.allergens.length > 0) parts.push(`過敏原：${r.allergens.join('、')}`);
+    return parts.join('\n');
+}
+
+/**
+ * 組裝注入給 AI 的飲食限制隱藏指令 (沒有任何限制時回傳空字串)
+ * @param {Object} r - getEffectiveRestrictions() 的結果
+ * @param {boolean} isGroupChat - 是否在群組內 (措辭改為「群組中有成員」)
+ */
+function buildDietaryContext(r, isGroupChat) {
+    if (!hasRestrictions(r)) return '';
+    const who = isGroupChat ? `群組中有 ${r.memberCount} 位成員設定了飲食限制，推薦時需同時滿足所有人` : '對話者的飲食限制';
+    return `\n\n【飲食限制】(${who})：\n${describeRestrictions(r)}\n推薦任何餐點或店家時都「絕對不可」包含上述禁忌食材；若無法確定某道菜是否含有，請明確提醒使用者向店家確認。`;
+}
+
+/**
+ * 解析「飲食限制」指令後方的設定內容，例如「素食 過敏 蝦 花生」
+ * @returns {Object} { diet, allergens } (皆可能為空)
+ */
+function parseRestrictionText(body) {
+    const lower = body.toLowerCase();
+    // 先比對較嚴格的全素，避免「純素」被「素食」搶先匹配
+    const diet = ['vegan', 'vegetarian'].find(key => DIET_TYPES[key].words.some(w => lower.includes(w))) || null;
+    // 去掉素食字眼再比對過敏原，避免「蛋奶素」被誤判為對蛋、奶過敏
+    const allergenText = Object.values(DIET_TYPES).flatMap(d => d.words).reduce((t, w) => t.split(w).join(' '), lower);
+    const allergens = ALLERGENS
+        .filter(a => a.aliases.some(alias => allergenText.includes(alias)))
+        .map(a => a.name);
+    return { diet, allergens };
+}
+
+/**
+ * 處理「飲食限制」對話指令 (設定一律存在發話者本人身上，群組中也一樣)
+ * @param {Object} ctx - { text, userId, displayName, sendMessage }
+ * @returns {Promise|null} 若不是飲食限制指令則回傳 null
+ */
+function handleDietaryCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    // 指令後需空白分隔，避免「過敏怎麼辦」之類的一般提問被當成設定
+    const cmdMatch = body.match(/^(?:飲食限制|飲食設定|過敏原?)(?:\s+([\s\S]*))?$/);
+    if (!cmdMatch || !ctx.userId) return null;
+
+    const rest = (cmdMatch[1] || '').trim();
+
+    if (/^(清除|重設|重置|reset)$/i.test(rest)) {
+        profilesByUser.delete(ctx.userId);
+        saveDietaryToDB();
+        return ctx.sendMessage({ type: 'text', text: `Bello! 🍌 ${ctx.displayName} 的飲食限制已經清空。` });
+    }
+
+    const current = profilesByUser.get(ctx.userId);
+    if (!rest) {
+        const desc = current ? describeRestrictions({ diet: current.diet, allergens: current.allergens || [] }) : '';
+        return ctx.sendMessage({
+            type: 'text',
+            text: `${desc ? `${ctx.displayName} 目前的飲食限制：\n${desc}` : `${ctx.displayName} 還沒有設定飲食限制。`}\n\n設定範例：「stu 飲食限制 素食 過敏 蝦 花生」，清除請說「stu 飲食限制 清除」。`
+        });
+    }
+
+    const parsed = parseRestrictionText(rest);
+    if (!parsed.diet && parsed.allergens.length === 0) {
+        return ctx.sendMessage({ type: 'text', text: '教練看不懂這個飲食限制耶～可以試試：「stu 飲食限制 素食」或「stu 過敏 甲殼類 花生」' });
+    }
+
+    // 過敏原採累加，素食類型有提到才覆寫
+    const next = {
+        diet: parsed.diet || current?.diet || null,
+        allergens: [...new Set([...(current?.allergens || []), ...parsed.allergens])],
+        displayName: ctx.displayName,
+        updatedAt: Date.now()
+    };
+    profilesByUser.set(ctx.userId, next);
+    saveDietaryToDB();
+    return ctx.sendMessage({
+        type: 'text',
+        text: `Banana! 🍌 ${ctx.displayName} 的飲食限制已更新：\n${describeRestrictions(next)}\n\n之後找餐廳、推薦餐點與分析餐點照片都會幫你避開！`
+    });
+}
+
+module.exports = {
+    noteGroupMember,
+    getEffectiveRestrictions,
+    applyRestrictionsToPreferences,
+    describeRestrictions,
+    buildDietaryContext,
+    handleDietaryCommand
+};
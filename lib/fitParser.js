@@ -0,0 +1,123 @@
+/**
+ * FIT 二進位檔解析模組 (Garmin / Coros 等跑錶的原生格式)
+ * 只解碼跑步分析需要的 session / lap / record 訊息，不依賴外部套件；
+ * 欄位編號與比例參考 FIT SDK Profile，無效值 (全 1) 一律視為沒有資料
+ */
+const FIT_EPOCH_MS = Date.UTC(1989, 11, 31); // FIT 時間戳記從 1989-12-31 00:00 UTC 起算
+const MESSAGES = { 18: 'session', 19: 'lap', 20: 'record' };
+// 各訊息需要的欄位：[欄位編號, 名稱, 比例, 偏移]
+const FIELDS = {
+    session: [[2, 'startTime'], [5, 'sport'], [7, 'elapsedTime', 1000], [8, 'timerTime', 1000], [9, 'distance', 100], [22, 'ascent']],
+    lap: [[2, 'startTime'], [7, 'elapsedTime', 1000], [8, 'timerTime', 1000], [9, 'distance', 100]],
+    record: [
+        [253, 'timestamp'], [0, 'lat'], [1, 'lng'], [2, 'altitude', 5, 500], [78, 'altitude', 5, 500],
+        [3, 'heartRate'], [4, 'cadence'], [5, 'distance', 100], [7, 'power']
+    ]
+};
+// 基本型別 (base type 低 5 位元)：[位元組數, 是否有號, 無效值]
+const BASE_TYPES = {
+    0: [1, false, 0xFF], 1: [1, true, 0x7F], 2: [1, false, 0xFF], 3: [2, true, 0x7FFF], 4: [2, false, 0xFFFF],
+    5: [4, true, 0x7FFFFFFF], 6: [4, false, 0xFFFFFFFF], 10: [1, false, 0], 11: [2, false, 0], 12: [4, false, 0]
+};
+const SEMICIRCLE_TO_DEGREE = 180 / 2 ** 31;
+
+function readValue(buffer, offset, size, baseType, littleEndian) {
+    const type = BASE_TYPES[baseType & 0x1F];
+    if (!type || type[0] !== size) return null;
+    const [bytes, signed, invalid] = type;
+    let value;
+    if (bytes === 1) value = signed ? buffer.readInt8(offset) : buffer.readUInt8(offset);
+    else if (bytes === 2) value = littleEndian ? (signed ? buffer.readInt16LE(offset) : buffer.readUInt16LE(offset)) : (signed ? buffer.readInt16BE(offset) : buffer.readUInt16BE(offset));
+    else value = littleEndian ? (signed ? buffer.readInt32LE(offset) : buffer.readUInt32LE(offset)) : (signed ? buffer.readInt32BE(offset) : buffer.readUInt32BE(offset));
+    return value === invalid ? null : value;
+}
+
+function toDate(fitSeconds) {
+    return new Date(FIT_EPOCH_MS + fitSeconds * 1000);
+}
+
+/**
+ * 依 FIELDS 把解碼後的欄位換成有單位的數值 (時間為 Date、距離為公尺、座標為度)
+ */
+function convertMessage(name, values) {
+    const result = {};
+    for (const [num, key, scale = 1, offset = 0] of FIELDS[name]) {
+        const raw = values[num];
+        if (raw === null || raw === undefined) continue;
+        if (key === 'timestamp' || key === 'startTime') result[key] = toDate(raw);
+        else if (key === 'lat' || key === 'lng') result[key] = raw * SEMICIRCLE_TO_DEGREE;
+        else result[key] = raw / scale - offset;
+    }
+    return result;
+}
+
+/**
+ * 解析 FIT 檔
+ * @param {Buffer} buffer - 檔案內容
+ * @returns {{ sessions: Array, laps: Array, records: Array }} 各訊息已換算單位
+ * @throws {Error} 不是 FIT 檔或檔案截斷時
+ */
+function parseFit(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 8, 12) !== '.FIT') throw new Error('不是 FIT 檔案');
+    const headerSize = buffer.readUInt8(0);
+    const end = Math.min(buffer.length, headerSize + buffer.readUInt32LE(4));
+
+    const definitions = {};
+    const output = { sessions: [], laps: [], records: [] };
+    let offset = headerSize;
+    let lastTimestamp = 0;
+
+    while (offset < end) {
+        const header = buffer.readUInt8(offset++);
+        let localType;
+        let timeOffset = null;
+        if (header & 0x80) {
+            // 壓縮時間戳記標頭：5 位元的時間偏移接續上一個時間戳記
+            localType = (header >> 5) & 0x03;
+            timeOffset = header & 0x1F;
+        } else {
+            localType = header & 0x0F;
+            if (header & 0x40) {
+                const littleEndian = buffer.readUInt8(offset + 1) === 0;
+                const globalNum = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+                const fieldCount = buffer.readUInt8(offset + 4);
+                offset += 5;
+                const fields = [];
+                for (let i = 0; i < fieldCount; i++, offset += 3) {
+                    fields.push({ num: buffer.readUInt8(offset), size: buffer.readUInt8(offset + 1), baseType: buffer.readUInt8(offset + 2) });
+                }
+                let devSize = 0;
+                if (header & 0x20) {
+                    const devCount = buffer.readUInt8(offset++);
+                    for (let i = 0; i < devCount; i++, offset += 3) devSize += buffer.readUInt8(offset + 1);
+                }
+                definitions[localType] = { littleEndian, globalNum, fields, devSize };
+                continue;
+            }
+        }
+
+        const definition = definitions[localType];
+        if (!definition) throw new Error(`FIT 檔案缺少訊息定義 (local ${localType})`);
+        const values = {};
+        for (const field of definition.fields) {
+            if (offset + field.size > buffer.length) throw new Error('FIT 檔案不完整');
+            values[field.num] = readValue(buffer, offset, field.size, field.baseType, definition.littleEndian);
+            offset += field.size;
+        }
+        offset += definition.devSize;
+
+        if (typeof values[253] === 'number') {
+            lastTimestamp = values[253];
+        } else if (timeOffset !== null) {
+            lastTimestamp += (timeOffset - (lastTimestamp & 0x1F) + 0x20) % 0x20;
+            values[253] = lastTimestamp;
+        }
+        const name = MESSAGES[definition.globalNum];
+        if (name) output[`${name}s`].push(convertMessage(name, values));
+    }
+    return output;
+}
+
+module.exports = {
+    parseFit
+};
@@ -1,105 +1,221 @@
 /**
  * LINE Flex Message 組裝模組
- * 負責將餐廳資料轉換為精美的 Flex Carousel 卡片
+ * 負責將 Google Places 的餐廳資料轉換為精美的 Flex Carousel 卡片
+ * 卡片內容一律由程式依 Places 結構化資料產生，AI 只負責開場白與每家店的推薦餐點
  */
 
 /**
- * 將餐廳 JSON 陣列組裝為 LINE Flex Carousel Bubbles
- * @param {Array} restaurants - 餐廳資料陣列 (包含 name, rating, price, item, mapUrl)
+ * 確保網址為合法的 http(s) URI，並符合 LINE 的長度限制
+ * @param {string} url - 原始網址
+ * @param {string} fallbackName - 解析失敗時用來組裝 Google Map 搜尋的關鍵字
+ */
+function toSafeUri(url, fallbackName) {
+    let safeUrl = url || '';
+    try {
+        // 利用 new URL() 自動將其中的中文字元等進行 URL Encode 處理
+        safeUrl = new URL(safeUrl).href;
+        if (!safeUrl.startsWith('http://') && !safeUrl.startsWith('https://')) {
+            throw new Error('不合法的 URL Protocol');
+        }
+    } catch (e) {
+        // 若解析失敗，則組裝一個保證合法的 Search URL
+        safeUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(fallbackName || '餐廳')}`;
+    }
+
+    // 限制 URI 長度為 1000 以內 (LINE Messaging API 限制)
+    return safeUrl.length > 1000 ? safeUrl.slice(0, 1000) : safeUrl;
+}
+
+/**
+ * 營業狀態徽章 (有指定用餐時間時改顯示「該時間有營業」)
+ */
+function buildOpenBadge(openNow, targetTimeLabel) {
+    const isOpen = Boolean(targetTimeLabel) || openNow === true;
+    const label = targetTimeLabel ? '屆時營業' : openNow === true ? '營業中' : openNow === false ? '休息中' : '營業時間未知';
+    const color = isOpen ? '#03C755' : '#AAAAAA';
+    return {
+        type: 'box',
+        layout: 'baseline',
+        backgroundColor: color,
+        cornerRadius: 'md',
+        paddingStart: 'sm',
+        paddingEnd: 'sm',
+        flex: 0,
+        contents: [{ type: 'text', text: label, size: 'xxs', color: '#FFFFFF', weight: 'bold' }]
+    };
+}
+
+/**
+ * 將 Places 餐廳物件陣列組裝為 LINE Flex Carousel Bubbles
+ * @param {Array} places - places.js 整理後的餐廳物件 (name, rating, priceLevel, openNow, photoUrl, walkingMeters, mapUrl...)
+ * @param {Array<string>} dishes - 與 places 相同順序的 AI 推薦餐點 (可缺)
+ * @param {Object} [options] - { pollId } 群組投票 ID，有值時每張卡片附上「我投這家」按鈕
  * @returns {Array} LINE Flex Bubble 陣列 (最多 10 張)
  */
-function buildRestaurantCarousel(restaurants) {
-    return restaurants.slice(0, 10).map(r => {
-        let safeMapUrl = r.mapUrl || '';
-        try {
-            // 利用 new URL() 自動將其中的中文字元等進行 URL Encode 處理
-            safeMapUrl = new URL(safeMapUrl).href;
-            if (!safeMapUrl.startsWith('http://') && !safeMapUrl.startsWith('https://')) {
-                throw new Error('不合法的 URL Protocol');
-            }
-        } catch (e) {
-            // 若解析失敗，則組裝一個保證合法的 Search URL
-            const fallbackName = r.name || '餐廳';
-            safeMapUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(fallbackName)}`;
+function buildRestaurantCarousel(places, dishes = [], options = {}) {
+    return places.slice(0, 10).map((p, i) => {
+        const mapUri = toSafeUri(p.mapUrl, p.name);
+        const ratingText = p.rating ? `⭐ ${p.rating} (${p.userRatingsTotal || 0} 則評論)` : '⭐ 尚無評分';
+        const priceText = p.priceLevel ? '💰'.repeat(p.priceLevel) : '💰 價位未提供';
+
+        const bodyContents = [
+            {
+                type: 'box',
+                layout: 'horizontal',
+                spacing: 'sm',
+                contents: [
+                    { type: 'text', text: p.name || '未知名稱', weight: 'bold', size: 'lg', wrap: true, flex: 1 },
+                    buildOpenBadge(p.openNow, p.targetTimeLabel)
+                ]
+            },
+            { type: 'text', text: ratingText, size: 'sm', color: '#888888' },
+            { type: 'text', text: priceText, size: 'sm', color: '#888888' }
+        ];
+
+        if (p.targetTimeLabel) {
+            bodyContents.push({ type: 'text', text: `🕒 ${p.targetTimeLabel} 有營業`, size: 'sm', color: '#03C755', weight: 'bold' });
         }
+        if (p.walkingMeters) {
+            bodyContents.push({ type: 'text', text: `🚶 步行 ${p.walkingMeters}m・約 ${p.walkingMinutes} 分鐘`, size: 'sm', color: '#888888' });
+        }
+        bodyContents.push({ type: 'text', text: '🍜 ' + (dishes[i] || '看菜單隨你挑！'), size: 'sm', color: '#444444', wrap: true });
 
-        // 限制 URI 長度為 1000 以內 (LINE Messaging API 限制)
-        if (safeMapUrl.length > 1000) {
-            safeMapUrl = safeMapUrl.slice(0, 1000);
+        const footerButtons = [
+            {
+                type: 'button',
+                style: 'primary',
+                color: '#03C755',
+                action: {
+                    type: 'uri',
+                    label: 'Google Map 導航',
+                    uri: mapUri
+                }
+            }
+        ];
+        if (p.placeId) {
+            footerButtons.push({
+                type: 'button',
+                style: 'link',
+                height: 'sm',
+                action: {
+                    type: 'postback',
+                    label: '更多資訊',
+                    data: `action=detail&pid=${p.placeId}`
+                }
+            });
+        }
+        if (options.pollId && p.placeId) {
+            footerButtons.push({
+                type: 'button',
+                style: 'secondary',
+                action: {
+                    type: 'postback',
+                    label: '我投這家',
+                    data: `action=vote&poll=${options.pollId}&pid=${p.placeId}`,
+                    displayText: `我投 ${p.name}`.slice(0, 300)
+                }
+            });
         }
 
-        return {
+        const bubble = {
             type: 'bubble',
             body: {
                 type: 'box',
                 layout: 'vertical',
                 spacing: 'sm',
-                contents: [
-                    { type: 'text', text: r.name || '未知名稱', weight: 'bold', size: 'xl', wrap: true },
-                    { type: 'text', text: '⭐ ' + (r.rating || '無'), size: 'sm', color: '#888888' },
-                    { type: 'text', text: '💰 ' + (r.price || '無'), size: 'sm', color: '#888888' },
-                    { type: 'text', text: '🍜 ' + (r.item || '無'), size: 'sm', color: '#444444', wrap: true }
-                ]
+                contents: bodyContents
             },
             footer: {
                 type: 'box',
                 layout: 'vertical',
-                contents: [
-                    {
-                        type: 'button',
-                        style: 'primary',
-                        color: '#03C755',
-                        action: {
-                            type: 'uri',
-                            label: 'Google Map 導航',
-                            uri: safeMapUrl
-                        }
-                    }
-                ]
+                spacing: 'sm',
+                contents: footerButtons
             }
         };
+
+        if (p.photoUrl) {
+            bubble.hero = {
+                type: 'image',
+                url: toSafeUri(p.photoUrl),
+                size: 'full',
+                aspectRatio: '20:13',
+                aspectMode: 'cover',
+                action: { type: 'uri', uri: mapUri }
+            };
+        }
+
+        return bubble;
     });
 }
 
 /**
- * 嘗試將 AI 回應解析為 Flex Message + 純文字的訊息陣列
- * @param {string} aiResponse - AI 回應原文
- * @returns {Array|null} 訊息陣列，或 null 表示非 Flex 格式
+ * 將 Place Details 組裝為單張「更多資訊」Flex Bubble
+ * @param {Object} d - places.getPlaceDetails() 的結果
+ * @returns {Object} LINE Flex Message
  */
-function tryParseFlexResponse(aiResponse) {
-    const jsonMatch = aiResponse.match(/```(?:json)?\n([\s\S]*?)\n```/i);
-    if (!jsonMatch) return null;
+function buildPlaceDetailMessage(d) {
+    const section = (title, contents) => ({
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'xs',
+        contents: [{ type: 'text', text: title, size: 'sm', weight: 'bold', color: '#555555' }, ...contents]
+    });
+    const smallText = (text) => ({ type: 'text', text, size: 'xs', color: '#666666', wrap: true });
 
-    try {
-        const restaurants = JSON.parse(jsonMatch[1]);
-        const introText = aiResponse.replace(jsonMatch[0], '').trim();
-        const messages = [];
+    const reservableText = d.reservable === true ? '✅ 可以訂位' : d.reservable === false ? '❌ 不接受訂位' : '❔ 未提供訂位資訊';
+    const bodyContents = [
+        section('🕒 營業時間', d.weekdayText.length > 0 ? d.weekdayText.map(smallText) : [smallText('未提供')]),
+        section('📞 電話', [smallText(d.phone || '未提供')]),
+        section('📅 訂位', [smallText(reservableText)])
+    ];
+    if (d.reviews.length > 0) {
+        bodyContents.push(section('💬 精選評論', d.reviews.map(rv => {
+            const snippet = rv.text.length > 80 ? `${rv.text.slice(0, 80)}…` : rv.text;
+            return smallText(`${'⭐'.repeat(Math.round(rv.rating || 0))} ${rv.author}：${snippet || '(無內容)'}`);
+        })));
+    }
 
-        // 若教練有講前情提要，把它當作第一則訊息
-        if (introText) {
-            messages.push({ type: 'text', text: introText });
-        }
+    const footerButtons = [{
+        type: 'button',
+        style: 'primary',
+        color: '#03C755',
+        action: { type: 'uri', label: 'Google Map 導航', uri: toSafeUri(d.mapUrl, d.name) }
+    }];
+    if (d.phone) {
+        footerButtons.push({
+            type: 'button',
+            style: 'secondary',
+            action: { type: 'uri', label: '撥打電話', uri: `tel:${d.phone.replace(/[^\d+]/g, '')}` }
+        });
+    }
+    if (d.website) {
+        footerButtons.push({
+            type: 'button',
+            style: 'link',
+            action: { type: 'uri', label: '官方網站', uri: toSafeUri(d.website, d.name) }
+        });
+    }
 
-        const bubbles = buildRestaurantCarousel(restaurants);
-        if (bubbles.length > 0) {
-            messages.push({
-                type: 'flex',
-                altText: '史都華 (Stuart) 為你找了幾家好吃的 Banana! (請在手機看)',
-                contents: {
-                    type: 'carousel',
-                    contents: bubbles
-                }
-            });
+    return {
+        type: 'flex',
+        altText: `${d.name} 的詳細資訊`,
+        contents: {
+            type: 'bubble',
+            header: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [
+                    { type: 'text', text: d.name || '未知名稱', weight: 'bold', size: 'lg', wrap: true },
+                    { type: 'text', text: d.rating ? `⭐ ${d.rating} (${d.userRatingsTotal || 0} 則評論)` : '⭐ 尚無評分', size: 'sm', color: '#888888' }
+                ]
+            },
+            body: { type: 'box', layout: 'vertical', spacing: 'lg', contents: bodyContents },
+            footer: { type: 'box', layout: 'vertical', spacing: 'sm', contents: footerButtons }
         }
-
-        return messages.length > 0 ? messages : null;
-    } catch (e) {
-        console.log('Flex Message 解析失敗，降級為純文字輸出', e.message);
-        return null;
-    }
+    };
 }
 
 module.exports = {
-    buildRestaurantCarousel,
-    tryParseFlexResponse
+    buildPlaceDetailMessage,
+    buildRestaurantCarousel
 };
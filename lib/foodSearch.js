@@ -0,0 +1,178 @@
+/**
+ * 美食搜尋流程模組
+ * 負責判斷找餐廳意圖、呼叫 Google Places API，並組裝給 AI 的【真實世界餐廳清單】隱藏指令
+ */
+const { searchNearbyRestaurants, searchNearbyRestaurantsByCoords, fetchNextRestaurants, hasMoreRestaurants, formatRestaurantLine } = require('./places');
+const { getPlaceDetails } = require('./placeDetails');
+const { buildPlaceDetailMessage } = require('./flexBuilder');
+const { buildRestaurantMessages } = require('./restaurantMessages');
+const { saveSearchSession, getSearchSession, clearSearchSession } = require('./searchSession');
+const { extractFoodIntent, describeIntent } = require('./intent');
+const { resolveTargetTime, formatTaipeiTime } = require('./taipeiTime');
+const { isPlacesQuotaExceeded } = require('./placesQuota');
+const { extendPoll } = require('./voting');
+
+/**
+ * 將萃取出的欄位疊加到用餐偏好上 (這次訊息明確提到的料理與價位優先)
+ * @param {Object} prefs - 用餐偏好
+ * @param {Object} intent - intent.extractFoodIntent() 的結果
+ */
+function mergeIntentIntoPreferences(prefs, intent) {
+    const merged = { ...prefs };
+    if (intent.cuisine) merged.cuisine = intent.cuisine;
+    if (intent.priceMin !== null && intent.priceMin !== undefined) merged.minPrice = intent.priceMin;
+    if (intent.priceMax !== null && intent.priceMax !== undefined) merged.maxPrice = intent.priceMax;
+    return merged;
+}
+
+/**
+ * 從使用者的文字中萃取找餐廳意圖與欄位，並以欄位組出 Google Places 查詢 (含指定用餐時間)
+ * @param {string} inputText - 使用者輸入文字
+ * @param {Object} prefs - 用餐偏好
+ * @returns {Promise<{ places: Array, intent: Object|null, pager: Object|null }>} 非找餐廳意圖、缺少地點或查詢失敗時 places 為空陣列
+ */
+async function findRestaurantsForText(inputText, prefs) {
+    if (!inputText) return { places: [], intent: null, pager: null };
+
+    const intent = await extractFoodIntent(inputText);
+    console.log(`[意圖偵測] 輸入文字: "${inputText}", 是否匹配餐廳查詢: ${intent.isFoodIntent}, 欄位: ${describeIntent(intent) || '無'}`);
+    // 沒有地點就無從搜尋，交由教練請使用者傳送位置資訊
+    if (!intent.isFoodIntent || !intent.location) return { places: [], intent, pager: null };
+
+    try {
+        // 有指定用餐時間 (如「週四 6:30」「明天早餐」) 就改找當時有營業的店家
+        const targetTime = resolveTargetTime(intent.time);
+        console.log(`[Google API 請求] 地點: "${intent.location}", 料理: "${intent.cuisine || prefs.cuisine || '不限'}", 時間: ${targetTime ? formatTaipeiTime(targetTime) : '現在'}`);
+        const { places, pager } = await searchNearbyRestaurants(intent.location, mergeIntentIntoPreferences(prefs, intent), { targetTime });
+        console.log(`[Google API 結果] 找到 ${places.length} 家餐廳`);
+        return { places, intent, pager };
+    } catch (e) {
+        console.log('文字地點萃取 Google Places API 失敗或無結果', e.message);
+        return { places: [], intent, pager: null };
+    }
+}
+
+/**
+ * 依 LINE 位置訊息搜尋附近餐廳
+ * 有座標就用座標搜尋 (依距離排序)，沒有才退回用位置文字做關鍵字搜尋
+ * @param {Object} message - LINE location message (latitude, longitude, title, address)
+ * @param {Object} prefs - 用餐偏好
+ * @returns {Promise<{ places: Array, pager: Object|null }>}
+ */
+async function findRestaurantsForLocation(message, prefs) {
+    const { latitude, longitude, title, address } = message;
+    try {
+        return (typeof latitude === 'number' && typeof longitude === 'number')
+            ? await searchNearbyRestaurantsByCoords(latitude, longitude, prefs)
+            : await searchNearbyRestaurants(title || address || '', prefs);
+    } catch (e) {
+        console.log('取得 Google Places API 失敗或無結果', e.message);
+        return { places: [], pager: null };
+    }
+}
+
+/**
+ * 記住此來源這次的搜尋結果，供「再推薦幾家」接續使用
+ * @param {string} sourceId - groupId / roomId / userId
+ * @param {Object|null} pager - 搜尋回傳的分頁狀態
+ * @returns {boolean} 是否還有下一批可推薦 (決定卡片是否附上「再推薦幾家」)
+ */
+function rememberSearch(sourceId, pager) {
+    if (!pager) return false;
+    saveSearchSession(sourceId, pager);
+    return hasMoreRestaurants(pager);
+}
+
+/**
+ * 處理「再推薦幾家」(快速回覆、卡片上的「下一頁」Postback 或文字指令)
+ * 直接由 Places 資料產生下一批卡片，不再呼叫 AI；群組中新店家會併入進行中的投票
+ * @param {Object} ctx - { sourceId, isGroup, client, sendMessage }
+ */
+async function handleMoreRestaurants(ctx) {
+    const pager = getSearchSession(ctx.sourceId);
+    if (!pager) {
+        return ctx.sendMessage({ type: 'text', text: '上一輪的餐廳清單已經過期囉～再跟史都華說一次想吃什麼吧！🍌' });
+    }
+
+    const places = await fetchNextRestaurants(pager);
+    if (places.length === 0) {
+        clearSearchSession(ctx.sourceId);
+        const text = isPlacesQuotaExceeded()
+            ? '教練今天的餐廳查詢額度用完了，晚點再來問我吧！🍌'
+            : '符合條件的店家都推薦完囉～換個地點或條件再問史都華吧！🍌';
+        return ctx.sendMessage({ type: 'text', text });
+    }
+
+    const pollId = ctx.isGroup ? extendPoll(ctx.sourceId, places, ctx.client) : null;
+    const intro = `Bello! 🍌 再幫你找了 ${places.length} 家，都是剛剛沒推薦過的！`;
+    return ctx.sendMessage(buildRestaurantMessages(intro, places, { pollId, hasMore: hasMoreRestaurants(pager) }));
+}
+
+/**
+ * 組裝注入給 AI 的隱藏指令：真實餐廳清單 + 用餐偏好 + 回覆格式要求
+ * @param {Array} places - 餐廳物件陣列
+ * @param {string} prefsDesc - describePreferences() 的結果
+ * @param {Object} [intent] - 這次訊息萃取出的欄位 (時間、人數等)
+ */
+function buildRestaurantContext(places, prefsDesc, intent = null) {
+    if (!places || places.length === 0) {
+        return intent?.isFoodIntent ? (buildQuotaExceededContext() || buildNoResultsContext(intent)) : '';
+    }
+
+    let ctx = `\n\n【真實世界餐廳清單】：\n` + places.map((p, i) => formatRestaurantLine(p, i + 1)).join('\n');
+    const intentDesc = intent ? describeIntent(intent) : '';
+    if (intentDesc) {
+        ctx += `\n\n【使用者需求】：${intentDesc}`;
+    }
+    if (prefsDesc) {
+        ctx += `\n\n【用餐偏好】(推薦店家與餐點時必須遵守)：\n${prefsDesc}`;
+    }
+    ctx += `\n\n【重要指令】：系統會依以上清單自動產生餐廳卡片，你「絕對不可」推薦清單以外的店家。請只回覆『一句話』開場白，接著附上 \`\`\`json 區塊，以清單編號對應每家店你推薦的一道餐點，例如 {"1": "豚骨拉麵", "2": "炸雞定食"}。`;
+    return ctx;
+}
+
+/**
+ * 找餐廳意圖但沒有查到任何店家 (沒說地點或 Places 查無結果) 時注入的隱藏指令，避免 AI 自行編造店家
+ */
+function buildNoResultsContext(intent) {
+    const reason = intent.location
+        ? `系統在「${intent.location}」找不到符合條件且營業中的餐廳，請回報找不到，並建議換個區域、料理或時間再問`
+        : '使用者沒有說明要在哪裡吃，請先詢問想找的地區，或請他直接傳送所在位置';
+    return `\n\n【重要指令】：${reason}。清單為空時「絕對不可」自己憑空捏造任何店家名單！`;
+}
+
+/**
+ * 今日 Places API 已達上限時注入的隱藏指令 (未達上限時回傳空字串)
+ * 已查過的地點仍可能命中快取，因此請使用者改傳位置或稍後再試，而不是讓 AI 自行編造店家
+ */
+function buildQuotaExceededContext() {
+    if (!isPlacesQuotaExceeded()) return '';
+    return '\n\n【重要指令】：系統今日的餐廳查詢額度已用完，請告訴使用者目前查不到即時店家資料，可以改傳送所在位置或稍後再試，絕對不要自己捏造店家名單！';
+}
+
+/**
+ * 處理餐廳卡片上的「更多資訊」Postback
+ * @param {Object} ctx - { sendMessage }
+ * @param {URLSearchParams} params - { pid }
+ */
+async function handleRestaurantDetailPostback(ctx, params) {
+    const placeId = params.get('pid');
+    if (!placeId) return null;
+
+    try {
+        const details = await getPlaceDetails(placeId);
+        return ctx.sendMessage(buildPlaceDetailMessage(details));
+    } catch (e) {
+        return ctx.sendMessage({ type: 'text', text: '教練一時查不到這家店的詳細資料，請稍後再試一次！🍌' });
+    }
+}
+
+module.exports = {
+    handleRestaurantDetailPostback,
+    handleMoreRestaurants,
+    rememberSearch,
+    findRestaurantsForText,
+    findRestaurantsForLocation,
+    buildRestaurantContext,
+    buildQuotaExceededContext
+};
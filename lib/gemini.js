@@ -51,7 +51,30 @@ const apiUsageTracker = {
   flashCount: 0 // gemini-2.5-flash 的當日使用次數
 };
 
-const FLASH_LIMIT_DISPLAY = FLASH_LIMIT; // 用於顯示
+// 檢查是否需要重置每日計額 (以台北時間為準)，回傳今天的日期字串
+function syncUsageDate() {
+  const todayStr = new Date().toLocaleDateString('zh-TW', { timeZone: 'Asia/Taipei' });
+  if (apiUsageTracker.date !== todayStr) {
+    apiUsageTracker.date = todayStr;
+    apiUsageTracker.flashCount = 0;
+    console.log(`[系統通知] ${todayStr} 每日 API 用量計數重置。`);
+  }
+  return todayStr;
+}
+
+/**
+ * 決定使用的模型 (優先 2.5-flash，快到上限則改用 flash-lite)
+ * 所有 Gemini 視覺 / 對話呼叫都應經過此函式與 recordModelUsage()，才會計入每日額度與自動降級
+ */
+function selectTrackedModel() {
+  syncUsageDate();
+  return apiUsageTracker.flashCount >= FLASH_THRESHOLD ? 'gemini-2.5-flash-lite' : 'gemini-2.5-flash';
+}
+
+// 呼叫成功後，如果是使用 flash 則增加計數
+function recordModelUsage(model) {
+  if (model === 'gemini-2.5-flash') apiUsageTracker.flashCount++;
+}
 
 function getOpenRouterModels() {
   const preferredModel = (process.env.OPENROUTER_MODEL || OPENROUTER_MODEL_DEFAULT).trim();
@@ -166,20 +189,7 @@ async function generateChatReply(userMessage, imageBase64 = null, userId = null,
   // 1. 優先使用 Gemini
   if (process.env.GEMINI_API_KEY) {
     try {
-      // 檢查是否需要重置每日計額 (以台北時間為準)
-      const todayStr = new Date().toLocaleDateString('zh-TW', { timeZone: 'Asia/Taipei' });
-      if (apiUsageTracker.date !== todayStr) {
-        apiUsageTracker.date = todayStr;
-        apiUsageTracker.flashCount = 0;
-        console.log(`[系統通知] ${todayStr} 每日 API 用量計數重置。`);
-      }
-
-      // 決定使用的模型 (優先 2.5-flash，快到上限則改用 flash-lite)
-      let selectedModel = 'gemini-2.5-flash';
-      if (apiUsageTracker.flashCount >= FLASH_THRESHOLD) {
-        selectedModel = 'gemini-2.5-flash-lite';
-      }
-
+      const selectedModel = selectTrackedModel();
       console.log(`[Gemini API 請求] 模型: ${selectedModel}, 今日 Flash 已用量: ${apiUsageTracker.flashCount}`);
 
       const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -207,10 +217,7 @@ async function generateChatReply(userMessage, imageBase64 = null, userId = null,
       const response = await result.response;
       finalReply = (response.text() || '').trim();
 
-      // 成功後，如果是使用 flash 則增加計數
-      if (selectedModel === 'gemini-2.5-flash') {
-        apiUsageTracker.flashCount++;
-      }
+      recordModelUsage(selectedModel);
     } catch (err) {
       console.warn('Gemini chat error:', err.message);
     }
@@ -254,12 +261,7 @@ async function generateChatReply(userMessage, imageBase64 = null, userId = null,
  * 取得當前 API 使用量狀態描述
  */
 function getApiUsageStatus() {
-  const todayStr = new Date().toLocaleDateString('zh-TW', { timeZone: 'Asia/Taipei' });
-  // 確保日期同步
-  if (apiUsageTracker.date !== todayStr) {
-    apiUsageTracker.date = todayStr;
-    apiUsageTracker.flashCount = 0;
-  }
+  const todayStr = syncUsageDate();
 
   const remaining = Math.max(0, FLASH_LIMIT - apiUsageTracker.flashCount);
   const currentModel = apiUsageTracker.flashCount >= FLASH_THRESHOLD ? 'gemini-2.5-flash-lite (節能降級模式)' : 'gemini-2.5-flash (標準高品質模式)';
@@ -289,6 +291,9 @@ function getUserHistory(userId) {
 }
 
 module.exports = {
+  getOpenRouterModels,
+  selectTrackedModel,
+  recordModelUsage,
   generateChatReply,
   getApiUsageStatus,
   getUserHistory
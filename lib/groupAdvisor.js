@@ -0,0 +1,218 @@
+/**
+ * 分組建議模組 (純計算，數字不交給模型猜)
+ * 由近期比賽成績、間歇每趟秒數或 Strava 活動推算 VDOT 跑力與全馬 / 半馬 / 10K 等效成績，
+ * 再對照課表各組的 SUB 目標，建議適合的組別，以及想挑戰快一組需要的間歇配速
+ */
+const {
+    RACE_DISTANCE_KM, RACE_LABELS, RACE_NAME, toRaceKey, parseDuration, formatDuration, paceFromSplit, splitSeconds,
+    parseTargetSeconds, vdotFromPerformance, predictSeconds, paceForEffort, vdotFromEffortPace
+} = require('./pace');
+const { paceToSeconds } = require('./scheduleSessions');
+const { getCachedSchedule } = require('./scheduleStore');
+const { getMyGroup } = require('./myGroup');
+const { STRAVA_LINK_PATTERN, fetchStravaActivity } = require('./strava');
+const {
+    PREDICT_INTERVAL_EFFORT_MINUTES, PREDICT_MIN_ACTIVITY_METERS, PREDICT_BEST_EFFORT_METERS, PREDICT_DEFAULT_INTERVAL_METERS
+} = require('./constants');
+
+const COMMAND_PATTERN = /^(?:分組建議|分組預測|成績預測|預測成績|跑力(?:預測)?|我(?:適合|該跑|該在|要跑)哪一?組)\s*([\s\S]*)$/i;
+const RACE_TIME = String.raw`(\d{1,2}(?:[:'’′分]\d{1,2}){0,2}["”″秒]?)`;
+const RACE_PATTERNS = [
+    new RegExp(String.raw`^${RACE_NAME}\s*${RACE_TIME}$`, 'i'),
+    new RegExp(String.raw`^${RACE_TIME}\s*${RACE_NAME}$`, 'i')
+];
+// 間歇每趟秒數，如「800m 3:10 3:08 3:12」「1000m x5 3:50」
+const INTERVAL_PATTERN = /^(\d{3,4})\s*(?:m|公尺|米)\s*(?:[xX×*]\s*\d+\s*)?((?:\d{1,2}[:'’′分]\d{1,2}["”″秒]?[\s,，、/]*)+)$/i;
+const PREDICTED_RACES = ['full', 'half', '10k', '5k'];
+const STRAVA_EFFORT_NOTE = '※ Strava 活動請用比賽或全力測驗，輕鬆跑、課表練習推估出來的跑力會偏低喔！';
+
+/**
+ * 解析使用者提供的成績
+ * @returns {{ type: 'race'|'interval', meters: number, seconds: number, label: string }|null}
+ */
+function parseEffort(body) {
+    for (const pattern of RACE_PATTERNS) {
+        const match = body.match(pattern);
+        if (!match) continue;
+        const [raceText, timeText] = pattern === RACE_PATTERNS[0] ? [match[1], match[2]] : [match[2], match[1]];
+        const raceKey = toRaceKey(raceText);
+        const seconds = parseTargetSeconds(timeText.replace(/[’'′分]/g, ':').replace(/["”″秒]/g, ''), raceKey);
+        if (!seconds) return null;
+        return { type: 'race', raceKey, meters: RACE_DISTANCE_KM[raceKey] * 1000, seconds, label: `${RACE_LABELS[raceKey]} ${formatDuration(seconds)}` };
+    }
+
+    const match = body.match(INTERVAL_PATTERN);
+    if (!match) return null;
+    const times = match[2].match(/\d{1,2}[:'’′分]\d{1,2}/g).map(parseDuration).filter(Boolean);
+    if (times.length === 0) return null;
+    const meters = parseInt(match[1], 10);
+    const average = times.reduce((sum, t) => sum + t, 0) / times.length;
+    const label = times.length > 1 ? `${meters}m × ${times.length} 趟平均 ${formatDuration(average)}` : `${meters}m ${formatDuration(average)}`;
+    return { type: 'interval', meters, seconds: average, label };
+}
+
+function computeVdot(effort) {
+    if (effort.type === 'interval') {
+        return vdotFromEffortPace(paceFromSplit(effort.seconds, effort.meters), PREDICT_INTERVAL_EFFORT_MINUTES);
+    }
+    return vdotFromPerformance(effort.meters, effort.seconds);
+}
+
+/**
+ * 某組課表裡第一組間歇的目標配速 (秒/公里) 與趟距離
+ */
+function findGroupIntervalPace(group) {
+    for (const day of group.days) {
+        for (const session of day.sessions.filter(s => s.type === 'interval')) {
+            const set = session.sets.find(s => s.paces.length > 0);
+            if (set) return { paceSeconds: paceToSeconds(set.paces[0]), meters: set.distance };
+        }
+    }
+    return null;
+}
+
+/**
+ * 某段距離在活動中最快的連續區段秒數 (依時間 / 距離串流以雙指標搜尋，區段終點以線性比例換算到剛好該距離)
+ * @returns {number|null} 活動距離不足或沒有串流時回傳 null
+ */
+function fastestSegmentSeconds(samples, meters) {
+    let best = null;
+    let start = 0;
+    for (let end = 1; end < samples.length; end++) {
+        while (start + 1 < end && samples[end].distance - samples[start + 1].distance >= meters) start++;
+        const covered = samples[end].distance - samples[start].distance;
+        if (covered < meters) continue;
+        const seconds = (samples[end].time - samples[start].time) * meters / covered;
+        if (best === null || seconds < best) best = seconds;
+    }
+    return best;
+}
+
+/**
+ * Strava 活動中跑力最高的最佳區段 (5K / 10K / 半馬)；沒有串流時以整趟活動計算
+ * @returns {{ type: 'race', meters: number, seconds: number, label: string }}
+ */
+function findStravaEffort(page) {
+    const { distance, movingTime } = page.activity.scalars;
+    const { time = [], distance: distances = [] } = page.activity.streams || {};
+    const samples = time.map((t, i) => ({ time: t, distance: distances[i] }))
+        .filter(s => typeof s.time === 'number' && typeof s.distance === 'number');
+    const title = `Strava「${page.title || '活動'}」`;
+
+    const best = PREDICT_BEST_EFFORT_METERS
+        .map(meters => ({ meters, seconds: fastestSegmentSeconds(samples, meters) }))
+        .filter(e => e.seconds)
+        .map(e => ({ ...e, vdot: vdotFromPerformance(e.meters, e.seconds) }))
+        .sort((a, b) => b.vdot - a.vdot)[0];
+    if (!best) {
+        return { type: 'race', meters: distance, seconds: movingTime, label: `${title}${(distance / 1000).toFixed(2)}K ${formatDuration(movingTime)}` };
+    }
+    const seconds = Math.round(best.seconds);
+    return { type: 'race', meters: best.meters, seconds, label: `${title}最快 ${+(best.meters / 1000).toFixed(1)}K 區段 ${formatDuration(seconds)}` };
+}
+
+/**
+ * 依預測成績對照某大項各組的 SUB 目標
+ * 適合的組別為目標不快於預測成績的組別中最快的一組，並附上快一組的資料
+ * @returns {{ division, predicted: number, fit, faster, slowerThanAll: boolean }|null} 各組都沒有可換算的目標時回傳 null
+ */
+function placeInDivision(division, vdot) {
+    const groups = division.groups
+        .map(group => ({ group, target: parseTargetSeconds(group.target, division.key) }))
+        .filter(g => g.target)
+        .sort((a, b) => a.target - b.target);
+    if (groups.length === 0 || !RACE_DISTANCE_KM[division.key]) return null;
+
+    const predicted = predictSeconds(vdot, RACE_DISTANCE_KM[division.key] * 1000);
+    const index = groups.findIndex(g => g.target >= predicted);
+    const fitIndex = index === -1 ? groups.length - 1 : index;
+    return { division, predicted, fit: groups[fitIndex], faster: groups[fitIndex - 1] || null, slowerThanAll: index === -1 };
+}
+
+/**
+ * 挑戰快一組需要的間歇配速：優先採用課表上該組寫的配速，沒寫時依該組目標的跑力換算
+ */
+function describeFasterGroup(division, faster) {
+    const scheduled = findGroupIntervalPace(faster.group);
+    const paceSeconds = scheduled?.paceSeconds
+        || paceForEffort(vdotFromPerformance(RACE_DISTANCE_KM[division.key] * 1000, faster.target), PREDICT_INTERVAL_EFFORT_MINUTES);
+    const meters = scheduled?.meters || PREDICT_DEFAULT_INTERVAL_METERS;
+    return `想挑戰 ${faster.group.name}組 (${faster.group.target})，間歇要能跑 ${formatDuration(Math.round(paceSeconds))}/km (${meters}m ${formatDuration(Math.round(splitSeconds(paceSeconds, meters)))})。`;
+}
+
+function formatPlacement(placement) {
+    const { division, fit, faster, slowerThanAll } = placement;
+    const fitText = `${fit.group.name}組 (${fit.group.target})`;
+    if (slowerThanAll) {
+        return `📋 對照${division.label}課表：建議先從 ${fitText} 開始，把有氧底子打好再往前一組挑戰 💪`;
+    }
+    if (!faster) {
+        return `📋 對照${division.label}課表：你的跑力已經達到最快的 ${fitText} 目標，放心跟著練！🔥`;
+    }
+    return `📋 對照${division.label}課表：你適合 ${fitText} 👍\n${describeFasterGroup(division, faster)}`;
+}
+
+/**
+ * 組出預測與分組建議的回覆
+ * @param {Object} effort - parseEffort() 的結果 (Strava 活動亦同格式)
+ * @param {Object|null} schedule - 來源目前的課表
+ * @param {string|null} preferredDivision - 使用者登記的大項
+ */
+function buildAdviceText(effort, schedule, preferredDivision) {
+    const vdot = computeVdot(effort);
+    const predictions = PREDICTED_RACES
+        .map(key => `${RACE_LABELS[key]} ${formatDuration(Math.round(predictSeconds(vdot, RACE_DISTANCE_KM[key] * 1000)))}`)
+        .join('｜');
+    let text = `🔮 跑力預測｜依 ${effort.label} 推算 (VDOT ${vdot.toFixed(1)})\n${predictions}`;
+
+    const divisions = schedule?.divisions || [];
+    const division = divisions.find(d => d.key === preferredDivision)
+        || divisions.find(d => d.key === effort.raceKey)
+        || divisions[0];
+    const placement = division ? placeInDivision(division, vdot) : null;
+    text += '\n━━━━━━━━━━━━━━\n';
+    if (placement) text += formatPlacement(placement);
+    else text += schedule ? '目前的課表沒有寫各組的 SUB 目標，沒辦法幫你對照組別 🙈' : '教練還沒有這個聊天室的課表，貼上課表後就能幫你對照組別喔！';
+    text += '\n\n※ 以 Daniels VDOT 公式換算，前提是有對應距離的訓練量；全馬還要看長跑耐力喔！';
+    return text;
+}
+
+/**
+ * 「分組建議 半馬 1:38:20」「我適合哪組 800m 3:10 3:08 3:12」「分組建議 <Strava 連結>」
+ * @param {Object} ctx - { text, sourceId, userId, sendMessage }
+ * @returns {Promise|null} 若不是分組建議指令則回傳 null
+ */
+function handleGroupAdvisorCommand(ctx) {
+    const stravaUrl = ctx.text.match(STRAVA_LINK_PATTERN)?.[0];
+    const body = ctx.text.replace(STRAVA_LINK_PATTERN, '').replace(/史都華|stuart|stu/ig, '').trim();
+    const match = body.match(COMMAND_PATTERN);
+    if (!match) return null;
+
+    const schedule = getCachedSchedule(ctx.sourceId);
+    const preferredDivision = getMyGroup(ctx.sourceId, ctx.userId)?.division || null;
+    const usage = '給我一個近期成績就能幫你預測並對照組別，例如：\n・「stu 分組建議 半馬 1:38:20」\n・「stu 分組建議 800m 3:10 3:08 3:12」(間歇每趟秒數)\n・「stu 分組建議」加上 Strava 活動連結';
+
+    if (stravaUrl) {
+        return fetchStravaActivity(stravaUrl)
+            .catch(err => {
+                console.error('[分組建議] Strava 活動下載失敗:', err.message);
+                return null;
+            })
+            .then(page => {
+                const { distance, movingTime } = page?.activity?.scalars || {};
+                if (!distance || !movingTime || distance < PREDICT_MIN_ACTIVITY_METERS) {
+                    return ctx.sendMessage({ type: 'text', text: `這個 Strava 活動讀不到距離和時間 (或距離太短) 耶～\n\n${usage}` });
+                }
+                const text = buildAdviceText(findStravaEffort(page), schedule, preferredDivision);
+                return ctx.sendMessage({ type: 'text', text: `${text}\n${STRAVA_EFFORT_NOTE}` });
+            });
+    }
+
+    const effort = parseEffort(match[1].trim());
+    if (!effort) return ctx.sendMessage({ type: 'text', text: usage });
+    return ctx.sendMessage({ type: 'text', text: buildAdviceText(effort, schedule, preferredDivision) });
+}
+
+module.exports = {
+    handleGroupAdvisorCommand
+};
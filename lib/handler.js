@@ -1,12 +1,27 @@
 /**
  * LINE 訊息處理 (純對話模式)
  */
-const { generateChatReply, getApiUsageStatus, getUserHistory } = require('./gemini');
-const { searchNearbyRestaurants } = require('./places');
-const { extractStravaStats } = require('./strava');
-const { isTrainingSchedule, parseSchedule, formatGroupResult, buildGroupQuickReply, cacheSchedule, getCachedSchedule, isGroupSelection, getLatestSchedule, getThisWeekSchedule, isDateInPeriod } = require('./schedule');
+const { generateChatReply, getApiUsageStatus } = require('./gemini');
+const { findRestaurantsForText, findRestaurantsForLocation, buildRestaurantContext, buildQuotaExceededContext, handleRestaurantDetailPostback, handleMoreRestaurants, rememberSearch } = require('./foodSearch');
+const { getPlacesUsageStatus } = require('./placesQuota');
+const { STRAVA_LINK_PATTERN } = require('./strava');
+const { analyzeStravaShare } = require('./stravaCompliance');
+const { analyzeActivityFile } = require('./activityFile');
+const { recordSharedActivity, handleLeaderboardCommand } = require('./leaderboard');
+const { handleScheduleCommand, handlePaceBandPostback } = require('./scheduleCommands');
+const { handleMyGroupCommand } = require('./myGroup');
+const { handleCalendarCommand } = require('./scheduleCalendar');
+const { handleScheduleVersionCommand } = require('./scheduleVersions');
+const { handleScheduleFormatCommand } = require('./scheduleTemplates');
+const { handleGroupAdvisorCommand } = require('./groupAdvisor');
+const { handleHeartRateCommand } = require('./heartRate');
+const { handlePaceCommand } = require('./paceConverter');
 const { downloadAndCompress, buildImageSystemContext, enqueueImage } = require('./imageHandler');
-const { tryParseFlexResponse } = require('./flexBuilder');
+const { buildRestaurantMessages } = require('./restaurantMessages');
+const { getEffectivePreferences, describePreferences, handlePreferenceCommand, handlePreferencePostback } = require('./preferences');
+const { openPoll, handleVotePostback, handleSettleCommand } = require('./voting');
+const { handleNutritionCommand } = require('./nutrition');
+const { noteGroupMember, getEffectiveRestrictions, applyRestrictionsToPreferences, buildDietaryContext, handleDietaryCommand } = require('./dietary');
 
 // 儲存正在收集的多張圖片批次處理器 (以 userId 為 Key)
 const imageBatchQueue = new Map();
@@ -67,81 +82,64 @@ async function handleMessage(event, client, blobClient) {
 
   console.log(`[對話來源] ${sourceId} (${displayName}): ${event.message.type === 'text' ? event.message.text : '[' + event.message.type + ']'}`);
 
-  // 共用的私有函式：從使用者的附帶文字中擷取找餐廳意圖並呼叫 Google Places API
-  async function extractRealRestaurants(inputText) {
-    const textDesc = inputText.toLowerCase();
-
-    // 判斷是否具備找餐廳的雙重意圖特徵：[地點副詞] + [食物名詞]
-    const hasLocationKeyword = ['附近', '周遭', '周邊', '推薦'].some(k => textDesc.includes(k));
-    const hasFoodKeyword = ['美食', '吃', '餐廳', '好料'].some(k => textDesc.includes(k));
-
-    const isFoodIntent = hasLocationKeyword && hasFoodKeyword;
-
-    let resultStr = '';
-    console.log(`[意圖偵測] 輸入文字: "${inputText}", 是否匹配餐廳查詢: ${isFoodIntent}`);
-
-    if (isFoodIntent) {
-      try {
-        const cleanKeyword = inputText.replace(/史都華|stuart|stu/ig, '').trim();
-        console.log(`[Google API 請求] 關鍵字: "${cleanKeyword}"`);
-
-        const apiResults = await searchNearbyRestaurants(cleanKeyword);
-        console.log(`[Google API 結果] 找到 ${apiResults.length} 家餐廳`);
-
-        if (apiResults.length > 0) {
-          resultStr = `\n\n【真實世界餐廳清單】：\n` + apiResults.join('\n');
-        } else {
-          console.log('Google Places API 無結果回傳 (可能查無餐廳)');
-        }
-      } catch (e) {
-        console.log('文字地點萃取 Google Places API 失敗或無結果', e.message);
-      }
-    }
-    return resultStr;
-  }
+  // 此來源的用餐偏好 (群組設定為主，個人設定補充)，用於 Places 查詢與 AI 提示
+  // 飲食限制在群組中取成員聯集，同時套用到 Places 過濾與所有對話的隱藏指令
+  const isGroupChat = event.source.type !== 'user';
+  if (isGroupChat) noteGroupMember(sourceId, userId);
+  const dietary = getEffectiveRestrictions(sourceId, userId);
+  const dietaryContext = buildDietaryContext(dietary, isGroupChat);
+  const basePrefs = getEffectivePreferences(sourceId, userId);
+  const foodPrefsDesc = describePreferences(basePrefs);
+  const foodPrefs = applyRestrictionsToPreferences(basePrefs, dietary);
 
   let promptText = '';
   let systemContextText = '';
   let imageBase64 = null;
+  // 本次回覆要做成卡片的真實餐廳 (Places 結構化資料) 與供「再推薦幾家」接續的分頁狀態
+  let restaurants = [];
+  let searchPager = null;
+  // 在 AI 回覆前先送出的訊息 (如 Strava 間歇達成表)
+  let leadMessages = [];
 
   if (event.message.type === 'location') {
     const address = event.message.address || '';
     const title = event.message.title || '';
-    // 收到位置資訊後，先偷偷打給 Google Places API 取回附近最高分的 5 間營業中餐廳
-    let realRestaurantsStr = '';
-    try {
-      // 給出明確的關鍵字給 Places API，利用使用者的位置文字
-      const searchKeyword = title || address;
-      const apiResults = await searchNearbyRestaurants(searchKeyword);
-      if (apiResults.length > 0) {
-        realRestaurantsStr = `\n\n【真實世界餐廳清單】：\n` + apiResults.join('\n');
-      }
-    } catch (e) {
-      console.log('取得 Google Places API 失敗或無結果', e.message);
-    }
+    // 收到位置資訊後，先偷偷打給 Google Places API 取回步行範圍內最高分的 5 間營業中餐廳
+    ({ places: restaurants, pager: searchPager } = await findRestaurantsForLocation(event.message, foodPrefs));
 
     promptText = `[使用者傳送了所在位置] 標題：${title}, 地址：${address}。請依據此地點推薦我有什麼好吃的？`;
-    if (realRestaurantsStr) {
-      systemContextText = `${realRestaurantsStr}\n\n【重要指令】：請你「唯一且絕對必須」從以上提供的【真實世界餐廳清單】中，依照你史都華的口吻包裝推薦給使用者，不要自己憑空捏造名單！如果清單為空，請回報找不到營業中的好餐廳。`;
-    }
+    systemContextText = buildRestaurantContext(restaurants, foodPrefsDesc) || buildQuotaExceededContext() ||
+      '\n\n【重要指令】：系統在這個位置的步行範圍內找不到營業中的好餐廳，請直接回報找不到，不要自己憑空捏造名單！';
   } else if (event.message.type === 'text') {
     const text = (event.message.text || '').trim();
     // 設定呼叫關鍵字，避免群組內每句話都回覆
     const triggerKeywords = ['史都華', 'stuart', 'Stuart', 'stu', 'Stu'];
     const isTriggered = triggerKeywords.some(keyword => text.includes(keyword));
 
+    // 群組揪吃投票進行中時，任何人說「結算」即可結束投票 (不需呼叫史都華)
+    if (/^(?:史都華|stuart|stu)?\s*結算$/i.test(text)) {
+      const settleReply = handleSettleCommand({ sourceId, sendMessage });
+      if (settleReply) return settleReply;
+    }
+
     // 群組中防干擾機制：如果不是特定關鍵句，也不是提及/回覆，就不要理會
-    if (!isTriggered && event.source.type !== 'user') {
-      return Promise.resolve(null);
+    // (分享的 Strava 活動仍默默記錄，供里程排行使用)
+    if (!isTriggered && isGroupChat) {
+      const sharedLink = text.match(STRAVA_LINK_PATTERN);
+      return sharedLink ? recordSharedActivity(sharedLink[0], sourceId, { userId, displayName }) : Promise.resolve(null);
     }
 
+    // 配速 / 圈速換算是純計算，直接回覆不經過 LLM (群組中同樣需要呼叫史都華)
+    const paceReply = handlePaceCommand({ text, sendMessage });
+    if (paceReply) return paceReply;
+
     // --- 1. 先檢查是否為特別的系統查詢指令 (管理員限定) ---
     const adminId = process.env.ADMIN_USER_ID;
     const isSystemQuery = (text === '使用量' || text === '用量查詢' || text === '查用量');
 
     if (isSystemQuery) {
       if (adminId && userId === adminId) {
-        const usageStatus = getApiUsageStatus();
+        const usageStatus = `${getApiUsageStatus()}\n\n${getPlacesUsageStatus()}`;
         return sendMessage({ type: 'text', text: usageStatus });
       } else if (isSystemQuery && event.source.type === 'user') {
         // 如果是私訊且想查但不是管理員，可以幽默回應或直接忽略
@@ -150,162 +148,77 @@ async function handleMessage(event, client, blobClient) {
       }
     }
 
-    // --- 2. 檢查是否為「課表X組」的組別選擇指令 (必須最優先，以免被下方模糊匹配蓋過) ---
-    const selectedGroup = isGroupSelection(text);
-    if (selectedGroup) {
-      const cached = getCachedSchedule(sourceId);
-      if (cached) {
-        const result = formatGroupResult(cached, selectedGroup);
-        if (result) {
-          return sendMessage({ type: 'text', text: `Bello! 🍌\n\n${result}` });
-        } else {
-          return sendMessage({ type: 'text', text: `找不到全馬${selectedGroup}組的資料耶，確認一下課表裡有沒有這組？` });
-        }
-      } else {
-        return sendMessage({ type: 'text', text: '教練的記憶體裡沒有存到課表耶～請重新貼一次課表給我！' });
-      }
-    }
-
-    // --- 3. 檢查是否為「課表」查詢指令 (模糊匹配，支援指定日期與相對週次) ---
-    const isScheduleQuery = (text.includes('課表') || text.includes('訓練表')) && text.length < 15;
-
-    if (isScheduleQuery) {
-      // 判斷查詢意圖的指定日期或週次偏移
-      let targetDate = new Date();
-      let targetWeekName = '本週';
-      let isSpecificQuery = false; // 是否為非「本週」的明確查詢
-
-      // 擷取指定日期 (例如 "3/5" 或 "03/05" 或 "3月5日")
-      const dateMatch = text.match(/([01]?\d)[/月]([0-3]?\d)/);
-      if (dateMatch) {
-        const m = parseInt(dateMatch[1], 10);
-        const d = parseInt(dateMatch[2], 10);
-        targetDate.setMonth(m - 1, d);
-        targetWeekName = `${m}/${d}`;
-        isSpecificQuery = true;
-      } else if (text.includes('下') || text.includes('明') || text.includes('次') || text.toLowerCase().includes('next')) {
-        targetDate.setDate(targetDate.getDate() + 7);
-        targetWeekName = '下週';
-        isSpecificQuery = true;
-      } else if (text.includes('上') || text.includes('前') || text.toLowerCase().includes('last')) {
-        targetDate.setDate(targetDate.getDate() - 7);
-        targetWeekName = '上週';
-        isSpecificQuery = true;
-      }
-
-      // 1. 優先查記憶體快取中對應日期的課表
-      let parsed = getThisWeekSchedule(sourceId, targetDate);
+    // --- 1.5 用餐偏好設定指令 (如「stu 偏好 價位1-2 不要辣」) ---
+    const prefReply = handlePreferenceCommand({ text, sourceId, displayName, sendMessage });
+    if (prefReply) return prefReply;
 
-      // 若找的是本週且沒找到，才 fallback 到 getLatestSchedule (如果是找未來或過去就不要 fallback)
-      if (!parsed && !isSpecificQuery) {
-        parsed = getLatestSchedule(sourceId);
-      }
+    const dietaryReply = handleDietaryCommand({ text, userId, displayName, sendMessage });
+    if (dietaryReply) return dietaryReply;
 
-      // 2. 如果快取沒了 (例如部署重啟)，嘗試從對話紀錄中「救援」最近貼過的課表
-      if (!parsed) {
-        console.log(`[課表救援] 來源 ${sourceId} 快取為空，嘗試從對話紀錄中搜尋課表文字...`);
-        const history = getUserHistory(userId);
-        // 由新到舊找，看有沒有人傳過課表文字
-        for (let i = history.length - 1; i >= 0; i--) {
-          const pastText = history[i].content;
-          if (isTrainingSchedule(pastText)) {
-            const rescued = parseSchedule(pastText);
-            if (rescued) {
-              cacheSchedule(sourceId, rescued); // 放回該來源的快取
-              // 重新檢查這個救回來的是不是我們要的那個日期
-              if (isDateInPeriod(rescued.periodStr, targetDate) || !isSpecificQuery) {
-                console.log(`[課表救援] 成功救回並匹配到 ${targetWeekName} 課表:`, rescued.weekLabel);
-                parsed = rescued;
-              }
-              break;
-            }
-          }
-        }
-      }
+    const nutritionReply = handleNutritionCommand({ text, userId, sourceId, sendMessage });
+    if (nutritionReply) return nutritionReply;
 
-      if (parsed) {
-        const isTargetWeek = isDateInPeriod(parsed.periodStr, targetDate);
-        const promptIntro = isTargetWeek
-          ? `Bello, ${displayName}! 🍌 幫你找到${targetWeekName} (${parsed.periodStr}) 的課表了！`
-          : `Bello, ${displayName}! 🍌 目前沒找到指定時間的課表，但教練幫你挖出最近一份紀錄 (${parsed.weekLabel})。`;
-
-        const quickReplyItems = buildGroupQuickReply(parsed.groups);
-        return sendMessage({
-          type: 'text',
-          text: `${promptIntro}\n\n請選擇組別 👇`,
-          quickReply: {
-            items: quickReplyItems
-          }
-        });
-      } else {
-        // 真的找不到了
-        return sendMessage({ type: 'text', text: '史都華教練的記憶體還沒存到這週的訓練週期課表耶～請把整份課表再貼給我一次吧！' });
-      }
+    // --- 1.6 接續上一輪餐廳搜尋的「再推薦幾家」---
+    if (/^(?:史都華|stuart|stu)?\s*(?:再推薦幾家|再推薦|再來幾家|下一頁)$/i.test(text)) {
+      return handleMoreRestaurants({ sourceId, isGroup: isGroupChat, client, sendMessage });
     }
 
-    // --- 4. 偵測是否為原始課表文字 (如是，解析並存入快取與 JSON) ---
-    if (isTrainingSchedule(text)) {
-      console.log('偵測到訓練週期課表，開始解析...');
-      const parsed = parseSchedule(text);
-      if (parsed && parsed.groups.length > 0) {
-        cacheSchedule(sourceId, parsed);
-        const groupNames = parsed.groups.map(g => `${g.name}組`).join('、');
-        const quickReplyItems = buildGroupQuickReply(parsed.groups);
-        return sendMessage({
-          type: 'text',
-          text: `Bello, ${displayName}! 🍌 收到 ${parsed.weekLabel} 的課表了！\n\n偵測到全馬組有：${groupNames}\n\n請選擇你要看哪一組的 200m 操場換算 👇`,
-          quickReply: {
-            items: quickReplyItems
-          }
-        });
-      }
-      // 解析失敗就當作普通文字交給 AI 處理
+    // --- 2. 跑步指令：我的組別登記與提醒、行事曆匯出、上一版課表、課表格式範本、分組建議、里程排行、組別 / 大項選擇、課表查詢、貼上課表原文 ---
+    const commandCtx = { text, sourceId, userId, displayName, sendMessage };
+    const runningCommands = [
+      handleMyGroupCommand, handleCalendarCommand, handleScheduleVersionCommand, handleScheduleFormatCommand,
+      handleGroupAdvisorCommand, handleLeaderboardCommand, handleHeartRateCommand, handleScheduleCommand
+    ];
+    // 指令非同步判斷後才發現不是自己的訊息 (如像課表但 LLM 判斷不是) 會 resolve 為 null，繼續交給後面的流程
+    for (const handleCommand of runningCommands) {
+      const commandReply = handleCommand(commandCtx);
+      if (commandReply && (await commandReply) !== null) return commandReply;
     }
 
     // --- 3. 判斷是否為 Strava 分享連結 ---
-    const stravaRegex = /(?:https?:\/\/)?(?:www\.)?(?:strava\.com\/activities\/\d+|strava\.app\.link\/\w+)/i;
-    const stravaMatch = text.match(stravaRegex);
+    const stravaMatch = text.match(STRAVA_LINK_PATTERN);
     if (stravaMatch) {
       console.log('偵測到 Strava 分享連結，開始解析:', stravaMatch[0]);
-      const stravaStats = await extractStravaStats(stravaMatch[0]);
+      ({ systemContext: systemContextText, messages: leadMessages } = await analyzeStravaShare(stravaMatch[0], { sourceId, userId, displayName }));
       promptText = text;
-      if (stravaStats) {
-        systemContextText = `${stravaStats}\n\n【重要指令】：分析以上用戶傳來的 Strava 運動數據，明確針對「他/該位跑者」進行數據分析（如距離、配速等）。請發揮史都華教練的專業、正向與同理心性格，給予有溫度且幽默的鼓勵與指導。絕對不要把這份數據當成是你自己的！`;
-      }
     } else {
       // 判斷是否在詢問特定地點的餐廳
-      const realRestaurantsStr = await extractRealRestaurants(text);
+      const { places, intent, pager } = await findRestaurantsForText(text, foodPrefs);
+      restaurants = places;
+      searchPager = pager;
       promptText = text;
-      if (realRestaurantsStr) {
-        systemContextText = `${realRestaurantsStr}\n\n【重要指令】：請你「唯一且絕對必須」從以上提供的【真實世界餐廳清單】中，依照你史都華的口吻包裝推薦給使用者 ${displayName}，不要自己憑空捏造名單！如果清單為空，請回報找不到這附近營業中的好餐廳。`;
-      }
+      systemContextText = buildRestaurantContext(restaurants, foodPrefsDesc, intent);
     }
   } else if (event.message.type === 'image') {
     // 收到圖片，委派給圖片處理模組
     try {
       const base64Str = await downloadAndCompress(blobClient, event.message.id);
       const textWithImage = (event.message.text || '').trim();
-      const realRestaurantsStr = await extractRealRestaurants(textWithImage);
+      const { places: imageRestaurants, intent: imageIntent, pager: imagePager } = await findRestaurantsForText(textWithImage, foodPrefs);
 
       // 產生圖片系統指令
       const triggerKeywords = ['史都華', 'stuart', 'Stuart', 'stu', 'Stu'];
       const isTriggered = (textWithImage && triggerKeywords.some(key => textWithImage.includes(key)));
-      const imgSystemContext = buildImageSystemContext(textWithImage, isTriggered, event.source.type !== 'user', realRestaurantsStr);
+      const imgSystemContext = buildImageSystemContext(textWithImage, isTriggered, isGroupChat, buildRestaurantContext(imageRestaurants, foodPrefsDesc, imageIntent), dietaryContext);
 
       // 加入批次佇列
       return enqueueImage({
-        userId, sourceId, base64Str, textWithImage, imgSystemContext, displayName, client
+        userId, sourceId, base64Str, textWithImage, imgSystemContext, restaurants: imageRestaurants, pager: imagePager,
+        analyzeMeal: isTriggered || !isGroupChat, displayName, client
       });
 
     } catch (e) {
       console.error('無法下載圖片內容:', e.message);
       return sendMessage({ type: 'text', text: '抱歉，教練的老花眼沒看清楚這張圖，請再傳一次！' });
     }
-  } else if (event.message.type === 'sticker') {
-    // 忽略貼圖，不佔用 API 與干擾對話
-    return Promise.resolve(null);
+  } else if (event.message.type === 'file') {
+    // 跑錶匯出的 GPX / TCX / FIT 檔：在本地解析後，與 Strava 分享走同一條教練分析流程 (檔案無法呼叫史都華，群組一律不回應)
+    if (isGroupChat) return Promise.resolve(null);
+    const upload = await analyzeActivityFile(blobClient, event.message, { sourceId, userId });
+    if (!upload || upload.error) return upload ? sendMessage({ type: 'text', text: upload.error }) : Promise.resolve(null);
+    ({ systemContext: systemContextText, messages: leadMessages, promptText } = upload);
   } else {
-    // 其他類型的訊息不處理
+    // 貼圖 (不佔用 API 與干擾對話) 與其他類型的訊息不處理
     return Promise.resolve(null);
   }
 
@@ -322,26 +235,52 @@ async function handleMessage(event, client, blobClient) {
 
   // 取得 AI 回覆，支援傳入 Base64 圖片與使用者的 userId (作對話記憶快取使用)
   // 將隱藏指令 (systemContext) 獨立為第5個參數傳遞，避免被記錄進使用者的對話快取歷史中
-  const finalSystemContext = `目前的對話者是 ${displayName}。${systemContextText || ''}`;
+  const finalSystemContext = `目前的對話者是 ${displayName}。${dietaryContext}${systemContextText || ''}`;
   const aiResponse = await generateChatReply(promptText, imageBase64, userId, displayName, finalSystemContext);
 
-  let messagesToSend = [];
-
-  // 嘗試解析為 Flex Message (針對美食推薦的卡片輪播轉換)
-  const flexMessages = tryParseFlexResponse(aiResponse);
-  if (flexMessages) {
-    messagesToSend = flexMessages;
-  } else {
-    // 正常聊天對話
-    messagesToSend = [{ type: 'text', text: aiResponse }];
+  // 有真實餐廳時，卡片一律由 Places 資料組裝 (AI 只提供開場白與推薦餐點)；否則為正常聊天對話
+  // 在群組推薦餐廳時同時開啟揪吃投票，卡片上會附「我投這家」按鈕
+  let messagesToSend = [...leadMessages, { type: 'text', text: aiResponse }];
+  if (restaurants.length > 0) {
+    const pollId = isGroupChat ? openPoll(sourceId, restaurants, client) : null;
+    const hasMore = rememberSearch(sourceId, searchPager);
+    messagesToSend = buildRestaurantMessages(aiResponse, restaurants, { pollId, hasMore });
   }
 
   return sendMessage(messagesToSend);
 }
 
 async function handlePostback(event, client, blobClient) {
-  // 純對話模式下暫不處理 postback
-  return Promise.resolve(null);
+  const sendMessage = (msgs) => replyOrPush(event, client, Array.isArray(msgs) ? msgs : [msgs]);
+  const userId = event.source.userId;
+  const sourceId = event.source.groupId || event.source.roomId || event.source.userId;
+  const params = new URLSearchParams(event.postback?.data || '');
+
+  switch (params.get('action')) {
+    case 'pref':
+      return handlePreferencePostback({ sourceId, sendMessage }, params);
+    case 'detail':
+      return handleRestaurantDetailPostback({ sendMessage }, params);
+    case 'more':
+      return handleMoreRestaurants({ sourceId, isGroup: event.source.type !== 'user', client, sendMessage });
+    case 'paceband':
+      return handlePaceBandPostback({ sourceId, sendMessage }, params);
+    case 'vote': {
+      let displayName = '跑友';
+      try {
+        // 群組成員不一定加了好友，優先使用群組成員資料 API
+        const profile = event.source.groupId
+          ? await client.getGroupMemberProfile(event.source.groupId, userId)
+          : await client.getProfile(userId);
+        if (profile && profile.displayName) displayName = profile.displayName;
+      } catch (e) {
+        console.log(`無法取得投票者 ${userId} 的顯示名稱，預設為 ${displayName}`);
+      }
+      return handleVotePostback({ sourceId, userId, displayName, sendMessage }, params);
+    }
+    default:
+      return Promise.resolve(null);
+  }
 }
 
 /** 處理加入群組或新成員加入事件 */
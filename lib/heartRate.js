@@ -0,0 +1,219 @@
+/**
+ * 心率區間分析模組
+ * 每位跑友登記一次最大 / 安靜心率 (或 LTHR)，分享 Strava 活動時把心率串流分到 Z1~Z5 算出各區間時間，
+ * 並比較前後半段的心率飄移，用來判斷輕鬆跑是不是真的輕鬆。心率是個人資料，以 userId 為鍵值跨聊天室共用
+ */
+const { loadJsonFile, saveJsonFile, serializeWithCleanup } = require('./dataStore');
+const { buildHeartRateMessage } = require('./heartRateFlex');
+const {
+    HR_ZONE_BOUNDS, HR_ZONE_LTHR_BOUNDS, HR_PROFILE_RANGES, HR_SAMPLE_MAX_GAP_SEC,
+    HR_DRIFT_MIN_MINUTES, HR_DRIFT_WARN_PCT, HR_EASY_MIN_SHARE
+} = require('./constants');
+
+const DB_FILE = 'hr_profiles.json';
+const ZONE_NAMES = ['恢復', '有氧', '節奏', '閾值', '無氧'];
+const SHOW_PATTERN = /^(?:我的)?心率(?:區間|設定|資料)?$/i;
+const CLEAR_PATTERN = /^(?:清除|刪除|重設|取消)心率(?:設定|資料)?$/;
+const SET_PATTERN = /^(?:設定)?\s*(?:心率(?:設定|區間)?|最大心率|最高心率|安靜心率|靜止心率|LTHR|乳酸閾值(?:心率)?)/i;
+// 只說指令本身 (如「stu 最大心率」) 時回覆用法；後面接的不是數字 (如「最大心率怎麼算比較準？」) 則交給 AI 回答
+const BARE_SET_PATTERN = new RegExp(`${SET_PATTERN.source}\\s*$`, 'i');
+const FIELD_PATTERNS = {
+    maxHr: /(?:最大|最高|max(?:imum)?|HRmax|MHR)\s*(?:心率|心跳|HR)?\s*[:：=]?\s*(\d{2,3})/i,
+    restHr: /(?:安靜|靜止|休息|晨間|rest(?:ing)?|RHR)\s*(?:心率|心跳|HR)?\s*[:：=]?\s*(\d{2,3})/i,
+    lthr: /(?:LTHR|乳酸(?:閾值)?|閾值)\s*(?:心率|心跳|HR)?\s*[:：=]?\s*(\d{2,3})/i
+};
+const USAGE = '登記心率後，分享 Strava 活動就會附上 Z1~Z5 區間分析 ❤️\n・「stu 心率設定 最大190 安靜50」\n・「stu 心率設定 LTHR 172」(有做過乳酸閾值測試的話更準)\n・「stu 我的心率」查看區間，「stu 清除心率設定」刪除';
+
+// 結構: Map<userId, { maxHr, restHr, lthr, updatedAt }>
+const profilesByUser = new Map(Object.entries(loadJsonFile(DB_FILE)));
+
+function saveProfilesToDB() {
+    saveJsonFile(DB_FILE, serializeWithCleanup(profilesByUser, '心率設定'));
+}
+
+/**
+ * 依使用者的心率設定算出 Z2~Z5 的下限 (bpm)
+ * @returns {{ bounds: number[], method: string }|null} 沒有足夠設定時回傳 null
+ */
+function resolveZoneBounds(profile) {
+    if (profile?.lthr) {
+        return { bounds: HR_ZONE_LTHR_BOUNDS.map(r => Math.round(profile.lthr * r)), method: `LTHR ${profile.lthr}` };
+    }
+    if (profile?.maxHr && profile.restHr) {
+        const reserve = profile.maxHr - profile.restHr;
+        return { bounds: HR_ZONE_BOUNDS.map(r => Math.round(profile.restHr + reserve * r)), method: `儲備心率 (最大 ${profile.maxHr} / 安靜 ${profile.restHr})` };
+    }
+    if (profile?.maxHr) {
+        return { bounds: HR_ZONE_BOUNDS.map(r => Math.round(profile.maxHr * r)), method: `最大心率 ${profile.maxHr}` };
+    }
+    return null;
+}
+
+function zoneOf(bpm, bounds) {
+    return bounds.filter(b => bpm >= b).length;
+}
+
+/**
+ * 取出心率串流 (有 time / distance 串流且長度相同時一併帶入，否則視為每秒一筆)
+ */
+function readSamples(streams) {
+    const heartrate = streams?.heartrate;
+    if (!Array.isArray(heartrate)) return [];
+    const sameLength = (arr) => Array.isArray(arr) && arr.length === heartrate.length ? arr : null;
+    const time = sameLength(streams.time);
+    const distance = sameLength(streams.distance);
+    return heartrate
+        .map((bpm, i) => ({ bpm, t: time ? time[i] : i, d: distance ? distance[i] : null }))
+        .filter(s => typeof s.bpm === 'number' && s.bpm > 0 && typeof s.t === 'number');
+}
+
+/**
+ * 各區間累計秒數 (以前一筆取樣的心率計入該段時間，暫停造成的空檔不計)
+ */
+function timeInZones(samples, bounds) {
+    const seconds = [0, 0, 0, 0, 0];
+    for (let i = 1; i < samples.length; i++) {
+        const dt = samples[i].t - samples[i - 1].t;
+        if (dt <= 0 || dt > HR_SAMPLE_MAX_GAP_SEC) continue;
+        seconds[zoneOf(samples[i - 1].bpm, bounds)] += dt;
+    }
+    return seconds;
+}
+
+/**
+ * 心率飄移：後半段平均心率比前半段高多少；有距離串流時另算配速心率脫鉤 (Pa:HR，效率因子的下降比例)
+ * @returns {{ firstHr: number, secondHr: number, drift: number, decoupling: number|null }|null}
+ */
+function cardiacDrift(samples) {
+    if (samples.length < 2) return null;
+    const start = samples[0].t;
+    const end = samples[samples.length - 1].t;
+    if (end - start < HR_DRIFT_MIN_MINUTES * 60) return null;
+
+    const middle = start + (end - start) / 2;
+    const halves = [samples.filter(s => s.t < middle), samples.filter(s => s.t >= middle)];
+    if (halves.some(h => h.length < 2)) return null;
+    const [firstHr, secondHr] = halves.map(h => h.reduce((sum, s) => sum + s.bpm, 0) / h.length);
+
+    let decoupling = null;
+    if (halves.every(h => typeof h[0].d === 'number' && typeof h[h.length - 1].d === 'number')) {
+        const [ef1, ef2] = halves.map((h, i) => {
+            const speed = (h[h.length - 1].d - h[0].d) / (h[h.length - 1].t - h[0].t);
+            return speed / (i === 0 ? firstHr : secondHr);
+        });
+        if (ef1 > 0 && ef2 > 0) decoupling = (ef1 - ef2) / ef1 * 100;
+    }
+    return { firstHr, secondHr, drift: (secondHr - firstHr) / firstHr * 100, decoupling };
+}
+
+function describeIntensity(shares) {
+    const easy = shares[0] + shares[1];
+    const hard = shares[3] + shares[4];
+    if (easy >= HR_EASY_MIN_SHARE) return `Z1–Z2 占 ${Math.round(easy * 100)}%，是真正的輕鬆跑 👍`;
+    if (hard >= 1 - HR_EASY_MIN_SHARE) return `Z4–Z5 占 ${Math.round(hard * 100)}%，這是一堂質量課的強度`;
+    return `Z3 以上占 ${Math.round((1 - easy) * 100)}%，如果今天是輕鬆跑，就跑得太用力了`;
+}
+
+function describeDrift(drift) {
+    if (!drift) return null;
+    const sign = (n) => `${n >= 0 ? '+' : ''}${n.toFixed(1)}%`;
+    const value = drift.decoupling !== null ? drift.decoupling : drift.drift;
+    const verdict = value <= HR_DRIFT_WARN_PCT ? '有氧耐力穩定' : '後段心率明顯飄高，可能配速偏快、補水不足或天氣太熱';
+    const decoupling = drift.decoupling !== null ? `，配速心率脫鉤 ${sign(drift.decoupling)}` : '';
+    return `心率飄移 ${sign(drift.drift)} (前半 ${Math.round(drift.firstHr)} → 後半 ${Math.round(drift.secondHr)} bpm${decoupling})，${verdict}`;
+}
+
+/**
+ * 分析 Strava 活動的心率區間分布與飄移
+ * @param {Object} activity - fetchStravaActivity() 的 activity
+ * @param {string} userId - 分享者 (以其登記的心率設定分區)
+ * @param {string} title - 活動名稱
+ * @returns {{ message: Object, summary: string }|null} 沒有心率設定或心率串流時回傳 null
+ */
+function analyzeHeartRate(activity, userId, title) {
+    const zones = resolveZoneBounds(profilesByUser.get(userId));
+    const samples = readSamples(activity?.streams);
+    if (!zones || samples.length < 2) return null;
+
+    const seconds = timeInZones(samples, zones.bounds);
+    const total = seconds.reduce((sum, s) => sum + s, 0);
+    if (total < 60) return null;
+
+    const shares = seconds.map(s => s / total);
+    const rows = seconds.map((s, i) => ({ zone: `Z${i + 1}`, name: ZONE_NAMES[i], minutes: Math.round(s / 60), share: shares[i] }));
+    const intensity = describeIntensity(shares);
+    const driftText = describeDrift(cardiacDrift(samples));
+    const distribution = rows.map(r => `${r.zone} ${r.minutes} 分 (${Math.round(r.share * 100)}%)`).join('、');
+
+    return {
+        message: buildHeartRateMessage({ title, method: zones.method, rows, intensity, driftText }),
+        summary: `依${zones.method}分區：${distribution}；${intensity}${driftText ? `；${driftText}` : ''}`
+    };
+}
+
+/**
+ * 解析心率設定文字，回傳合理範圍內的欄位
+ */
+function parseProfileFields(body) {
+    const fields = {};
+    for (const [key, pattern] of Object.entries(FIELD_PATTERNS)) {
+        const value = parseInt(body.match(pattern)?.[1], 10);
+        const [min, max] = HR_PROFILE_RANGES[key];
+        if (value >= min && value <= max) fields[key] = value;
+    }
+    return fields;
+}
+
+function describeProfile(profile) {
+    const zones = resolveZoneBounds(profile);
+    const edges = [...zones.bounds, null];
+    const lines = ZONE_NAMES.map((name, i) => {
+        const low = i === 0 ? null : edges[i - 1];
+        const high = edges[i];
+        const range = low === null ? `< ${high}` : high === null ? `≥ ${low}` : `${low}-${high - 1}`;
+        return `Z${i + 1} ${name}：${range} bpm`;
+    });
+    return `❤️ 你的心率區間 (依${zones.method})\n${lines.join('\n')}`;
+}
+
+/**
+ * 「心率設定 最大190 安靜50」「心率設定 LTHR 172」「我的心率」「清除心率設定」
+ * @param {Object} ctx - { text, userId, sendMessage }
+ * @returns {Promise|null} 若不是心率指令則回傳 null
+ */
+function handleHeartRateCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    const reply = (text) => ctx.sendMessage({ type: 'text', text });
+
+    if (CLEAR_PATTERN.test(body)) {
+        if (!ctx.userId) return null;
+        profilesByUser.delete(ctx.userId);
+        saveProfilesToDB();
+        return reply('已清除你的心率設定，之後分享 Strava 就不會附上區間分析囉！');
+    }
+
+    if (SHOW_PATTERN.test(body)) {
+        const profile = profilesByUser.get(ctx.userId);
+        return reply(resolveZoneBounds(profile) ? `${describeProfile(profile)}\n\n分享 Strava 活動時會依這個區間分析 🍌` : USAGE);
+    }
+
+    if (!SET_PATTERN.test(body) || !ctx.userId) return null;
+    const fields = parseProfileFields(body);
+    if (Object.keys(fields).length === 0) return BARE_SET_PATTERN.test(body) ? reply(USAGE) : null;
+
+    const profile = { ...profilesByUser.get(ctx.userId), ...fields };
+    if ((profile.restHr && profile.maxHr && profile.restHr >= profile.maxHr) || (profile.lthr && profile.maxHr && profile.lthr >= profile.maxHr)) {
+        return reply('安靜心率和 LTHR 都要比最大心率低喔，再檢查一下數字 🙈');
+    }
+    profile.updatedAt = Date.now();
+    profilesByUser.set(ctx.userId, profile);
+    saveProfilesToDB();
+    console.log(`[心率區間] 使用者 ${ctx.userId} 更新心率設定:`, fields);
+    if (!resolveZoneBounds(profile)) return reply('已記下安靜心率！再補上最大心率 (如「stu 心率設定 最大190」) 就能幫你分區囉～');
+    return reply(`Banana! 🍌 心率設定已更新\n\n${describeProfile(profile)}\n\n之後分享 Strava 活動就會附上區間分析！`);
+}
+
+module.exports = {
+    analyzeHeartRate,
+    handleHeartRateCommand
+};
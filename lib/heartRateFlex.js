@@ -0,0 +1,75 @@
+/**
+ * 心率區間分析的 Flex Message 組裝模組
+ * 以橫條圖呈現 Z1~Z5 的時間與占比，下方附上強度判讀與心率飄移；純文字摘要保留為 altText
+ */
+const ALT_TEXT_MAX = 400; // LINE altText 長度上限
+const ZONE_COLORS = ['#8FB8DE', '#03C755', '#F5C518', '#FF8C00', '#E53935'];
+
+function buildZoneRow(row, i) {
+    const percent = Math.round(row.share * 100);
+    return {
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'sm',
+        contents: [
+            { type: 'text', text: `${row.zone} ${row.name}`, size: 'xs', color: '#555555', flex: 3 },
+            {
+                type: 'box',
+                layout: 'vertical',
+                flex: 6,
+                backgroundColor: '#EEEEEE',
+                cornerRadius: 'sm',
+                justifyContent: 'center',
+                contents: [{
+                    type: 'box',
+                    layout: 'vertical',
+                    contents: [],
+                    width: `${Math.max(percent, 1)}%`,
+                    height: '12px',
+                    backgroundColor: ZONE_COLORS[i],
+                    cornerRadius: 'sm'
+                }]
+            },
+            { type: 'text', text: `${row.minutes}′ ${percent}%`, size: 'xs', color: '#333333', align: 'end', flex: 3 }
+        ]
+    };
+}
+
+/**
+ * 組裝心率區間分析的 Flex Message
+ * @param {Object} analysis - { title, method, rows: [{ zone, name, minutes, share }], intensity, driftText }
+ */
+function buildHeartRateMessage({ title, method, rows, intensity, driftText }) {
+    const altText = `❤️ 心率區間｜${rows.map(r => `${r.zone} ${r.minutes}′`).join(' ')}｜${intensity}`;
+    return {
+        type: 'flex',
+        altText: altText.slice(0, ALT_TEXT_MAX),
+        contents: {
+            type: 'bubble',
+            header: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [
+                    { type: 'text', text: '❤️ 心率區間分析', weight: 'bold', size: 'lg' },
+                    ...(title ? [{ type: 'text', text: title, size: 'sm', color: '#03C755', weight: 'bold', wrap: true }] : []),
+                    { type: 'text', text: `依${method}分區`, size: 'xs', color: '#888888', wrap: true }
+                ]
+            },
+            body: {
+                type: 'box',
+                layout: 'vertical',
+                spacing: 'md',
+                contents: [
+                    ...rows.map(buildZoneRow),
+                    { type: 'separator', margin: 'lg' },
+                    { type: 'text', text: `💡 ${intensity}`, size: 'sm', wrap: true, margin: 'lg' },
+                    ...(driftText ? [{ type: 'text', text: `📈 ${driftText}`, size: 'sm', color: '#555555', wrap: true }] : [])
+                ]
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildHeartRateMessage
+};
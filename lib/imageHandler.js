@@ -3,12 +3,17 @@
  * 負責圖片下載、壓縮、多圖批次佇列、群組過濾等邏輯
  */
 const sharp = require('sharp');
-const { generateChatReply } = require('./gemini');
-const { tryParseFlexResponse } = require('./flexBuilder');
+const { generateChatReply, getUserHistory } = require('./gemini');
+const { buildRestaurantMessages } = require('./restaurantMessages');
+const { openPoll } = require('./voting');
+const { rememberSearch } = require('./foodSearch');
+const { analyzeMealPhotos, logMeal, formatMealLogged } = require('./nutrition');
 const { IMAGE_MAX_WIDTH, IMAGE_QUALITY, IMAGE_BATCH_DELAY } = require('./constants');
 
 // 儲存正在收集的多張圖片批次處理器 (以 userId 為 Key)
 const imageBatchQueue = new Map();
+// 教練回覆中標示「這是餐點照片」的標記，只有帶標記時才另外估算營養素
+const MEAL_MARKER = '[MEAL]';
 
 /**
  * 下載並壓縮 LINE 圖片訊息
@@ -41,10 +46,11 @@ async function downloadAndCompress(blobClient, messageId) {
  * @param {string} textWithImage - 使用者附帶的文字
  * @param {boolean} isTriggered - 是否被關鍵字觸發
  * @param {boolean} isGroupChat - 是否在群組內
- * @param {string} restaurantsStr - 已查詢到的餐廳字串
+ * @param {string} restaurantsContext - foodSearch.buildRestaurantContext() 產生的真實餐廳清單與指令
+ * @param {string} [dietaryContext] - dietary.buildDietaryContext() 產生的飲食限制指令
  * @returns {string} 系統指令文字
  */
-function buildImageSystemContext(textWithImage, isTriggered, isGroupChat, restaurantsStr) {
+function buildImageSystemContext(textWithImage, isTriggered, isGroupChat, restaurantsContext, dietaryContext = '') {
     let ctx = '';
 
     if (!isTriggered && isGroupChat) {
@@ -53,10 +59,15 @@ function buildImageSystemContext(textWithImage, isTriggered, isGroupChat, restau
         ctx = `【教練視覺指令】：請幫我分析這張/這些圖片。如果是餐點，請用美食家角度給建議；如果是運動數據或跑錶截圖，請用教練角度給予充滿溫度、同理心與幽默感的專業鼓勵。特別注意：如果截圖或數據中有顯示「特定的人名」，請針對「該跑者」分析。`;
     }
 
+    // 群組閒聊圖片會被忽略，只有教練真的要分析時才需要飲食限制
+    if (dietaryContext && (isTriggered || !isGroupChat)) {
+        ctx += `${dietaryContext}\n如果圖片是餐點，請依上述飲食限制判斷其中可能含有的禁忌食材或過敏原並明確提醒 (例如：「這碗拉麵的湯頭可能用了蝦頭熬煮，對甲殼類過敏要小心」)。`;
+    }
+
     if (textWithImage) {
         ctx += `\n\n[使用者附註了文字]：${textWithImage}`;
-        if (restaurantsStr) {
-            ctx += `\n\n${restaurantsStr}\n【重要指令】：請唯一且絕對從以上提供的真實餐廳中揀選推薦，不要憑空捏造！`;
+        if (restaurantsContext) {
+            ctx += restaurantsContext;
         }
     }
 
@@ -69,7 +80,7 @@ function buildImageSystemContext(textWithImage, isTriggered, isGroupChat, restau
  * @returns {Promise} 解析後的 Promise
  */
 function enqueueImage(params) {
-    const { userId, sourceId, base64Str, textWithImage, imgSystemContext, displayName, client } = params;
+    const { userId, sourceId, base64Str, textWithImage, imgSystemContext, restaurants, pager, analyzeMeal, displayName, client } = params;
     const batchKey = userId;
     if (!batchKey) return Promise.resolve(null);
 
@@ -78,6 +89,9 @@ function enqueueImage(params) {
             images: [],
             texts: [],
             systemContexts: [],
+            restaurants: [],
+            pager: null,
+            analyzeMeal: false,
             targetId: sourceId
         });
     }
@@ -86,6 +100,12 @@ function enqueueImage(params) {
     batchData.images.push(base64Str);
     if (textWithImage) batchData.texts.push(textWithImage);
     if (imgSystemContext) batchData.systemContexts.push(imgSystemContext);
+    if (analyzeMeal) batchData.analyzeMeal = true;
+    // 同一批次只保留第一份查到的真實餐廳，避免多份清單編號互相衝突
+    if (restaurants && restaurants.length > 0 && batchData.restaurants.length === 0) {
+        batchData.restaurants = restaurants;
+        batchData.pager = pager || null;
+    }
 
     // 每次收到同使用者的連發圖片，重新計算 1500 毫秒的 Timeout
     if (batchData.timer) clearTimeout(batchData.timer);
@@ -107,22 +127,39 @@ function enqueueImage(params) {
             await client.showLoadingAnimation({ chatId: finalBatch.targetId, loadingSeconds: 20 });
         } catch (e) { /* ignore */ }
 
+        const mealInstruction = finalBatch.analyzeMeal
+            ? `\n\n【餐點標記指令】：如果圖片是餐點或飲料，請在回覆最後另起一行只寫『${MEAL_MARKER}』(系統會據此記錄營養素，不要解釋這個標記)；不是餐點就不要加。`
+            : '';
+
         // 交給 AI 進行綜合多圖分析
-        const replyMessage = await generateChatReply(
+        const rawReply = await generateChatReply(
             combinedPrompt,
             finalBatch.images,
             batchKey,
             displayName,
-            combinedContext
+            combinedContext + mealInstruction
         );
-
-        if (replyMessage && replyMessage.trim() !== '[IGNORE]') {
-            let messagesToSend = [];
-            const flexMessages = tryParseFlexResponse(replyMessage);
-            if (flexMessages) {
-                messagesToSend = flexMessages;
-            } else {
-                messagesToSend = [{ type: 'text', text: replyMessage.trim() }];
+        const replyMessage = rawReply.split(MEAL_MARKER).join('').trim();
+        // 對話快取也改存去掉標記的回覆，避免之後的文字對話模仿出這個標記
+        const lastTurn = getUserHistory(batchKey).slice(-1)[0];
+        if (lastTurn?.content === rawReply) lastTurn.content = replyMessage;
+        // 教練判斷是餐點時才以結構化萃取估算營養素，避免截圖、課表照片也多花一次視覺額度
+        const mealItems = finalBatch.analyzeMeal && rawReply.includes(MEAL_MARKER)
+            ? await analyzeMealPhotos(finalBatch.images, finalBatch.texts.join('\n'))
+            : null;
+
+        if (replyMessage && replyMessage !== '[IGNORE]') {
+            let messagesToSend = [{ type: 'text', text: replyMessage }];
+            if (finalBatch.restaurants.length > 0) {
+                // 群組內的推薦同樣開啟揪吃投票
+                const pollId = finalBatch.targetId !== batchKey ? openPoll(finalBatch.targetId, finalBatch.restaurants, client) : null;
+                const hasMore = rememberSearch(finalBatch.targetId, finalBatch.pager);
+                messagesToSend = buildRestaurantMessages(replyMessage, finalBatch.restaurants, { pollId, hasMore });
+            }
+            if (mealItems) {
+                logMeal(batchKey, mealItems);
+                // 放在第一則文字之後，讓快速回覆仍留在最後一則訊息上
+                messagesToSend.splice(1, 0, { type: 'text', text: formatMealLogged(mealItems) });
             }
 
             try {
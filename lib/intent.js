@@ -0,0 +1,227 @@
+/**
+ * 找餐廳意圖與欄位萃取模組
+ * 從使用者文字中萃取 地點 / 料理 / 價位 / 時間 / 人數 等欄位，
+ * 有 LLM 時以嚴格 JSON Schema 萃取，沒有 LLM 或萃取失敗時改用規則判斷
+ */
+const { SchemaType } = require('@google/generative-ai');
+const { hasLlm, generateJson } = require('./llmJson');
+
+// 常見料理關鍵字 (規則判斷用，越長的詞放越前面以免被短詞搶先匹配)
+const CUISINE_KEYWORDS = [
+    '牛肉麵', '滷肉飯', '義大利麵', '早午餐', '居酒屋', '鐵板燒', '鹹酥雞', '麻辣鍋', '小籠包',
+    '拉麵', '壽司', '燒肉', '火鍋', '咖哩', '披薩', '漢堡', '咖啡', '甜點', '素食', '便當', '小吃',
+    '鍋貼', '水餃', '燒烤', '牛排', '炸雞', '豆漿', '蛋餅', '飯糰', '熱炒', '海鮮', '丼飯', '粥',
+    '韓式', '日式', '泰式', '越式', '美式', '港式', '台菜', '中式', '印度'
+];
+
+const MEAL_KEYWORDS = [
+    { meal: 'brunch', words: ['早午餐'] },
+    { meal: 'breakfast', words: ['早餐', '早點'] },
+    { meal: 'lunch', words: ['午餐', '中餐', '午飯'] },
+    { meal: 'dinner', words: ['晚餐', '晚飯'] },
+    { meal: 'late_night', words: ['宵夜', '消夜'] }
+];
+
+const FOOD_WORDS = ['美食', '吃', '餐廳', '好料', '餐', '飯', '麵', '喝'];
+const SEARCH_WORDS = ['附近', '周遭', '周邊', '推薦', '有什麼', '有沒有', '哪裡', '哪家', '找'];
+const WEEKDAY_MAP = { '日': 0, '天': 0, '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6 };
+const CHINESE_NUMBERS = { '一': 1, '兩': 2, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9, '十': 10 };
+
+const INTENT_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        is_food_intent: { type: SchemaType.BOOLEAN, description: '使用者是否在找餐廳或想吃東西' },
+        location: { type: SchemaType.STRING, nullable: true, description: '地點 (地名、區域、地標、捷運站)，未提及則為 null' },
+        cuisine: { type: SchemaType.STRING, nullable: true, description: '料理或餐點類型，例如 拉麵、火鍋、早午餐' },
+        price_min: { type: SchemaType.INTEGER, nullable: true, description: 'Google 價位等級下限 0-4' },
+        price_max: { type: SchemaType.INTEGER, nullable: true, description: 'Google 價位等級上限 0-4' },
+        time_text: { type: SchemaType.STRING, nullable: true, description: '使用者提到的用餐時間原文，例如 明天早餐、週四 6:30' },
+        party_size: { type: SchemaType.INTEGER, nullable: true, description: '用餐人數' }
+    },
+    required: ['is_food_intent']
+};
+
+function stripTrigger(text) {
+    return (text || '').replace(/史都華|stuart|stu/ig, '').trim();
+}
+
+/**
+ * 規則判斷：文字中是否帶有任何食物相關訊號 (用來決定是否值得呼叫 LLM)
+ */
+function hasFoodSignal(text) {
+    return FOOD_WORDS.some(w => text.includes(w)) ||
+        CUISINE_KEYWORDS.some(w => text.includes(w)) ||
+        MEAL_KEYWORDS.some(m => m.words.some(w => text.includes(w)));
+}
+
+/**
+ * 解析時間相關文字 (例如「明天早餐」「週四 6:30」)
+ * @returns {Object|null} { text, dayOffset, weekday, meal, hour, minute }
+ */
+function parseTimeSlot(text) {
+    if (!text) return null;
+    const slot = { text: null, dayOffset: null, weekday: null, meal: null, hour: null, minute: null };
+    const pieces = [];
+
+    const dayMatch = text.match(/今天|今晚|今早|明天|明早|明晚|後天/);
+    if (dayMatch) {
+        slot.dayOffset = dayMatch[0].startsWith('今') ? 0 : dayMatch[0].startsWith('明') ? 1 : 2;
+        pieces.push(dayMatch[0]);
+    }
+
+    const weekdayMatch = text.match(/(?:週|周|星期|禮拜)([一二三四五六日天])/);
+    if (weekdayMatch) {
+        slot.weekday = WEEKDAY_MAP[weekdayMatch[1]];
+        pieces.push(weekdayMatch[0]);
+    }
+
+    for (const { meal, words } of MEAL_KEYWORDS) {
+        const word = words.find(w => text.includes(w));
+        if (word) {
+            slot.meal = meal;
+            pieces.push(word);
+            break;
+        }
+    }
+
+    const clockMatch = text.match(/(上午|早上|下午|晚上)?\s*(\d{1,2})\s*(?:[:：]\s*(\d{2})|點\s*(半|\d{1,2}分?)?)/);
+    if (clockMatch) {
+        let hour = parseInt(clockMatch[2], 10);
+        const minute = clockMatch[3] ? parseInt(clockMatch[3], 10)
+            : clockMatch[4] === '半' ? 30 : clockMatch[4] ? parseInt(clockMatch[4], 10) : 0;
+        if ((clockMatch[1] === '下午' || clockMatch[1] === '晚上') && hour < 12) hour += 12;
+        if (hour <= 23 && minute <= 59) {
+            slot.hour = hour;
+            slot.minute = minute;
+            pieces.push(clockMatch[0].trim());
+        }
+    }
+
+    if (pieces.length === 0) return null;
+    slot.text = pieces.join(' ');
+    return slot;
+}
+
+/**
+ * 規則判斷的價位 (便宜 / 高級 / 預算金額)
+ */
+function parsePriceRange(text) {
+    if (/便宜|平價|銅板|小資/.test(text)) return { min: null, max: 1 };
+    if (/不要太貴|中價位|中等/.test(text)) return { min: null, max: 2 };
+    if (/高級|大餐|貴一點|慶祝|約會/.test(text)) return { min: 3, max: null };
+
+    const budgetMatch = text.match(/預算\s*(\d{2,5})/);
+    if (budgetMatch) {
+        const budget = parseInt(budgetMatch[1], 10);
+        return { min: null, max: budget <= 200 ? 1 : budget <= 500 ? 2 : budget <= 1000 ? 3 : 4 };
+    }
+    return { min: null, max: null };
+}
+
+/**
+ * 規則判斷的地點 (例如「信義區有什麼拉麵」「興雅國中附近早餐」)
+ */
+function parseLocation(text, cuisine, timeSlot) {
+    let cleaned = text;
+    if (timeSlot) cleaned = cleaned.replace(/今天|今晚|今早|明天|明早|明晚|後天|(?:週|周|星期|禮拜)[一二三四五六日天]/g, ' ');
+    cleaned = cleaned.replace(/(上午|早上|下午|晚上)?\s*\d{1,2}\s*(?:[:：]\s*\d{2}|點\s*(?:半|\d{1,2}分?)?)/g, ' ');
+    cleaned = cleaned.replace(/[，,。！!？?～~]/g, ' ').trim();
+
+    const patterns = [
+        /在\s*(\S+?)\s*(?:附近|周遭|周邊|一帶|這邊|那邊|有|吃|找)/,
+        /(\S+?)\s*(?:附近|周遭|周邊|一帶)/,
+        /(\S+?)\s*有(?:什麼|沒有|哪些|啥|推薦)/,
+        /(\S{2,10}?(?:區|路|街|站|市|夜市|商圈|國中|國小|高中|大學|公園))/
+    ];
+
+    for (const pattern of patterns) {
+        const m = cleaned.match(pattern);
+        if (!m) continue;
+        let location = m[1];
+        // 去除混在地點前後的料理與餐別字眼
+        for (const word of [cuisine, ...MEAL_KEYWORDS.flatMap(x => x.words), '推薦', '想吃', '好吃的']) {
+            if (word) location = location.split(word).join('');
+        }
+        location = location.trim();
+        if (location.length >= 2) return location;
+    }
+    return null;
+}
+
+function parsePartySize(text) {
+    const m = text.match(/(\d{1,2}|[一兩二三四五六七八九十])\s*(?:個人|人|位)/);
+    if (!m) return null;
+    return /\d/.test(m[1]) ? parseInt(m[1], 10) : CHINESE_NUMBERS[m[1]];
+}
+
+/**
+ * 純規則的意圖萃取 (沒有 LLM 時的備援)
+ * @returns {Object} { isFoodIntent, location, cuisine, priceMin, priceMax, time, partySize }
+ */
+function extractFoodIntentByRules(rawText) {
+    const text = stripTrigger(rawText);
+    const cuisine = CUISINE_KEYWORDS.find(w => text.includes(w)) || null;
+    const time = parseTimeSlot(text);
+    const price = parsePriceRange(text);
+    const location = parseLocation(text, cuisine, time);
+    const hasSearchWord = SEARCH_WORDS.some(w => text.includes(w));
+
+    return {
+        isFoodIntent: hasFoodSignal(text) && (hasSearchWord || Boolean(location)),
+        location,
+        cuisine,
+        priceMin: price.min,
+        priceMax: price.max,
+        time,
+        partySize: parsePartySize(text)
+    };
+}
+
+/**
+ * 萃取找餐廳的意圖與欄位
+ * 先用規則過濾掉與食物無關的訊息 (省下 LLM 呼叫)，再交給 LLM 以 JSON Schema 萃取，
+ * LLM 缺漏的欄位以規則結果補上
+ * @param {string} rawText - 使用者原文
+ */
+async function extractFoodIntent(rawText) {
+    const text = stripTrigger(rawText);
+    const ruleResult = extractFoodIntentByRules(text);
+    if (!text || !hasFoodSignal(text) || !hasLlm()) return ruleResult;
+
+    const llmResult = await generateJson(
+        `你是餐廳搜尋的欄位萃取器。請從以下使用者訊息中萃取找餐廳的意圖與欄位，沒有提到的欄位一律填 null，不要自行推測。\n使用者訊息：「${text}」`,
+        INTENT_SCHEMA
+    );
+    if (!llmResult) return ruleResult;
+
+    const pick = (value, fallback) => (value === null || value === undefined || value === '' ? fallback : value);
+    const timeText = pick(llmResult.time_text, null);
+    return {
+        isFoodIntent: Boolean(llmResult.is_food_intent),
+        location: pick(llmResult.location, ruleResult.location),
+        cuisine: pick(llmResult.cuisine, ruleResult.cuisine),
+        priceMin: pick(llmResult.price_min, ruleResult.priceMin),
+        priceMax: pick(llmResult.price_max, ruleResult.priceMax),
+        time: (timeText && parseTimeSlot(timeText)) || ruleResult.time,
+        partySize: pick(llmResult.party_size, ruleResult.partySize)
+    };
+}
+
+/**
+ * 將萃取出的欄位描述成給 AI 的隱藏提示
+ */
+function describeIntent(intent) {
+    const parts = [];
+    if (intent.location) parts.push(`地點：${intent.location}`);
+    if (intent.cuisine) parts.push(`料理：${intent.cuisine}`);
+    if (intent.time) parts.push(`時間：${intent.time.text}`);
+    if (intent.partySize) parts.push(`人數：${intent.partySize} 人`);
+    return parts.join('，');
+}
+
+module.exports = {
+    extractFoodIntent,
+    extractFoodIntentByRules,
+    parseTimeSlot,
+    describeIntent
+};
@@ -0,0 +1,204 @@
+/**
+ * Strava 活動里程排行模組
+ * 每個來源各自保存分享過的 Strava 活動 (以活動 ID 去重)，提供「本週排行」「本月排行」的里程 / 次數 / 爬升排行榜，
+ * 並可開啟週日晚上自動發本週排行
+ */
+const { loadJsonFile, saveJsonFile, serializeWithCleanup } = require('./dataStore');
+const { getTaipeiParts, fromTaipeiParts, toDateKey } = require('./taipeiTime');
+const { fetchStravaActivity } = require('./strava');
+const {
+    ACTIVITY_RETENTION_DAYS, LEADERBOARD_TOP_N, LEADERBOARD_POST_HOUR, LEADERBOARD_CHECK_MS
+} = require('./constants');
+
+const DB_FILE = 'activities.json';
+const MEDALS = ['🥇', '🥈', '🥉'];
+const RANGE_WORDS = {
+    week: /^(?:本週|這週|這禮拜)?$/,
+    lastWeek: /^(?:上週|上禮拜)$/,
+    month: /^(?:本月|這個?月)$/,
+    lastMonth: /^上個?月$/
+};
+
+// 結構: Map<sourceId, { activities: { [activityId]: { athleteKey, athlete, date, distance, movingTime, elevation, sharedBy, sharedAt } }, autoPost, postedOn, updatedAt }>
+const activitiesBySource = new Map(Object.entries(loadJsonFile(DB_FILE)));
+
+function saveActivitiesToDB() {
+    saveJsonFile(DB_FILE, serializeWithCleanup(activitiesBySource, '活動紀錄'));
+}
+
+function getEntry(sourceId) {
+    return activitiesBySource.get(sourceId) || { activities: {}, autoPost: false, postedOn: null };
+}
+
+/**
+ * 記錄一筆分享的 Strava 活動 (同一活動重複分享只保留一筆)，並清除超過保存天數的紀錄
+ * @param {string} sourceId - 來源 ID
+ * @param {Object} sharer - { userId, displayName } 分享者
+ * @param {string} url - 分享連結 (短網址取不到 ID 時以頁面資料的活動 ID 為準)
+ * @param {Object} page - fetchStravaActivity() 的結果
+ * @returns {boolean} 是否為新紀錄
+ */
+function recordActivity(sourceId, sharer, url, page) {
+    const activity = page?.activity;
+    const activityId = String(activity?.id || url.match(/activities\/(\d+)/)?.[1] || '');
+    const { distance, movingTime, elevationGain } = activity?.scalars || {};
+    if (!sourceId || !activityId || !distance) return false;
+    // 只統計跑步 (Strava 沒提供類型時視為跑步)
+    if (activity.type && !/run/i.test(activity.type)) return false;
+
+    const entry = getEntry(sourceId);
+    const isNew = !entry.activities[activityId];
+    const athleteName = `${activity.athlete?.lastName || ''} ${activity.athlete?.firstName || ''}`.trim();
+    entry.activities[activityId] = {
+        athleteKey: activity.athlete?.id ? `strava:${activity.athlete.id}` : `line:${sharer.userId || athleteName}`,
+        athlete: athleteName || sharer.displayName || '跑友',
+        date: String(activity.startLocal || '').slice(0, 10) || toDateKey(new Date()),
+        distance: Number(distance),
+        movingTime: Number(movingTime) || 0,
+        elevation: Number(elevationGain) || 0,
+        sharedBy: sharer.userId || null,
+        sharedAt: entry.activities[activityId]?.sharedAt || Date.now()
+    };
+
+    const oldest = toDateKey(new Date(Date.now() - ACTIVITY_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const [id, a] of Object.entries(entry.activities)) {
+        if (a.date < oldest) delete entry.activities[id];
+    }
+    entry.updatedAt = Date.now();
+    activitiesBySource.set(sourceId, entry);
+    saveActivitiesToDB();
+    if (isNew) console.log(`[里程排行] 來源 ${sourceId} 新增活動 ${activityId} (${entry.activities[activityId].athlete} ${(distance / 1000).toFixed(2)} km)`);
+    return isNew;
+}
+
+/**
+ * 群組裡沒呼叫史都華的 Strava 分享：只下載並記錄，不回覆
+ */
+async function recordSharedActivity(url, sourceId, sharer) {
+    try {
+        recordActivity(sourceId, sharer, url, await fetchStravaActivity(url));
+    } catch (err) {
+        console.error('[里程排行] 記錄 Strava 活動失敗:', err.message);
+    }
+    return null;
+}
+
+/**
+ * 排行區間 (週一到週日、或整個月)
+ * @returns {{ start: string, end: string, title: string }} ISO 日期 (含頭尾)
+ */
+function resolveRange(range, now = new Date()) {
+    const t = getTaipeiParts(now);
+    if (range === 'month' || range === 'lastMonth') {
+        const month = range === 'month' ? t.month : t.month - 1;
+        const first = fromTaipeiParts(t.year, month, 1, 12);
+        const last = fromTaipeiParts(t.year, month + 1, 0, 12);
+        const p = getTaipeiParts(first);
+        return { start: toDateKey(first), end: toDateKey(last), title: `${range === 'month' ? '本月' : '上個月'}里程排行 (${p.year}/${p.month})` };
+    }
+    const offset = (t.weekday + 6) % 7 + (range === 'lastWeek' ? 7 : 0);
+    const monday = fromTaipeiParts(t.year, t.month, t.day - offset, 12);
+    const sunday = fromTaipeiParts(t.year, t.month, t.day - offset + 6, 12);
+    const [m, s] = [getTaipeiParts(monday), getTaipeiParts(sunday)];
+    return { start: toDateKey(monday), end: toDateKey(sunday), title: `${range === 'week' ? '本週' : '上週'}里程排行 (${m.month}/${m.day}-${s.month}/${s.day})` };
+}
+
+/**
+ * 組出來源在指定區間的排行榜文字
+ * @param {string} range - week / lastWeek / month / lastMonth
+ * @returns {string|null} 區間內沒有任何活動時回傳 null
+ */
+function buildLeaderboard(sourceId, range, now = new Date()) {
+    const { start, end, title } = resolveRange(range, now);
+    const activities = Object.values(getEntry(sourceId).activities).filter(a => a.date >= start && a.date <= end);
+    if (activities.length === 0) return null;
+
+    const byAthlete = new Map();
+    for (const a of activities) {
+        const stats = byAthlete.get(a.athleteKey) || { name: a.athlete, distance: 0, runs: 0, elevation: 0 };
+        stats.distance += a.distance;
+        stats.runs += 1;
+        stats.elevation += a.elevation;
+        byAthlete.set(a.athleteKey, stats);
+    }
+    const ranking = [...byAthlete.values()].sort((a, b) => b.distance - a.distance);
+    const lines = ranking.slice(0, LEADERBOARD_TOP_N).map((s, i) =>
+        `${MEDALS[i] || `${i + 1}.`} ${s.name} ${(s.distance / 1000).toFixed(1)} km｜${s.runs} 次｜爬升 ${Math.round(s.elevation)} m`);
+    const total = activities.reduce((sum, a) => sum + a.distance, 0);
+    return `🏆 ${title}\n${lines.join('\n')}\n━━━━━━━━━━━━━━\n全團合計 ${(total / 1000).toFixed(1)} km｜${activities.length} 次｜${ranking.length} 人`;
+}
+
+/**
+ * 「本週排行」(或只說「排行榜」)「本月排行」「上週排行」：里程排行榜；「開啟排行推播」「關閉排行推播」：週日晚上自動發本週排行
+ * @param {Object} ctx - { text, sourceId, sendMessage }
+ * @returns {Promise|null} 若不是排行指令則回傳 null
+ */
+function handleLeaderboardCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+
+    const toggle = body.match(/^(開啟|關閉|取消)(?:里程)?排行(?:榜)?推播$/);
+    if (toggle) {
+        const entry = getEntry(ctx.sourceId);
+        entry.autoPost = toggle[1] === '開啟';
+        entry.updatedAt = Date.now();
+        activitiesBySource.set(ctx.sourceId, entry);
+        saveActivitiesToDB();
+        return ctx.sendMessage({
+            type: 'text',
+            text: entry.autoPost
+                ? `Banana! 🍌 每週日晚上 ${LEADERBOARD_POST_HOUR} 點會自動發本週里程排行，說「stu 關閉排行推播」可取消。`
+                : '好的，不再自動發排行囉～想看的時候說「stu 本週排行」就好！'
+        });
+    }
+
+    const match = body.match(/^(.*?)(?:里程)?排行(?:榜)?$/);
+    const range = match && Object.keys(RANGE_WORDS).find(key => RANGE_WORDS[key].test(match[1].trim()));
+    if (!range) return null;
+
+    const text = buildLeaderboard(ctx.sourceId, range)
+        || `${resolveRange(range).title.replace('里程排行', '')} 還沒有人分享 Strava 跑步活動耶～在這裡分享活動連結就會自動記錄！`;
+    return ctx.sendMessage({ type: 'text', text });
+}
+
+/**
+ * 週日晚上推播本週排行給有開啟的來源 (每個來源每週只發一次)
+ */
+async function runLeaderboardPosts(client, now = new Date()) {
+    const t = getTaipeiParts(now);
+    if (t.weekday !== 0 || t.hour < LEADERBOARD_POST_HOUR) return;
+
+    const dateKey = toDateKey(now);
+    for (const [sourceId, entry] of activitiesBySource) {
+        if (!entry.autoPost || entry.postedOn === dateKey) continue;
+        const text = buildLeaderboard(sourceId, 'week', now);
+        if (!text) continue;
+
+        try {
+            await client.pushMessage({ to: sourceId, messages: [{ type: 'text', text: `Bello! 🍌 一週辛苦了，來看看本週誰最勤勞！\n\n${text}` }] });
+            entry.postedOn = dateKey;
+            saveActivitiesToDB();
+            console.log(`[里程排行] 已推播本週排行給來源 ${sourceId}`);
+        } catch (err) {
+            console.error('里程排行推播失敗:', err?.originalError?.response?.data || err.message);
+        }
+    }
+}
+
+/**
+ * 啟動排行推播排程 (由 index.js 在伺服器啟動時呼叫)
+ */
+function startLeaderboardPosts(client) {
+    setInterval(() => {
+        runLeaderboardPosts(client).catch(err => console.error('里程排行排程錯誤:', err.message));
+    }, LEADERBOARD_CHECK_MS);
+    console.log(`[系統通知] 里程排行排程已啟動，每週日 ${LEADERBOARD_POST_HOUR} 點後推播本週排行。`);
+}
+
+module.exports = {
+    recordActivity,
+    recordSharedActivity,
+    buildLeaderboard,
+    handleLeaderboardCommand,
+    runLeaderboardPosts,
+    startLeaderboardPosts
+};
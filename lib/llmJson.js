@@ -0,0 +1,105 @@
+/**
+ * 結構化 JSON 萃取模組
+ * 以便宜的模型 (gemini-2.5-flash-lite) 搭配嚴格 JSON Schema 做意圖 / 欄位萃取，
+ * 不套用史都華人設、不寫入對話快取；純文字萃取不佔用 Flash 每日額度，
+ * 附圖片的視覺萃取 (如餐點照片) 則與聊天回覆共用用量追蹤與自動降級
+ */
+const fetch = require('node-fetch');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getOpenRouterModels, selectTrackedModel, recordModelUsage } = require('./gemini');
+
+const EXTRACTION_MODEL = 'gemini-2.5-flash-lite';
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+/**
+ * 是否有可用的 LLM 金鑰
+ */
+function hasLlm() {
+  return Boolean(process.env.GEMINI_API_KEY || process.env.OPENROUTER_API_KEY);
+}
+
+/**
+ * 從模型輸出中取出第一個 JSON 物件並解析
+ */
+function parseJsonLoose(text) {
+  if (!text) return null;
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 依 JSON Schema 產生結構化結果
+ * 優先使用 Gemini 的 responseSchema；失敗時改用 OpenRouter 並以提示要求純 JSON
+ * @param {string} prompt - 萃取指令與使用者原文
+ * @param {Object} schema - Gemini responseSchema 格式的 Schema
+ * @param {Array<string>} [images] - 要一併分析的 JPEG Base64 圖片 (如餐點照片)，會計入 Flash 每日額度
+ * @returns {Promise<Object|null>} 解析後的物件，全部失敗則回傳 null
+ */
+async function generateJson(prompt, schema, images = []) {
+  if (process.env.GEMINI_API_KEY) {
+    try {
+      const modelName = images.length > 0 ? selectTrackedModel() : EXTRACTION_MODEL;
+      const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+      const model = genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema: schema,
+          temperature: 0
+        }
+      });
+      const parts = [prompt, ...images.map(img => ({ inlineData: { data: img, mimeType: 'image/jpeg' } }))];
+      const result = await model.generateContent(parts);
+      if (images.length > 0) recordModelUsage(modelName);
+      const parsed = parseJsonLoose(result.response.text());
+      if (parsed) return parsed;
+    } catch (err) {
+      console.warn('Gemini JSON 萃取失敗:', err.message);
+    }
+  }
+
+  if (process.env.OPENROUTER_API_KEY) {
+    const instruction = `${prompt}\n\n請「只」輸出符合以下 JSON Schema 的 JSON 物件，不要有任何其他文字：\n${JSON.stringify(schema)}`;
+    // 沒有圖片時維持純文字格式，避免不支援 Vision 的免費模型拒收
+    const content = images.length > 0
+      ? [{ type: 'text', text: instruction }, ...images.map(img => ({ type: 'image_url', image_url: { url: `data:image/jpeg;base64,${img}` } }))]
+      : instruction;
+
+    for (const model of getOpenRouterModels()) {
+      try {
+        const res = await fetch(OPENROUTER_URL, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
+            'Content-Type': 'application/json',
+            'HTTP-Referer': process.env.OPENROUTER_REFERRER || 'https://github.com/line-food-bot',
+          },
+          body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content }],
+            max_tokens: 512,
+            temperature: 0,
+          }),
+        });
+        if (!res.ok) continue;
+        const data = await res.json();
+        const parsed = parseJsonLoose(data?.choices?.[0]?.message?.content);
+        if (parsed) return parsed;
+      } catch (err) {
+        console.warn(`OpenRouter JSON 萃取失敗: ${model}`, err.message);
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  hasLlm,
+  generateJson
+};
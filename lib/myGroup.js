@@ -0,0 +1,155 @@
+/**
+ * 「我的組別」登記與課表提醒訂閱模組
+ * 每位使用者在每個對話來源 (群組 / 私訊) 各自登記一次組別 (stu 我是B組)，之後說「課表」就直接回覆該組；
+ * 也可以開啟「課表提醒」，在間歇課表前一晚收到推播。與 schedules.json 一樣持久化存放於 DATA_DIR
+ */
+const { loadJsonFile, saveJsonFile, serializeWithCleanup } = require('./dataStore');
+const { DIVISIONS, isGroupSelection } = require('./schedule');
+const { getCachedSchedule, findGroup } = require('./scheduleStore');
+
+const DB_FILE = 'subscriptions.json';
+
+// 結構: Map<sourceId, { members: { userId: { division, group, remind, displayName } }, remindedOn, updatedAt }>
+const subscriptionsBySource = new Map(Object.entries(loadJsonFile(DB_FILE)));
+
+function saveSubscriptionsToDB() {
+    saveJsonFile(DB_FILE, serializeWithCleanup(subscriptionsBySource, '組別登記與課表提醒'));
+}
+
+function divisionLabel(key) {
+    return DIVISIONS.find(d => d.key === key)?.label || '';
+}
+
+/**
+ * 取得使用者在此來源登記的組別
+ * @returns {{ division: string|null, group: string, remind: boolean }|null}
+ */
+function getMyGroup(sourceId, userId) {
+    return subscriptionsBySource.get(sourceId)?.members[userId] || null;
+}
+
+/**
+ * 列出使用者在所有來源登記過的組別 (私訊查詢時用來找他在跑團群組的組別)
+ * @returns {Array<{ sourceId: string, division: string|null, group: string }>}
+ */
+function listMyGroups(userId) {
+    return [...subscriptionsBySource.entries()]
+        .filter(([, entry]) => entry.members[userId]?.group)
+        .map(([sourceId, entry]) => ({ sourceId, division: entry.members[userId].division, group: entry.members[userId].group }));
+}
+
+function updateMember(sourceId, userId, changes) {
+    const entry = subscriptionsBySource.get(sourceId) || { members: {}, remindedOn: null };
+    entry.members[userId] = { ...entry.members[userId], ...changes };
+    entry.updatedAt = Date.now();
+    subscriptionsBySource.set(sourceId, entry);
+    saveSubscriptionsToDB();
+    return entry.members[userId];
+}
+
+/**
+ * 列出有開啟課表提醒的來源與成員 (供排程器使用)
+ * @returns {Array<{ sourceId, remindedOn, members: Array<{ userId, division, group, displayName }> }>}
+ */
+function listReminderSubscriptions() {
+    return [...subscriptionsBySource.entries()]
+        .map(([sourceId, entry]) => ({
+            sourceId,
+            remindedOn: entry.remindedOn,
+            members: Object.entries(entry.members)
+                .filter(([, m]) => m.remind && m.group)
+                .map(([userId, m]) => ({ userId, ...m }))
+        }))
+        .filter(s => s.members.length > 0);
+}
+
+/**
+ * 記錄某來源已推播過哪一天的提醒，避免重啟或重複檢查時再推一次
+ */
+function markReminded(sourceId, dateKey) {
+    const entry = subscriptionsBySource.get(sourceId);
+    if (!entry) return;
+    entry.remindedOn = dateKey;
+    saveSubscriptionsToDB();
+}
+
+/**
+ * 「我是B組」/「我是半馬B組」：登記組別
+ * 沒指定大項時，若目前課表只有一個大項有這組就自動帶入，否則請使用者挑選
+ */
+function registerGroup(ctx, selection) {
+    let division = selection.division;
+    if (!division) {
+        const found = findGroup(getCachedSchedule(ctx.sourceId), null, selection.group);
+        if (found?.candidates) {
+            return ctx.sendMessage({
+                type: 'text',
+                text: `好幾個大項都有 ${selection.group} 組耶，你是哪一個？👇`,
+                quickReply: {
+                    items: found.candidates.map(d => ({
+                        type: 'action',
+                        action: { type: 'message', label: `${d.label}${selection.group}組`, text: `我是${d.label}${selection.group}組` }
+                    }))
+                }
+            });
+        }
+        division = found ? found.division.key : null;
+    }
+
+    const member = updateMember(ctx.sourceId, ctx.userId, { division, group: selection.group, displayName: ctx.displayName });
+    return ctx.sendMessage({
+        type: 'text',
+        text: `Banana! 🍌 記住了，${ctx.displayName} 是${divisionLabel(division)}${selection.group}組！\n之後說「課表」或「明天練什麼」就直接給你這組的內容。` +
+            (member.remind ? '' : '\n想在間歇課表前一晚收到提醒，說「stu 課表提醒」即可開啟。')
+    });
+}
+
+/**
+ * 處理「我是B組」「我的組別」「課表提醒」「取消課表提醒」指令
+ * @param {Object} ctx - { text, sourceId, userId, displayName, sendMessage }
+ * @returns {Promise|null} 若不是組別登記指令則回傳 null
+ */
+function handleMyGroupCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    if (!ctx.userId) return null;
+
+    if (/^我是/.test(body)) {
+        const selection = isGroupSelection(body.replace(/^我是/, '課表'));
+        return selection ? registerGroup(ctx, selection) : null;
+    }
+
+    const current = getMyGroup(ctx.sourceId, ctx.userId);
+    if (/^我的組別$/.test(body)) {
+        return ctx.sendMessage({
+            type: 'text',
+            text: current?.group
+                ? `${ctx.displayName} 登記的是${divisionLabel(current.division)}${current.group}組，課表提醒${current.remind ? '已開啟' : '未開啟'}。`
+                : `${ctx.displayName} 還沒登記組別喔～說「stu 我是B組」就可以登記。`
+        });
+    }
+
+    if (/^(?:開啟)?課表提醒$/.test(body)) {
+        if (!current?.group) {
+            return ctx.sendMessage({ type: 'text', text: '要先告訴教練你是哪一組才能提醒你喔！說「stu 我是B組」就可以登記。' });
+        }
+        updateMember(ctx.sourceId, ctx.userId, { remind: true });
+        return ctx.sendMessage({
+            type: 'text',
+            text: `Bello! 🍌 開啟課表提醒了！間歇課表前一晚會推播${divisionLabel(current.division)}${current.group}組的內容與 200m 秒數。說「stu 取消課表提醒」可關閉。`
+        });
+    }
+
+    if (/^(?:取消|關閉)課表提醒$/.test(body)) {
+        if (current) updateMember(ctx.sourceId, ctx.userId, { remind: false });
+        return ctx.sendMessage({ type: 'text', text: '課表提醒關閉囉，想再開啟就說「stu 課表提醒」。' });
+    }
+    return null;
+}
+
+module.exports = {
+    getMyGroup,
+    listMyGroups,
+    listReminderSubscriptions,
+    markReminded,
+    handleMyGroupCommand
+};
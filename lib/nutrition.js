@@ -0,0 +1,251 @@
+/**
+ * 餐點照片營養紀錄模組
+ * 將餐點照片以 JSON Schema 萃取為「餐點、熱量、蛋白質、碳水、脂肪」的估算值，依使用者持久化存儲，
+ * 並提供「今日飲食」「本週飲食」指令，對照當天的課表訓練量給出碳水補充 (肝醣超補、恢復) 建議
+ */
+const { SchemaType } = require('@google/generative-ai');
+const { hasLlm, generateJson } = require('./llmJson');
+const { loadJsonFile, saveJsonFile, serializeWithCleanup } = require('./dataStore');
+const { getThisWeekSchedule, findGroup } = require('./scheduleStore');
+const { getMyGroup, listMyGroups } = require('./myGroup');
+const { summarizeSession } = require('./scheduleSessions');
+const { WEEKDAY_NAMES, getTaipeiParts, fromTaipeiParts } = require('./taipeiTime');
+const { NUTRITION_RETENTION_DAYS, NUTRITION_CARB_GUIDE } = require('./constants');
+
+const DB_FILE = 'nutrition.json';
+
+// 需要補足碳水的課表項目
+const HARD_SESSION_TYPES = ['interval', 'tempo', 'lsd'];
+
+const MEAL_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        is_meal: { type: SchemaType.BOOLEAN, description: '照片是否為餐點或飲料' },
+        items: {
+            type: SchemaType.ARRAY,
+            description: '照片中每一道餐點的估算營養素 (以一人份計)',
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    dish: { type: SchemaType.STRING, description: '餐點名稱 (繁體中文)' },
+                    calories: { type: SchemaType.NUMBER, description: '熱量 (kcal)' },
+                    protein_g: { type: SchemaType.NUMBER, description: '蛋白質 (公克)' },
+                    carbs_g: { type: SchemaType.NUMBER, description: '碳水化合物 (公克)' },
+                    fat_g: { type: SchemaType.NUMBER, description: '脂肪 (公克)' }
+                },
+                required: ['dish', 'calories', 'protein_g', 'carbs_g', 'fat_g']
+            }
+        }
+    },
+    required: ['is_meal']
+};
+
+// 飲食紀錄 (結構: Map<userId, { meals: [{ at, items: [{ dish, calories, protein, carbs, fat }] }], updatedAt }>)
+const logsByUser = new Map(Object.entries(loadJsonFile(DB_FILE)));
+
+function saveNutritionToDB() {
+    saveJsonFile(DB_FILE, serializeWithCleanup(logsByUser, '飲食紀錄'));
+}
+
+/**
+ * 以餐點照片估算營養素
+ * @param {Array<string>} images - JPEG Base64 圖片
+ * @param {string} [note] - 使用者附註文字 (例如「半碗飯」)
+ * @returns {Promise<Array|null>} 每道餐點的估算值，不是餐點或萃取失敗時回傳 null
+ */
+async function analyzeMealPhotos(images, note = '') {
+    if (!hasLlm() || !images || images.length === 0) return null;
+
+    const result = await generateJson(
+        `你是運動營養師。請判斷照片是否為餐點，若是，逐一估算每道餐點一人份的熱量與三大營養素，數字取整數。${note ? `\n使用者附註：「${note}」` : ''}`,
+        MEAL_SCHEMA,
+        images
+    );
+    if (!result || !result.is_meal || !Array.isArray(result.items) || result.items.length === 0) return null;
+
+    const toNumber = (n) => Math.max(0, Math.round(Number(n) || 0));
+    return result.items.map(item => ({
+        dish: item.dish || '未知餐點',
+        calories: toNumber(item.calories),
+        protein: toNumber(item.protein_g),
+        carbs: toNumber(item.carbs_g),
+        fat: toNumber(item.fat_g)
+    }));
+}
+
+/**
+ * 記錄一餐 (並移除超過保存天數的舊紀錄)
+ */
+function logMeal(userId, items, at = Date.now()) {
+    if (!userId || !items || items.length === 0) return;
+    const entry = logsByUser.get(userId) || { meals: [] };
+    const cutoff = Date.now() - NUTRITION_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    entry.meals = [...entry.meals.filter(m => m.at >= cutoff), { at, items }];
+    entry.updatedAt = Date.now();
+    logsByUser.set(userId, entry);
+    saveNutritionToDB();
+}
+
+function sumItems(items) {
+    return items.reduce((acc, i) => ({
+        calories: acc.calories + i.calories,
+        protein: acc.protein + i.protein,
+        carbs: acc.carbs + i.carbs,
+        fat: acc.fat + i.fat
+    }), { calories: 0, protein: 0, carbs: 0, fat: 0 });
+}
+
+function formatMacros(t) {
+    return `${t.calories} kcal｜蛋白質 ${t.protein}g｜碳水 ${t.carbs}g｜脂肪 ${t.fat}g`;
+}
+
+/**
+ * 記錄成功後附在教練回覆後方的簡短確認
+ */
+function formatMealLogged(items) {
+    const lines = items.map(i => `・${i.dish} 約 ${i.calories} kcal (P ${i.protein}g / C ${i.carbs}g / F ${i.fat}g)`);
+    return `📒 已記錄到飲食日誌：\n${lines.join('\n')}\n說「今日飲食」或「本週飲食」可以看總結。`;
+}
+
+/**
+ * 找出使用者這天要對照的課表組別：先看此來源的登記；
+ * 私訊 (sourceId 即 userId) 沒有課表時，改用他在跑團群組登記的組別與該群組的課表
+ * @returns {{ group: Object|null, registered: boolean }}
+ */
+function findMyScheduleGroup(sourceId, userId, date) {
+    const own = getMyGroup(sourceId, userId);
+    const registrations = [
+        ...(own?.group ? [{ sourceId, ...own }] : []),
+        ...(sourceId === userId ? listMyGroups(userId).filter(r => r.sourceId !== sourceId) : [])
+    ];
+    for (const r of registrations) {
+        const found = findGroup(getThisWeekSchedule(r.sourceId, date), r.division, r.group);
+        if (found && !found.candidates) return { group: found.group, registered: true };
+    }
+    return { group: null, registered: registrations.length > 0 };
+}
+
+/**
+ * 判斷某天的訓練量：使用者所屬組別當天有間歇、節奏跑或 LSD 即視為強度日
+ * @param {string} sourceId - 查詢的來源 ID
+ * @param {string} userId - 使用者 ID (依其登記的組別對照課表)
+ * @param {Date} date - 目標日期
+ * @returns {{ type: string, label: string }} type 對應 NUTRITION_CARB_GUIDE 的鍵值
+ */
+function getTrainingLoad(sourceId, userId, date) {
+    const { group, registered } = findMyScheduleGroup(sourceId, userId, date);
+    if (!group) {
+        return { type: 'easy', label: registered ? '未找到你這組本週的課表，以一般訓練日估算' : '還沒登記組別 (說「stu 我是B組」)，以一般訓練日估算' };
+    }
+
+    const weekday = getTaipeiParts(date).weekday;
+    const day = group.days.find(d => d.weekday === weekday);
+    const hardSessions = (day?.sessions || []).filter(s => HARD_SESSION_TYPES.includes(s.type));
+    if (hardSessions.length > 0) {
+        return { type: 'hard', label: `課表強度日 (${hardSessions.map(summarizeSession).join('、')})` };
+    }
+    return { type: 'easy', label: day ? `輕鬆日 (${day.sessions.map(summarizeSession).join('、')})` : '非課表日 (輕鬆跑或休息)' };
+}
+
+/**
+ * 取得某位使用者在指定台北日期 (當天 00:00 起算) 的所有餐點
+ */
+function getMealsOfDay(userId, dayStart) {
+    const dayEnd = dayStart.getTime() + 24 * 60 * 60 * 1000;
+    return (logsByUser.get(userId)?.meals || []).filter(m => m.at >= dayStart.getTime() && m.at < dayEnd);
+}
+
+function startOfTaipeiDay(date, offsetDays = 0) {
+    const p = getTaipeiParts(date);
+    return fromTaipeiParts(p.year, p.month, p.day + offsetDays);
+}
+
+function formatCarbGuide(load) {
+    const [min, max] = NUTRITION_CARB_GUIDE[load.type];
+    return `💡 ${load.type === 'hard' ? '課表強度日' : '一般訓練日'}碳水建議約 ${min}–${max} g/kg 體重，練完 30 分鐘內補充碳水與 20g 左右蛋白質幫助恢復。`;
+}
+
+/**
+ * 今日飲食總結
+ */
+function buildDailySummary(userId, sourceId, now = new Date()) {
+    const dayStart = startOfTaipeiDay(now);
+    const meals = getMealsOfDay(userId, dayStart);
+    const p = getTaipeiParts(now);
+    const load = getTrainingLoad(sourceId, userId, now);
+
+    let text = `🍽️ ${p.month}/${p.day} (週${WEEKDAY_NAMES[p.weekday]}) 飲食紀錄\n`;
+    if (meals.length === 0) {
+        return `${text}今天還沒有記錄任何餐點喔！吃飯前拍張照傳給史都華就會自動記錄 📸\n🏃 今日訓練：${load.label}`;
+    }
+
+    for (const meal of meals) {
+        const t = getTaipeiParts(new Date(meal.at));
+        const time = `${String(t.hour).padStart(2, '0')}:${String(t.minute).padStart(2, '0')}`;
+        text += `・${time} ${meal.items.map(i => i.dish).join('、')} ${sumItems(meal.items).calories} kcal\n`;
+    }
+    text += `━━━━━━━━━━━━━━\n`;
+    text += `合計 ${formatMacros(sumItems(meals.flatMap(m => m.items)))}\n`;
+    text += `🏃 今日訓練：${load.label}\n`;
+    text += formatCarbGuide(load);
+    return text;
+}
+
+/**
+ * 本週飲食總結 (週一到今天，逐日列出熱量與碳水)
+ */
+function buildWeeklySummary(userId, sourceId, now = new Date()) {
+    const today = getTaipeiParts(now);
+    const daysSinceMonday = (today.weekday + 6) % 7;
+    const rows = [];
+    const allItems = [];
+    let loggedDays = 0;
+
+    for (let i = -daysSinceMonday; i <= 0; i++) {
+        const dayStart = startOfTaipeiDay(now, i);
+        const items = getMealsOfDay(userId, dayStart).flatMap(m => m.items);
+        const load = getTrainingLoad(sourceId, userId, dayStart);
+        const p = getTaipeiParts(dayStart);
+        const icon = load.type === 'hard' ? '🏃 ' : '・';
+        if (items.length > 0) {
+            const t = sumItems(items);
+            rows.push(`${icon}週${WEEKDAY_NAMES[p.weekday]} ${t.calories} kcal (碳水 ${t.carbs}g / 蛋白質 ${t.protein}g)`);
+            allItems.push(...items);
+            loggedDays++;
+        } else {
+            rows.push(`${icon}週${WEEKDAY_NAMES[p.weekday]} 無紀錄`);
+        }
+    }
+
+    let text = `📅 本週飲食總結\n${rows.join('\n')}\n━━━━━━━━━━━━━━\n`;
+    if (loggedDays === 0) {
+        return `${text}這週還沒有任何餐點紀錄，拍照傳給史都華就會自動記錄 📸`;
+    }
+    const total = sumItems(allItems);
+    const avg = Object.fromEntries(Object.entries(total).map(([k, v]) => [k, Math.round(v / loggedDays)]));
+    text += `有紀錄的 ${loggedDays} 天平均：${formatMacros(avg)}\n`;
+    text += `🏃 = 課表強度日 (間歇、節奏跑、LSD)，強度日前後記得把碳水吃足；比賽前 1–2 天可提高到 10–12 g/kg 做肝醣超補。`;
+    return text;
+}
+
+/**
+ * 處理「今日飲食」「本週飲食」指令
+ * @param {Object} ctx - { text, userId, sourceId, sendMessage }
+ * @returns {Promise|null} 若不是飲食紀錄指令則回傳 null
+ */
+function handleNutritionCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    if (!ctx.userId || !/^(今日|今天|本週|這週)飲食(紀錄|記錄|總結)?$/.test(body)) return null;
+
+    const text = /^(今日|今天)/.test(body)
+        ? buildDailySummary(ctx.userId, ctx.sourceId)
+        : buildWeeklySummary(ctx.userId, ctx.sourceId);
+    return ctx.sendMessage({ type: 'text', text });
+}
+
+module.exports = {
+    analyzeMealPhotos,
+    logMeal,
+    formatMealLogged,
+    handleNutritionCommand
+};
@@ -0,0 +1,162 @@
+/**
+ * 配速與圈速換算工具模組
+ * 純計算、不呼叫 LLM：配速 ↔ 任意圈長的每圈秒數、任意距離的分段時間 ↔ 每公里配速、目標成績 ↔ 比賽分段，
+ * 以及 Jack Daniels 的 VDOT 跑力換算 (由一次成績推估其他距離的等效成績)
+ */
+
+// 比賽距離 (公里)，鍵值與課表組別大項的 key 相同
+const RACE_DISTANCE_KM = { full: 42.195, half: 21.0975, '10k': 10, '5k': 5 };
+const RACE_LABELS = { full: '全馬', half: '半馬', '10k': '10K', '5k': '5K' };
+// 比賽距離的寫法 (正規表達式片段，含一個擷取群組)，以 toRaceKey() 轉為 RACE_DISTANCE_KM 的鍵值
+const RACE_NAME = String.raw`(全\s*馬|半\s*馬|馬拉松|半程馬拉松|10\s*(?:k|公里)|5\s*(?:k|公里))`;
+
+function toRaceKey(text) {
+    if (/半/.test(text)) return 'half';
+    if (/全|馬拉松/.test(text)) return 'full';
+    return /^10/.test(text.replace(/\s/g, '')) ? '10k' : '5k';
+}
+
+/**
+ * 將時間字串換算成秒數
+ * 支援 "4:05"、"3:15:00"、"4'05\""、"4分05秒"、"98" (純秒數)
+ * @returns {number|null} 無法解析時回傳 null
+ */
+function parseDuration(text) {
+    if (!text) return null;
+    const normalized = String(text).trim()
+        .replace(/[’'′分]/g, ':')
+        .replace(/["”″秒]/g, '')
+        .replace(/:$/, '');
+    if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(normalized)) return null;
+
+    const parts = normalized.split(':').map(Number);
+    if (parts.slice(1).some(n => n >= 60)) return null;
+    return parts.reduce((total, n) => total * 60 + n, 0);
+}
+
+/**
+ * 將秒數格式化為 "h:mm:ss" 或 "m:ss" (小數秒四捨五入到 0.1 秒，整數時不顯示小數)
+ */
+function formatDuration(totalSeconds) {
+    const tenths = Math.round(totalSeconds * 10);
+    const whole = Math.floor(tenths / 10);
+    const h = Math.floor(whole / 3600);
+    const m = Math.floor((whole % 3600) / 60);
+    const sec = String(whole % 60).padStart(2, '0') + (tenths % 10 ? `.${tenths % 10}` : '');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+/**
+ * 每公里配速 (秒) 換算成指定距離所需秒數 (例如 400m 一圈、1200m 一趟)
+ */
+function splitSeconds(paceSecondsPerKm, meters) {
+    return paceSecondsPerKm * meters / 1000;
+}
+
+/**
+ * 指定距離的完成時間換算回每公里配速 (秒)
+ */
+function paceFromSplit(seconds, meters) {
+    return seconds * 1000 / meters;
+}
+
+/**
+ * 將組別目標 (如 "SUB 3:15"、10K 的 "SUB 40") 換算為完賽秒數
+ * 全馬 / 半馬的兩段式寫法為 時:分，10K / 5K 為 分 或 分:秒
+ * @param {string} target - 目標字串
+ * @param {string} raceKey - RACE_DISTANCE_KM 的鍵值
+ */
+function parseTargetSeconds(target, raceKey) {
+    const match = (target || '').match(/(\d+)(?::(\d{2}))?(?::(\d{2}))?/);
+    if (!match) return null;
+    const [first, second, third] = [match[1], match[2], match[3]].map(n => (n ? parseInt(n, 10) : 0));
+    if (match[3]) return first * 3600 + second * 60 + third;
+    if (raceKey === '10k' || raceKey === '5k') return first * 60 + second;
+    return match[2] ? first * 3600 + second * 60 : null;
+}
+
+/**
+ * 依目標完賽時間列出比賽分段 (每 5K、半馬點與終點)
+ * @returns {Array<{ label: string, km: number, seconds: number }>}
+ */
+function buildRaceSplits(targetSeconds, raceKey) {
+    const raceKm = RACE_DISTANCE_KM[raceKey];
+    const perKm = targetSeconds / raceKm;
+    const marks = [];
+    for (let km = 5; km < raceKm; km += 5) {
+        marks.push({ label: `${km}K`, km });
+        if (raceKey === 'full' && km === 20) marks.push({ label: '半馬', km: RACE_DISTANCE_KM.half });
+    }
+    marks.push({ label: '終點', km: raceKm });
+    return marks.map(m => ({ ...m, seconds: perKm * m.km }));
+}
+
+// Daniels & Gilbert 公式：速度 (公尺/分) 對應的攝氧量，以及能以該強度維持 t 分鐘的最大攝氧量比例
+const VO2_COEFFICIENTS = { a: 0.000104, b: 0.182258, c: -4.60 };
+
+function vo2AtVelocity(metersPerMinute) {
+    const { a, b, c } = VO2_COEFFICIENTS;
+    return c + b * metersPerMinute + a * metersPerMinute * metersPerMinute;
+}
+
+function vo2MaxFraction(minutes) {
+    return 0.8 + 0.1894393 * Math.exp(-0.012778 * minutes) + 0.2989558 * Math.exp(-0.1932605 * minutes);
+}
+
+/**
+ * 由一次全力跑的成績計算 VDOT 跑力值
+ * @param {number} meters - 距離 (公尺)
+ * @param {number} seconds - 完成秒數
+ */
+function vdotFromPerformance(meters, seconds) {
+    const minutes = seconds / 60;
+    return vo2AtVelocity(meters / minutes) / vo2MaxFraction(minutes);
+}
+
+/**
+ * 依 VDOT 推算指定距離的等效成績 (秒)，以二分法求解 (VDOT 隨完成時間遞減)
+ */
+function predictSeconds(vdot, meters) {
+    let [low, high] = [1, 24 * 60]; // 分鐘
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (vdotFromPerformance(meters, mid * 60) > vdot) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2 * 60;
+}
+
+/**
+ * 依 VDOT 推算能全力維持 minutes 分鐘的配速 (秒/公里)，例如 11 分鐘約為間歇 (I) 配速
+ */
+function paceForEffort(vdot, minutes) {
+    const { a, b, c } = VO2_COEFFICIENTS;
+    const target = vdot * vo2MaxFraction(minutes);
+    const metersPerMinute = (-b + Math.sqrt(b * b - 4 * a * (c - target))) / (2 * a);
+    return 60 * 1000 / metersPerMinute;
+}
+
+/**
+ * 由間歇每趟的配速反推 VDOT (視為能全力維持 minutes 分鐘的強度)
+ * @param {number} paceSecondsPerKm - 每趟平均配速 (秒/公里)
+ */
+function vdotFromEffortPace(paceSecondsPerKm, minutes) {
+    return vo2AtVelocity(60 * 1000 / paceSecondsPerKm) / vo2MaxFraction(minutes);
+}
+
+module.exports = {
+    RACE_DISTANCE_KM,
+    RACE_LABELS,
+    RACE_NAME,
+    toRaceKey,
+    parseDuration,
+    formatDuration,
+    splitSeconds,
+    paceFromSplit,
+    parseTargetSeconds,
+    buildRaceSplits,
+    vdotFromPerformance,
+    predictSeconds,
+    paceForEffort,
+    vdotFromEffortPace
+};
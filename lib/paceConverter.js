@@ -0,0 +1,115 @@
+/**
+ * 配速 / 圈速換算指令模組 (純計算，不呼叫 LLM)
+ * - 「配速 4:05 400m」：每公里配速換算成指定圈長 (200m、400m 或自訂跑道) 的每圈秒數
+ * - 「1000m 3:55」：某段距離的完成時間換算回每公里配速
+ * - 「目標 3:15 全馬」：目標成績需要的配速與 5K / 10K / 半馬等分段
+ */
+const { RACE_LABELS, RACE_DISTANCE_KM, RACE_NAME, toRaceKey, parseDuration, formatDuration, splitSeconds, paceFromSplit, parseTargetSeconds, buildRaceSplits } = require('./pace');
+
+const TIME = String.raw`(\d{1,2}(?:[:'’′分]\d{1,2}){1,2}["”″秒]?)`;
+const TARGET_TIME = String.raw`(\d{1,2}(?:[:'’′分]\d{1,2}){0,2}["”″秒]?)`; // 10K / 5K 可只寫分鐘，如「目標 40 10K」
+const METERS = String.raw`(\d{2,5})\s*(?:m|公尺|米)`;
+
+const PACE_TO_LAP_PATTERN = new RegExp(String.raw`^配速\s*${TIME}\s*(?:\/\s*km)?\s*(?:(?:跑道|操場|每圈|圈長)\s*)?(?:(\d{2,4})\s*(?:m|公尺|米)?)?$`, 'i');
+const SPLIT_TO_PACE_PATTERNS = [
+    new RegExp(String.raw`^${METERS}\s*${TIME}$`, 'i'),
+    new RegExp(String.raw`^${TIME}\s*${METERS}$`, 'i')
+];
+const TARGET_PATTERNS = [
+    new RegExp(String.raw`^目標\s*${TARGET_TIME}\s*${RACE_NAME}$`, 'i'),
+    new RegExp(String.raw`^目標\s*${RACE_NAME}\s*${TARGET_TIME}$`, 'i')
+];
+const COMMON_REP_METERS = [400, 800, 1000, 1200, 1600];
+
+/**
+ * 單一圈長的秒數文字 (例如 "400m 1:38")，1 分鐘以內只顯示秒數
+ */
+function formatLap(paceSeconds, meters) {
+    const seconds = splitSeconds(paceSeconds, meters);
+    return `${meters}m ${seconds < 60 ? `${Math.round(seconds * 10) / 10} 秒` : formatDuration(seconds)}`;
+}
+
+/**
+ * 配速 → 每圈秒數
+ */
+function formatPaceToLap(paceSeconds, lapMeters) {
+    const laps = lapMeters ? [lapMeters] : [200, 400];
+    let text = `⏱ 配速 ${formatDuration(paceSeconds)}/km 換算\n`;
+    text += laps.map(m => `🔄 每圈 ${formatLap(paceSeconds, m)}`).join('\n');
+    text += `\n━━━━━━━━━━━━━━\n📋 常見趟數：${COMMON_REP_METERS.map(m => formatLap(paceSeconds, m)).join('｜')}`;
+    return text;
+}
+
+/**
+ * 分段時間 → 每公里配速
+ */
+function formatSplitToPace(meters, seconds) {
+    const pace = paceFromSplit(seconds, meters);
+    let text = `⏱ ${meters}m 跑 ${formatDuration(seconds)}\n`;
+    text += `🏃 換算配速 ${formatDuration(pace)}/km\n`;
+    text += `🔄 每圈 ${formatLap(pace, 200)}｜${formatLap(pace, 400)}`;
+    return text;
+}
+
+/**
+ * 目標成績 → 需要的配速與比賽分段
+ */
+function formatTarget(raceKey, targetSeconds) {
+    const pace = targetSeconds / RACE_DISTANCE_KM[raceKey];
+    let text = `🏁 ${RACE_LABELS[raceKey]}目標 ${formatDuration(targetSeconds)}\n`;
+    text += `🏃 需要配速 ${formatDuration(pace)}/km (每圈 ${formatLap(pace, 400)}｜${formatLap(pace, 200)})\n`;
+    text += `━━━━━━━━━━━━━━\n`;
+    text += buildRaceSplits(targetSeconds, raceKey).map(s => `${s.label} ${formatDuration(Math.round(s.seconds))}`).join('\n');
+    return text;
+}
+
+/**
+ * 解析換算指令並產生回覆文字
+ * @returns {string|null} 不是換算指令或數值不合理時回傳 null
+ */
+function convertPaceText(body) {
+    const paceMatch = body.match(PACE_TO_LAP_PATTERN);
+    if (paceMatch) {
+        const pace = parseDuration(paceMatch[1]);
+        const lap = paceMatch[2] ? parseInt(paceMatch[2], 10) : null;
+        if (!pace || (lap !== null && (lap < 50 || lap > 2000))) return null;
+        return formatPaceToLap(pace, lap);
+    }
+
+    for (const [i, pattern] of SPLIT_TO_PACE_PATTERNS.entries()) {
+        const match = body.match(pattern);
+        if (!match) continue;
+        const [meters, time] = i === 0 ? [match[1], match[2]] : [match[2], match[1]];
+        const seconds = parseDuration(time);
+        const distance = parseInt(meters, 10);
+        if (!seconds || distance < 100) return null;
+        return formatSplitToPace(distance, seconds);
+    }
+
+    for (const [i, pattern] of TARGET_PATTERNS.entries()) {
+        const match = body.match(pattern);
+        if (!match) continue;
+        const [time, race] = i === 0 ? [match[1], match[2]] : [match[2], match[1]];
+        const raceKey = toRaceKey(race);
+        const targetSeconds = parseTargetSeconds(time.replace(/[’'′分]/g, ':').replace(/["”″秒]/g, ''), raceKey);
+        if (!targetSeconds) return null;
+        return formatTarget(raceKey, targetSeconds);
+    }
+    return null;
+}
+
+/**
+ * 處理配速換算指令 (私訊直接可用，群組中與其他指令一樣需呼叫史都華)
+ * @param {Object} ctx - { text, sendMessage }
+ * @returns {Promise|null} 若不是換算指令則回傳 null
+ */
+function handlePaceCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    const text = convertPaceText(body);
+    return text ? ctx.sendMessage({ type: 'text', text }) : null;
+}
+
+module.exports = {
+    convertPaceText,
+    handlePaceCommand
+};
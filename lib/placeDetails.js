@@ -0,0 +1,96 @@
+/**
+ * Google Place Details 模組
+ * 負責單一餐廳的詳細資訊 (營業時間、電話、評論、訂位) 與指定時間是否營業的判斷
+ */
+const { PLACES_DETAIL_REVIEWS } = require('./constants');
+const { callPlacesApi } = require('./placesApi');
+const { getTaipeiParts } = require('./taipeiTime');
+
+/**
+ * 透過 Google Place Details API 取得單一餐廳的詳細資訊
+ * @param {string} placeId - Google Place ID
+ * @returns {Promise<Object>} 一週營業時間、電話、網站、前幾則評論與是否可訂位
+ */
+async function getPlaceDetails(placeId) {
+    try {
+        const data = await callPlacesApi('place/details/json', {
+            place_id: placeId,
+            fields: 'place_id,name,rating,user_ratings_total,formatted_phone_number,website,opening_hours,reviews,reservable,url',
+            reviews_sort: 'most_relevant',
+            language: 'zh-TW'
+        });
+        if (data.status !== 'OK' || !data.result) {
+            throw new Error(`Place Details 狀態: ${data.status}`);
+        }
+
+        const r = data.result;
+        return {
+            placeId: r.place_id || placeId,
+            name: r.name,
+            rating: r.rating,
+            userRatingsTotal: r.user_ratings_total,
+            phone: r.formatted_phone_number || null,
+            website: r.website || null,
+            weekdayText: r.opening_hours?.weekday_text || [],
+            openNow: r.opening_hours?.open_now ?? null,
+            reservable: typeof r.reservable === 'boolean' ? r.reservable : null,
+            reviews: (r.reviews || []).slice(0, PLACES_DETAIL_REVIEWS).map(rv => ({
+                author: rv.author_name,
+                rating: rv.rating,
+                text: rv.text || '',
+                relativeTime: rv.relative_time_description || ''
+            })),
+            mapUrl: r.url || `https://www.google.com/maps/search/?api=1&query=Google&query_place_id=${placeId}`
+        };
+    } catch (error) {
+        console.error('Google Place Details API 請求失敗:', error.message);
+        throw new Error('查詢餐廳詳細資訊發生錯誤');
+    }
+}
+
+/**
+ * 只取得營業時段 (opening_hours.periods)，用於判斷指定時間是否營業
+ * @param {string} placeId - Google Place ID
+ * @returns {Promise<Array|null>} periods 陣列，查詢失敗或無資料時回傳 null
+ */
+async function getOpeningPeriods(placeId) {
+    try {
+        const data = await callPlacesApi('place/details/json', {
+            place_id: placeId,
+            fields: 'opening_hours'
+        });
+        return data?.result?.opening_hours?.periods || null;
+    } catch (error) {
+        console.log(`取得營業時段失敗 (${placeId}):`, error.message);
+        return null;
+    }
+}
+
+/**
+ * 判斷指定時間 (以台北時間計) 是否落在營業時段內，支援跨夜營業 (例如 18:00 ~ 隔天 02:00)
+ * @param {Array} periods - Places opening_hours.periods ({ open: { day, time }, close: { day, time } })
+ * @param {Date} date - 目標時間
+ */
+function isOpenAt(periods, date) {
+    if (!Array.isArray(periods) || periods.length === 0) return false;
+
+    const WEEK_MINUTES = 7 * 24 * 60;
+    const toWeekMinutes = (p) => p.day * 24 * 60 + parseInt(p.time.slice(0, 2), 10) * 60 + parseInt(p.time.slice(2), 10);
+    const t = getTaipeiParts(date);
+    const target = t.weekday * 24 * 60 + t.hour * 60 + t.minute;
+
+    return periods.some((period) => {
+        // 只有 open 沒有 close 代表 24 小時營業
+        if (!period.close) return true;
+        const open = toWeekMinutes(period.open);
+        let close = toWeekMinutes(period.close);
+        if (close <= open) close += WEEK_MINUTES; // 跨夜或跨週 (週六晚上到週日凌晨)
+        return (target >= open && target < close) || (target + WEEK_MINUTES >= open && target + WEEK_MINUTES < close);
+    });
+}
+
+module.exports = {
+    getPlaceDetails,
+    getOpeningPeriods,
+    isOpenAt
+};
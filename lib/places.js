@@ -1,57 +1,290 @@
-const activeApiKey = process.env.GOOGLE_PLACES_API_KEY;
+const { PLACES_MIN_RATING, PLACES_MIN_REVIEWS, PLACES_TOP_N, NEARBY_RADIUS_M, WALKING_SPEED_M_PER_MIN, OPEN_AT_CANDIDATES } = require('./constants');
+const { callPlacesApi, callPlacesNextPage, resolvePhotoUrl } = require('./placesApi');
+const { getOpeningPeriods, isOpenAt } = require('./placeDetails');
+const { formatTaipeiTime } = require('./taipeiTime');
 
 /**
- * 透過 Google Places Text Search API 尋找附近的餐廳
- * @param {string} queryText - 使用者輸入的地點或欲搜尋的目標
- * @returns {Promise<string[]>} - 回傳格式化後的餐廳名單字串陣列
+ * 以 Haversine 公式計算兩點間的直線距離 (公尺)
+ */
+function haversineMeters(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return Math.round(6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+/**
+ * 將用餐偏好轉為 Places API 共用的查詢參數 (價位區間)
+ * @param {Object} prefs - { minPrice, maxPrice }
+ */
+function buildPriceParams(prefs) {
+    return {
+        minprice: prefs.minPrice,
+        maxprice: prefs.maxPrice
+    };
+}
+
+/**
+ * 將料理類型與飲食限制 (如素食) 組成搜尋關鍵字
+ * @param {Object} prefs - { cuisine, dietKeyword }
+ */
+function buildKeyword(prefs) {
+    return [prefs.cuisine, prefs.dietKeyword].filter(Boolean).join(' ');
+}
+
+/**
+ * 進行品質與偏好過濾：評分、評論數、價位與忌口都達標的店家
+ * @param {Array} results - Places API 回傳的結果
+ * @param {Object} prefs - 用餐偏好 { minRating, minPrice, maxPrice, excludes }
+ */
+function filterCandidates(results, prefs = {}) {
+    const minRating = prefs.minRating || PLACES_MIN_RATING;
+    const excludes = prefs.excludes || [];
+
+    return (results || [])
+        .filter((r) => r.rating >= minRating && r.user_ratings_total >= PLACES_MIN_REVIEWS)
+        .filter((r) => {
+            // 沒有價位資料的店家保留，避免過度篩選
+            if (typeof r.price_level !== 'number') return true;
+            if (prefs.minPrice !== undefined && r.price_level < prefs.minPrice) return false;
+            if (prefs.maxPrice !== undefined && r.price_level > prefs.maxPrice) return false;
+            return true;
+        })
+        .filter((r) => !excludes.some((word) => (r.name || '').includes(word)));
+}
+
+/**
+ * 將一頁 API 結果放入分頁狀態的候選佇列 (座標搜尋會先過濾掉步行半徑外的店家)
+ * @param {Object} pager - 分頁狀態
+ * @param {Object} data - Places API 回應
  */
-async function searchNearbyRestaurants(queryText) {
-    if (!activeApiKey) {
-        throw new Error('未設定 GOOGLE_PLACES_API_KEY');
+function enqueueResults(pager, data) {
+    let results = data.results || [];
+    pager.nextPageToken = data.next_page_token || null;
+    pager.nextPageTokenAt = Date.now();
+
+    if (pager.origin) {
+        const { lat, lng } = pager.origin;
+        const withinRadius = results.filter((r) => {
+            const loc = r.geometry?.location;
+            return loc && haversineMeters(lat, lng, loc.lat, loc.lng) <= NEARBY_RADIUS_M;
+        });
+        // rankby=distance 依距離排序，這頁已有店家超出半徑就不必再翻下一頁
+        if (withinRadius.length < results.length) pager.nextPageToken = null;
+        results = withinRadius;
     }
 
-    try {
-        const url = new URL('https://maps.googleapis.com/maps/api/place/textsearch/json');
-        url.searchParams.append('query', `${queryText} 附近美食 餐廳`);
-        url.searchParams.append('type', 'restaurant');
-        url.searchParams.append('opennow', 'true');
-        url.searchParams.append('language', 'zh-TW');
-        url.searchParams.append('key', activeApiKey);
-
-        const response = await fetch(url.href);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+    const fresh = filterCandidates(results, pager.prefs)
+        .filter(r => !pager.shownIds.has(r.place_id) && !pager.pending.some(p => p.place_id === r.place_id));
+    pager.pending.push(...fresh);
+}
+
+/**
+ * 從分頁狀態取出下一批尚未推薦過的餐廳 (候選不足時以 next_page_token 翻頁)
+ * 有指定目標時間時，改為查詢候選店家的營業時段，只保留當時有營業的店家
+ * @param {Object} pager - searchNearbyRestaurants 等回傳的分頁狀態 (會被更新)
+ * @returns {Promise<Object[]>} 整理後的餐廳物件陣列 (含步行距離與封面照片)
+ */
+async function fetchNextRestaurants(pager) {
+    const { targetTime } = pager.options;
+    const picks = [];
+    let checked = 0;
+
+    while (picks.length < PLACES_TOP_N) {
+        if (pager.pending.length === 0) {
+            if (!pager.nextPageToken) break;
+            try {
+                const data = await callPlacesNextPage(pager.endpoint, pager.nextPageToken, pager.nextPageTokenAt);
+                if (!data) break; // 權杖尚未生效時保留，之後「再推薦幾家」仍可翻頁
+                enqueueResults(pager, data);
+            } catch (error) {
+                console.log('Places 翻頁請求失敗:', error.message);
+                pager.nextPageToken = null;
+            }
+            continue;
         }
 
-        const data = await response.json();
-        const results = data.results;
-        if (!results || results.length === 0) {
-            return [];
+        if (!targetTime) {
+            picks.push(...pager.pending.splice(0, PLACES_TOP_N - picks.length));
+            continue;
         }
+        // 每批最多查詢 OPEN_AT_CANDIDATES 家的營業時段，避免 Place Details 費用失控
+        if (checked >= OPEN_AT_CANDIDATES) break;
+        const chunk = pager.pending.splice(0, Math.min(PLACES_TOP_N - picks.length, OPEN_AT_CANDIDATES - checked));
+        checked += chunk.length;
+        const periodsList = await Promise.all(chunk.map(r => getOpeningPeriods(r.place_id)));
+        picks.push(...chunk.filter((r, i) => isOpenAt(periodsList[i], targetTime)));
+    }
 
-        // 進行簡易品質過濾：只挑選評分大於等於 4.0 且至少有 10 則評論的店家
-        const highQualityRestaurants = results.filter(
-            (r) => r.rating >= 4.0 && r.user_ratings_total >= 10
-        );
+    picks.forEach(r => pager.shownIds.add(r.place_id));
+    const targetTimeLabel = targetTime ? formatTaipeiTime(targetTime) : null;
+    let places = picks.map(r => ({ ...normalizePlace(r), targetTimeLabel }));
+    if (pager.origin) {
+        places = await attachWalkingDistance(pager.origin.lat, pager.origin.lng, places);
+    }
+    return attachPhotos(places);
+}
 
-        // 取前 5 家最好的推薦給教練
-        const topPicks = highQualityRestaurants.slice(0, 5);
+/**
+ * 分頁狀態中是否還有尚未推薦的候選店家
+ */
+function hasMoreRestaurants(pager) {
+    return Boolean(pager && (pager.pending.length > 0 || pager.nextPageToken));
+}
 
-        return topPicks.map((r) => {
-            // 組裝給 AI 參考的精簡字串
-            const name = r.name;
-            const rating = `${r.rating}顆星 (${r.user_ratings_total}則評論)`;
-            const priceLevel = r.price_level ? '💰'.repeat(r.price_level) : '未知';
-            const address = r.formatted_address;
-            const status = r.opening_hours?.open_now ? '營業中' : '目前休息';
-            const mapUrl = `https://www.google.com/maps/search/?api=1&query=Google&query_place_id=${r.place_id}`;
+/**
+ * 將 Places API 的原始結果整理為統一的餐廳物件，供卡片與 AI 提示共用
+ * @param {Object} r - Places API 回傳的單筆結果
+ */
+function normalizePlace(r) {
+    return {
+        placeId: r.place_id,
+        name: r.name,
+        rating: r.rating,
+        userRatingsTotal: r.user_ratings_total,
+        priceLevel: typeof r.price_level === 'number' ? r.price_level : null,
+        address: r.formatted_address || r.vicinity || '',
+        openNow: r.opening_hours?.open_now ?? null,
+        location: r.geometry?.location || null,
+        photoReference: r.photos?.[0]?.photo_reference || null,
+        photoUrl: null,
+        walkingMeters: null,
+        walkingMinutes: null,
+        targetTimeLabel: null,
+        mapUrl: `https://www.google.com/maps/search/?api=1&query=Google&query_place_id=${r.place_id}`
+    };
+}
 
-            return `店名: ${name} | 評分: ${rating} | 價位: ${priceLevel} | 狀態: ${status} | 地址: ${address} | 導航: ${mapUrl}`;
-        });
+/**
+ * 組裝給 AI 參考的精簡字串
+ * @param {Object} place - normalizePlace 整理後的餐廳物件
+ * @param {number} index - 清單編號 (從 1 開始)，讓 AI 能以編號對應推薦餐點
+ */
+function formatRestaurantLine(place, index) {
+    const rating = `${place.rating}顆星 (${place.userRatingsTotal}則評論)`;
+    const priceLevel = place.priceLevel ? '💰'.repeat(place.priceLevel) : '未知';
+    const status = place.targetTimeLabel
+        ? `${place.targetTimeLabel} 有營業`
+        : place.openNow === null ? '營業時間未知' : (place.openNow ? '營業中' : '目前休息');
+
+    let line = `${index}. 店名: ${place.name} | 評分: ${rating} | 價位: ${priceLevel} | 狀態: ${status} | 地址: ${place.address}`;
+    if (place.walkingMeters) {
+        line += ` | 距離: 步行約 ${place.walkingMeters}m (${place.walkingMinutes} 分鐘)`;
+    }
+    return line;
+}
+
+/**
+ * 替推薦名單補上卡片用的封面照片
+ */
+async function attachPhotos(places) {
+    const urls = await Promise.all(places.map(p => resolvePhotoUrl(p.photoReference)));
+    return places.map((p, i) => ({ ...p, photoUrl: urls[i] }));
+}
+
+/**
+ * 替每一家餐廳補上步行距離與時間
+ * 優先使用 Distance Matrix API 的步行路徑，失敗時以直線距離估算
+ */
+async function attachWalkingDistance(lat, lng, restaurants) {
+    if (restaurants.length === 0) return restaurants;
+
+    let elements = [];
+    try {
+        const data = await callPlacesApi('distancematrix/json', {
+            origins: `${lat},${lng}`,
+            destinations: restaurants.map(r => `place_id:${r.placeId}`).join('|'),
+            mode: 'walking',
+            language: 'zh-TW'
+        }, restaurants.length);
+        elements = data?.rows?.[0]?.elements || [];
+    } catch (error) {
+        console.log('Distance Matrix API 請求失敗，改用直線距離估算:', error.message);
+    }
+
+    return restaurants.map((r, i) => {
+        const el = elements[i];
+        if (el && el.status === 'OK') {
+            return { ...r, walkingMeters: el.distance.value, walkingMinutes: Math.max(1, Math.round(el.duration.value / 60)) };
+        }
+        const loc = r.location;
+        if (!loc) return r;
+        const meters = haversineMeters(lat, lng, loc.lat, loc.lng);
+        return { ...r, walkingMeters: meters, walkingMinutes: Math.max(1, Math.round(meters / WALKING_SPEED_M_PER_MIN)) };
+    });
+}
+
+/**
+ * 建立新的分頁狀態，並取出第一批推薦餐廳
+ * @param {string} endpoint - 搜尋端點
+ * @param {Object} params - 第一頁的查詢參數
+ * @param {Object|null} origin - 座標搜尋的原點 { lat, lng }
+ */
+async function startSearch(endpoint, params, origin, prefs, options) {
+    const pager = { endpoint, origin, prefs, options, pending: [], nextPageToken: null, nextPageTokenAt: 0, shownIds: new Set() };
+    enqueueResults(pager, await callPlacesApi(endpoint, params));
+    const places = await fetchNextRestaurants(pager);
+    return { places, pager };
+}
+
+/**
+ * 透過 Google Places Text Search API 尋找附近的餐廳
+ * @param {string} queryText - 欲搜尋的地點 (地名、區域或地標)
+ * @param {Object} [prefs] - 用餐偏好 (料理類型、價位、最低評分、忌口)
+ * @param {Object} [options] - { targetTime: Date } 指定用餐時間；未指定則只找「現在營業中」的店家
+ * @returns {Promise<{ places: Object[], pager: Object }>} 整理後的餐廳物件陣列 (含封面照片) 與供「再推薦幾家」使用的分頁狀態
+ */
+async function searchNearbyRestaurants(queryText, prefs = {}, options = {}) {
+    try {
+        // 有指定料理 (或素食) 時直接搜「地點 + 料理」，避免被泛用的「美食」關鍵字稀釋
+        const keyword = buildKeyword(prefs);
+        const query = keyword ? `${queryText} ${keyword} 餐廳` : `${queryText} 附近美食 餐廳`;
+        return await startSearch('place/textsearch/json', {
+            query,
+            type: 'restaurant',
+            opennow: options.targetTime ? undefined : 'true',
+            language: 'zh-TW',
+            ...buildPriceParams(prefs)
+        }, null, prefs, options);
     } catch (error) {
         console.error('Google Places API 請求失敗:', error.message);
         throw new Error('搜尋真實餐廳發生錯誤');
     }
 }
 
-module.exports = { searchNearbyRestaurants };
+/**
+ * 透過 Google Places Nearby Search API 以座標搜尋步行範圍內的餐廳
+ * 依距離排序後，過濾掉超出步行半徑的店家，並附上每家的步行距離
+ * @param {number} lat - 緯度
+ * @param {number} lng - 經度
+ * @param {Object} [prefs] - 用餐偏好 (料理類型、價位、最低評分、忌口)
+ * @param {Object} [options] - { targetTime: Date } 指定用餐時間；未指定則只找「現在營業中」的店家
+ * @returns {Promise<{ places: Object[], pager: Object }>} 整理後的餐廳物件陣列 (含步行距離與封面照片) 與分頁狀態
+ */
+async function searchNearbyRestaurantsByCoords(lat, lng, prefs = {}, options = {}) {
+    try {
+        // rankby=distance 不能同時指定 radius，因此改由程式端依直線距離過濾 (見 enqueueResults)
+        return await startSearch('place/nearbysearch/json', {
+            location: `${lat},${lng}`,
+            rankby: 'distance',
+            type: 'restaurant',
+            keyword: buildKeyword(prefs),
+            opennow: options.targetTime ? undefined : 'true',
+            language: 'zh-TW',
+            ...buildPriceParams(prefs)
+        }, { lat, lng }, prefs, options);
+    } catch (error) {
+        console.error('Google Places Nearby API 請求失敗:', error.message);
+        throw new Error('搜尋真實餐廳發生錯誤');
+    }
+}
+
+module.exports = {
+    searchNearbyRestaurants,
+    searchNearbyRestaurantsByCoords,
+    fetchNextRestaurants,
+    hasMoreRestaurants,
+    formatRestaurantLine
+};
@@ -0,0 +1,107 @@
+/**
+ * Google Maps Web Service 底層呼叫模組
+ * 統一處理 API 金鑰、查詢參數組裝、結果快取、用量登記與錯誤狀態，供餐廳搜尋與詳細資訊模組共用
+ */
+const { PLACES_PHOTO_MAX_WIDTH, PLACES_PAGE_TOKEN_DELAY_MS } = require('./constants');
+const { buildCacheKey, getCachedResponse, setCachedResponse } = require('./placesCache');
+const { consumePlacesQuota, recordPlacesCacheHit } = require('./placesQuota');
+
+const activeApiKey = process.env.GOOGLE_PLACES_API_KEY;
+
+const PLACES_BASE_URL = 'https://maps.googleapis.com/maps/api';
+
+/**
+ * 呼叫 Google Maps Web Service 並回傳 JSON
+ * 有快取時直接回傳快取結果；實際呼叫前先登記用量，已達每日上限時拋出 PLACES_QUOTA_EXCEEDED 錯誤
+ * @param {string} endpoint - 例如 'place/textsearch/json'
+ * @param {Object} params - 查詢參數 (不含 key)
+ * @param {number} [units] - 計費單位數 (Distance Matrix 以目的地數量計費)
+ */
+async function callPlacesApi(endpoint, params, units = 1) {
+    if (!activeApiKey) {
+        throw new Error('未設定 GOOGLE_PLACES_API_KEY');
+    }
+
+    const cacheKey = buildCacheKey(endpoint, params);
+    const cached = getCachedResponse(cacheKey);
+    if (cached) {
+        recordPlacesCacheHit();
+        return cached;
+    }
+    consumePlacesQuota(endpoint, units);
+
+    const url = new URL(`${PLACES_BASE_URL}/${endpoint}`);
+    for (const [k, v] of Object.entries(params)) {
+        if (v !== undefined && v !== null && v !== '') url.searchParams.append(k, v);
+    }
+    url.searchParams.append('key', activeApiKey);
+
+    const response = await fetch(url.href);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    // 只快取成功的回應，OVER_QUERY_LIMIT 等錯誤狀態下次仍要重新查詢
+    if (data.status === 'OK' || data.status === 'ZERO_RESULTS') {
+        setCachedResponse(cacheKey, endpoint, data);
+    }
+    return data;
+}
+
+/**
+ * 以 next_page_token 取得下一頁搜尋結果
+ * 權杖發出後約 2 秒才生效，因此先等到生效時間再呼叫；仍回傳 INVALID_REQUEST 時再等一次重試
+ * @param {string} endpoint - 原本的搜尋端點
+ * @param {string} pageToken - 上一頁回傳的 next_page_token
+ * @param {number} issuedAt - 取得權杖的時間 (毫秒)
+ * @returns {Promise<Object|null>} 重試後權杖仍未生效時回傳 null
+ */
+async function callPlacesNextPage(endpoint, pageToken, issuedAt) {
+    let readyAt = issuedAt + PLACES_PAGE_TOKEN_DELAY_MS;
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const wait = readyAt - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        const data = await callPlacesApi(endpoint, { pagetoken: pageToken });
+        if (data.status !== 'INVALID_REQUEST') return data;
+        readyAt = Date.now() + PLACES_PAGE_TOKEN_DELAY_MS;
+    }
+    console.log('Places 翻頁權杖尚未生效，保留到下次再翻頁');
+    return null;
+}
+
+/**
+ * 將 Place Photo 參照解析為不含 API 金鑰的實際圖片網址
+ * Photo API 會以 302 轉址到 googleusercontent，直接取其 Location 避免金鑰外流到 LINE 用戶端
+ */
+async function resolvePhotoUrl(photoReference) {
+    if (!photoReference || !activeApiKey) return null;
+    const cacheKey = buildCacheKey('place/photo', { photo_reference: photoReference });
+    const cached = getCachedResponse(cacheKey);
+    if (cached) {
+        recordPlacesCacheHit();
+        return cached.url;
+    }
+
+    try {
+        consumePlacesQuota('place/photo');
+        const url = new URL(`${PLACES_BASE_URL}/place/photo`);
+        url.searchParams.append('maxwidth', PLACES_PHOTO_MAX_WIDTH);
+        url.searchParams.append('photo_reference', photoReference);
+        url.searchParams.append('key', activeApiKey);
+
+        const response = await fetch(url.href, { redirect: 'manual' });
+        const location = response.headers.get('location');
+        if (!location || !location.startsWith('https://')) return null;
+        setCachedResponse(cacheKey, 'place/photo', { url: location });
+        return location;
+    } catch (error) {
+        console.log('Place Photo 解析失敗:', error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    callPlacesApi,
+    callPlacesNextPage,
+    resolvePhotoUrl
+};
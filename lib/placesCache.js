@@ -0,0 +1,93 @@
+/**
+ * Google Places API 結果快取模組
+ * 以「正規化後的查詢字串」或「四捨五入後的座標」為鍵值快取 API 回應並持久化到 DATA_DIR，
+ * 同一地點短時間內重複詢問時不必再次呼叫付費 API
+ */
+const { loadJsonFile, saveJsonFile } = require('./dataStore');
+const { PLACES_CACHE_TTL, PLACES_CACHE_MAX_ENTRIES, PLACES_CACHE_COORD_DECIMALS } = require('./constants');
+
+const CACHE_FILE = 'places_cache.json';
+
+// 結構: Map<cacheKey, { data, expiresAt }> (Map 保留插入順序，超過上限時從最舊的開始淘汰)
+const placesCache = new Map();
+
+function loadCache() {
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(loadJsonFile(CACHE_FILE))) {
+        if (entry && entry.expiresAt > now) placesCache.set(key, entry);
+    }
+    if (placesCache.size > 0) {
+        console.log(`[系統啟動] 成功載入 ${placesCache.size} 筆 Places 快取。`);
+    }
+}
+
+function persistCache() {
+    const now = Date.now();
+    for (const [key, entry] of placesCache) {
+        if (entry.expiresAt <= now) placesCache.delete(key);
+    }
+    while (placesCache.size > PLACES_CACHE_MAX_ENTRIES) {
+        placesCache.delete(placesCache.keys().next().value);
+    }
+    saveJsonFile(CACHE_FILE, Object.fromEntries(placesCache));
+}
+
+/**
+ * 將查詢參數正規化為快取鍵值
+ * 查詢文字去除大小寫與多餘空白；座標四捨五入 (預設小數 3 位，約 100 公尺) 讓鄰近位置共用結果
+ * @param {string} endpoint - 例如 'place/textsearch/json'
+ * @param {Object} params - 查詢參數 (不含 key)
+ * @returns {string|null} 此端點不快取時回傳 null
+ */
+function buildCacheKey(endpoint, params) {
+    if (!PLACES_CACHE_TTL[endpoint]) return null;
+
+    const normalized = Object.entries(params)
+        .filter(([, v]) => v !== undefined && v !== null && v !== '')
+        .map(([k, v]) => {
+            let value = String(v);
+            if (k === 'query' || k === 'keyword') {
+                value = value.toLowerCase().replace(/\s+/g, ' ').trim();
+            } else if (k === 'location') {
+                value = value.split(',')
+                    .map(n => Number(n).toFixed(PLACES_CACHE_COORD_DECIMALS))
+                    .join(',');
+            }
+            return `${k}=${value}`;
+        })
+        .sort();
+
+    return `${endpoint}|${normalized.join('&')}`;
+}
+
+/**
+ * 取得快取的 API 回應 (過期即視為不存在)
+ */
+function getCachedResponse(key) {
+    if (!key) return null;
+    const entry = placesCache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        placesCache.delete(key);
+        return null;
+    }
+    return entry.data;
+}
+
+/**
+ * 寫入快取並持久化 (存活時間依端點決定)
+ */
+function setCachedResponse(key, endpoint, data) {
+    if (!key) return;
+    placesCache.delete(key);
+    placesCache.set(key, { data, expiresAt: Date.now() + PLACES_CACHE_TTL[endpoint] });
+    persistCache();
+}
+
+loadCache();
+
+module.exports = {
+    buildCacheKey,
+    getCachedResponse,
+    setCachedResponse
+};
@@ -0,0 +1,97 @@
+/**
+ * Google Places API 用量追蹤模組
+ * 記錄每日各端點的呼叫次數與預估費用 (以台北時間換日)，並提供每日上限保護，
+ * 超過上限時拒絕新的 API 呼叫，避免在無人察覺下累積帳單
+ */
+const { loadJsonFile, saveJsonFile } = require('./dataStore');
+const { PLACES_DAILY_CAP, PLACES_SKU_COST_USD } = require('./constants');
+
+const USAGE_FILE = 'places_usage.json';
+
+// 結構: { date, calls: { endpoint: 次數 }, costUsd, cacheHits, blocked }
+const placesUsageTracker = {
+    date: '',
+    calls: {},
+    costUsd: 0,
+    cacheHits: 0,
+    blocked: 0,
+    ...loadJsonFile(USAGE_FILE)
+};
+
+function getTodayStr() {
+    return new Date().toLocaleDateString('zh-TW', { timeZone: 'Asia/Taipei' });
+}
+
+/**
+ * 確保計數器為今日的資料 (跨日則歸零)
+ */
+function syncTrackerDate() {
+    const todayStr = getTodayStr();
+    if (placesUsageTracker.date !== todayStr) {
+        placesUsageTracker.date = todayStr;
+        placesUsageTracker.calls = {};
+        placesUsageTracker.costUsd = 0;
+        placesUsageTracker.cacheHits = 0;
+        placesUsageTracker.blocked = 0;
+        console.log(`[系統通知] ${todayStr} 每日 Places API 用量計數重置。`);
+    }
+}
+
+function getTotalCalls() {
+    return Object.values(placesUsageTracker.calls).reduce((sum, n) => sum + n, 0);
+}
+
+function isPlacesQuotaExceeded() {
+    syncTrackerDate();
+    return getTotalCalls() >= PLACES_DAILY_CAP;
+}
+
+/**
+ * 在實際呼叫 API 前登記用量；已達每日上限時拋出錯誤 (error.code = 'PLACES_QUOTA_EXCEEDED')
+ * @param {string} endpoint - 例如 'place/textsearch/json'
+ * @param {number} [units] - 計費單位數 (Distance Matrix 以目的地數量計費)
+ */
+function consumePlacesQuota(endpoint, units = 1) {
+    if (isPlacesQuotaExceeded()) {
+        placesUsageTracker.blocked++;
+        saveJsonFile(USAGE_FILE, placesUsageTracker);
+        const error = new Error(`Places API 已達每日上限 ${PLACES_DAILY_CAP} 次`);
+        error.code = 'PLACES_QUOTA_EXCEEDED';
+        throw error;
+    }
+
+    placesUsageTracker.calls[endpoint] = (placesUsageTracker.calls[endpoint] || 0) + 1;
+    placesUsageTracker.costUsd += (PLACES_SKU_COST_USD[endpoint] || 0) * units;
+    saveJsonFile(USAGE_FILE, placesUsageTracker);
+}
+
+function recordPlacesCacheHit() {
+    syncTrackerDate();
+    placesUsageTracker.cacheHits++;
+}
+
+/**
+ * 取得 Places API 用量狀態描述 (附在管理員「使用量」報告中)
+ */
+function getPlacesUsageStatus() {
+    syncTrackerDate();
+    const totalCalls = getTotalCalls();
+    const exceeded = totalCalls >= PLACES_DAILY_CAP;
+    const breakdown = Object.entries(placesUsageTracker.calls)
+        .map(([endpoint, count]) => `   ・${endpoint.replace(/\/json$/, '')}：${count} 次`)
+        .join('\n');
+
+    return `🍜 【Google Places 用量】\n` +
+        `📈 今日已呼叫：${totalCalls} / ${PLACES_DAILY_CAP} 次\n` +
+        (breakdown ? `${breakdown}\n` : '') +
+        `💵 預估費用：US$ ${placesUsageTracker.costUsd.toFixed(2)}\n` +
+        `♻️ 快取命中：${placesUsageTracker.cacheHits} 次\n` +
+        `${exceeded ? '⚠️' : '✅'} 運作狀態：${exceeded ? `已達每日上限，今日已擋下 ${placesUsageTracker.blocked} 次查詢` : '正常運作中'}`;
+}
+
+module.exports = {
+    consumePlacesQuota,
+    recordPlacesCacheHit,
+    isPlacesQuotaExceeded,
+    getPlacesUsageStatus
+};
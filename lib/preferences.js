@@ -0,0 +1,218 @@
+/**
+ * 用餐偏好設定模組
+ * 負責每位使用者 / 每個群組的料理類型、價位、最低評分與忌口設定，
+ * 提供對話指令 (stu 偏好 ...) 與 Postback 精靈兩種設定方式，並持久化存儲
+ */
+const { loadJsonFile, saveJsonFile, serializeWithCleanup } = require('./dataStore');
+
+const DB_FILE = 'preferences.json';
+
+// 偏好設定快取 (結構: Map<sourceId, { cuisine, excludes, minPrice, maxPrice, minRating, updatedAt }>)
+// 一對一時 sourceId 即為 userId；群組時為 groupId / roomId
+const preferencesBySource = new Map(Object.entries(loadJsonFile(DB_FILE)));
+
+function savePreferencesToDB() {
+    saveJsonFile(DB_FILE, serializeWithCleanup(preferencesBySource, '用餐偏好'));
+}
+
+/**
+ * 取得特定來源的偏好設定 (未設定則回傳空物件)
+ */
+function getPreferences(sourceId) {
+    if (!sourceId) return {};
+    return preferencesBySource.get(sourceId) || {};
+}
+
+/**
+ * 取得實際搜尋時要套用的偏好
+ * 在群組中以群組設定為主，未設定的欄位再由發話者的個人設定補上，忌口則取聯集
+ * @param {string} sourceId - 對話來源 ID
+ * @param {string} userId - 發話者 userId
+ */
+function getEffectivePreferences(sourceId, userId) {
+    const personal = getPreferences(userId);
+    if (!sourceId || sourceId === userId) return personal;
+
+    const group = getPreferences(sourceId);
+    const merged = { ...personal };
+    for (const key of ['cuisine', 'minPrice', 'maxPrice', 'minRating']) {
+        if (group[key] !== undefined) merged[key] = group[key];
+    }
+    merged.excludes = [...new Set([...(personal.excludes || []), ...(group.excludes || [])])];
+    return merged;
+}
+
+function updatePreferences(sourceId, patch) {
+    const next = { ...getPreferences(sourceId), ...patch, updatedAt: Date.now() };
+    preferencesBySource.set(sourceId, next);
+    savePreferencesToDB();
+    return next;
+}
+
+function clearPreferences(sourceId) {
+    preferencesBySource.delete(sourceId);
+    savePreferencesToDB();
+}
+
+/**
+ * 將偏好設定轉為人類可讀的描述 (同時用於回覆使用者與注入給 AI 的隱藏指令)
+ */
+function describePreferences(prefs) {
+    const parts = [];
+    if (prefs.cuisine) parts.push(`想吃：${prefs.cuisine}`);
+    if (prefs.minPrice !== undefined || prefs.maxPrice !== undefined) {
+        parts.push(`價位：${'💰'.repeat(prefs.minPrice || 1)} ~ ${'💰'.repeat(prefs.maxPrice || 4)}`);
+    }
+    if (prefs.minRating) parts.push(`最低評分：${prefs.minRating} 星`);
+    if (prefs.excludes && prefs.excludes.length > 0) parts.push(`不吃：${prefs.excludes.join('、')}`);
+    return parts.join('\n');
+}
+
+/**
+ * 解析「偏好」指令後方的設定內容
+ * 例如「價位1-2 最低4.3星 不要辣 想吃拉麵」
+ * @returns {Object} 要更新的欄位 (若無法辨識任何設定則為空物件)
+ */
+function parsePreferenceText(body) {
+    const patch = {};
+
+    const priceMatch = body.match(/(?:價位|價格|預算)\s*([0-4])\s*(?:[-~～–到至]\s*([0-4]))?/);
+    if (priceMatch) {
+        const a = parseInt(priceMatch[1], 10);
+        const b = priceMatch[2] !== undefined ? parseInt(priceMatch[2], 10) : a;
+        patch.minPrice = Math.min(a, b);
+        patch.maxPrice = Math.max(a, b);
+    }
+
+    const ratingMatch = body.match(/([1-5](?:\.\d)?)\s*(?:顆星|星|分)/);
+    if (ratingMatch) {
+        patch.minRating = parseFloat(ratingMatch[1]);
+    }
+
+    const excludes = [];
+    const excludePattern = /(?:不要|不吃|不想吃|不能吃|避開)\s*([^\s,，、。]+)/g;
+    let m;
+    while ((m = excludePattern.exec(body)) !== null) excludes.push(m[1]);
+    if (excludes.length > 0) patch.excludes = excludes;
+
+    const cuisineMatch = body.match(/(?:想吃|愛吃|喜歡|只吃)\s*([^\s,，、。]+)/);
+    if (cuisineMatch) patch.cuisine = cuisineMatch[1];
+
+    return patch;
+}
+
+// Postback 精靈的各步驟選項
+const WIZARD_STEPS = {
+    price: {
+        question: '第 1 步：你們平常的預算價位是？',
+        options: [
+            { label: '💰 平價 (1)', value: '1-1' },
+            { label: '💰~💰💰 (1-2)', value: '1-2' },
+            { label: '💰💰~💰💰💰 (2-3)', value: '2-3' },
+            { label: '不限', value: 'any' }
+        ],
+        next: 'rating'
+    },
+    rating: {
+        question: '第 2 步：Google 評分至少要幾顆星？',
+        options: [
+            { label: '4.0 星以上', value: '4.0' },
+            { label: '4.3 星以上', value: '4.3' },
+            { label: '4.5 星以上', value: '4.5' },
+            { label: '不限', value: 'any' }
+        ],
+        next: null
+    }
+};
+
+function buildWizardStep(step) {
+    const def = WIZARD_STEPS[step];
+    return {
+        type: 'text',
+        text: def.question,
+        quickReply: {
+            items: def.options.map(o => ({
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: o.label,
+                    data: `action=pref&step=${step}&value=${o.value}`,
+                    displayText: o.label
+                }
+            }))
+        }
+    };
+}
+
+/**
+ * 處理「偏好」對話指令
+ * @param {Object} ctx - { text, sourceId, displayName, sendMessage }
+ * @returns {Promise|null} 若不是偏好指令則回傳 null
+ */
+function handlePreferenceCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    const cmdMatch = body.match(/^(?:用餐)?偏好(?:設定)?\s*([\s\S]*)$/);
+    if (!cmdMatch) return null;
+
+    const rest = cmdMatch[1].trim();
+
+    if (/^(清除|重設|重置|reset)$/i.test(rest)) {
+        clearPreferences(ctx.sourceId);
+        return ctx.sendMessage({ type: 'text', text: 'Bello! 🍌 偏好設定已經清空，之後會用預設標準幫你找餐廳。' });
+    }
+
+    if (!rest) {
+        const current = describePreferences(getPreferences(ctx.sourceId));
+        const intro = current ? `目前的用餐偏好：\n${current}\n\n要重新設定的話跟著下面走 👇` : `${ctx.displayName}，我們來設定用餐偏好吧！👇`;
+        return ctx.sendMessage([{ type: 'text', text: intro }, buildWizardStep('price')]);
+    }
+
+    const patch = parsePreferenceText(rest);
+    if (Object.keys(patch).length === 0) {
+        return ctx.sendMessage({ type: 'text', text: '教練看不懂這個偏好耶～可以試試：「stu 偏好 價位1-2 最低4.3星 不要辣 想吃拉麵」' });
+    }
+
+    // 忌口採累加，其他欄位直接覆寫
+    if (patch.excludes) {
+        patch.excludes = [...new Set([...(getPreferences(ctx.sourceId).excludes || []), ...patch.excludes])];
+    }
+    const saved = updatePreferences(ctx.sourceId, patch);
+    return ctx.sendMessage({ type: 'text', text: `Banana! 🍌 偏好已更新：\n${describePreferences(saved)}` });
+}
+
+/**
+ * 處理偏好設定精靈的 Postback
+ * @param {Object} ctx - { sourceId, sendMessage }
+ * @param {URLSearchParams} params - Postback data
+ */
+function handlePreferencePostback(ctx, params) {
+    const step = params.get('step');
+    const value = params.get('value');
+    const def = WIZARD_STEPS[step];
+    if (!def) return Promise.resolve(null);
+
+    if (step === 'price') {
+        const [min, max] = value === 'any' ? [undefined, undefined] : value.split('-').map(Number);
+        updatePreferences(ctx.sourceId, { minPrice: min, maxPrice: max });
+    } else if (step === 'rating') {
+        updatePreferences(ctx.sourceId, { minRating: value === 'any' ? undefined : parseFloat(value) });
+    }
+
+    if (def.next) {
+        return ctx.sendMessage(buildWizardStep(def.next));
+    }
+
+    const summary = describePreferences(getPreferences(ctx.sourceId)) || '全部不限';
+    return ctx.sendMessage({
+        type: 'text',
+        text: `設定完成 Banana! 🍌\n${summary}\n\n想排除口味或指定料理，可以再說「stu 偏好 不要辣」或「stu 偏好 想吃拉麵」。`
+    });
+}
+
+module.exports = {
+    getPreferences,
+    getEffectivePreferences,
+    describePreferences,
+    handlePreferenceCommand,
+    handlePreferencePostback
+};
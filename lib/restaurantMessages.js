@@ -0,0 +1,107 @@
+/**
+ * 餐廳推薦訊息組裝模組
+ * 從 AI 回應拆出開場白與推薦餐點，搭配 flexBuilder 的餐廳卡片組成回覆訊息，
+ * 還有下一批時附上「下一頁」卡片與「再推薦幾家」快速回覆
+ */
+const { buildRestaurantCarousel } = require('./flexBuilder');
+
+/**
+ * 「再推薦幾家」的 Postback 動作 (快速回覆與輪播最後一張卡片共用)
+ */
+const MORE_RESTAURANTS_ACTION = { type: 'postback', label: '再推薦幾家', data: 'action=more', displayText: '再推薦幾家' };
+
+/**
+ * 輪播最後一張「下一頁」卡片
+ */
+function buildMoreBubble() {
+    return {
+        type: 'bubble',
+        body: {
+            type: 'box',
+            layout: 'vertical',
+            justifyContent: 'center',
+            contents: [
+                { type: 'text', text: '還想看其他家？', weight: 'bold', size: 'lg', align: 'center' },
+                { type: 'text', text: '史都華再幫你找下一批，不會重複剛剛推薦過的店家 🍌', size: 'sm', color: '#888888', wrap: true, align: 'center' }
+            ]
+        },
+        footer: {
+            type: 'box',
+            layout: 'vertical',
+            contents: [{ type: 'button', style: 'primary', color: '#03C755', action: { ...MORE_RESTAURANTS_ACTION, label: '下一頁' } }]
+        }
+    };
+}
+
+/**
+ * 從 AI 回應中拆出開場白與每家店的推薦餐點
+ * AI 依指示應輸出：一句開場白 + ```json {"1": "推薦餐點", "2": "..."} ```
+ * 為了容錯，也接受 {"dishes": {...}}、陣列、或以店名為鍵值的格式
+ * @param {string} aiResponse - AI 回應原文
+ * @param {Array} places - 推薦清單 (用來以店名對應)
+ * @returns {{ intro: string, dishes: Array<string> }}
+ */
+function parseRecommendationReply(aiResponse, places) {
+    const text = aiResponse || '';
+    const dishes = new Array(places.length).fill(null);
+    const jsonMatch = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/i);
+
+    if (jsonMatch) {
+        try {
+            let parsed = JSON.parse(jsonMatch[1]);
+            if (parsed && !Array.isArray(parsed) && parsed.dishes) parsed = parsed.dishes;
+
+            const entries = Array.isArray(parsed)
+                ? parsed.map((v, i) => [String(i + 1), v])
+                : Object.entries(parsed || {});
+
+            for (const [key, value] of entries) {
+                const dish = typeof value === 'string' ? value : (value?.item || value?.dish || null);
+                const name = typeof value === 'object' && value ? value.name : null;
+                let idx = /^\d+$/.test(key) ? parseInt(key, 10) - 1 : places.findIndex(p => p.name === key);
+                if (name && (idx < 0 || idx >= places.length)) idx = places.findIndex(p => p.name === name);
+                if (dish && idx >= 0 && idx < places.length) dishes[idx] = dish;
+            }
+        } catch (e) {
+            console.log('推薦餐點 JSON 解析失敗，卡片將不顯示推薦餐點', e.message);
+        }
+    }
+
+    const intro = text.replace(/```[\s\S]*?```/g, '').trim();
+    return { intro, dishes };
+}
+
+/**
+ * 依 Places 結構化資料組出「開場白 + 餐廳卡片輪播」訊息陣列
+ * @param {string} aiResponse - AI 回應原文 (只取開場白與推薦餐點)
+ * @param {Array} places - places.js 整理後的餐廳物件
+ * @param {Object} [options] - 傳給 buildRestaurantCarousel 的選項 (如群組投票 pollId)；
+ *                             hasMore 為 true 時附上「下一頁」卡片與「再推薦幾家」快速回覆
+ * @returns {Array} 訊息陣列
+ */
+function buildRestaurantMessages(aiResponse, places, options = {}) {
+    const { intro, dishes } = parseRecommendationReply(aiResponse, places);
+    const messages = [{ type: 'text', text: intro || 'Bello! 🍌 史都華幫你找了幾家好吃的！' }];
+
+    const bubbles = buildRestaurantCarousel(places, dishes, options);
+    if (bubbles.length > 0 && options.hasMore) bubbles.push(buildMoreBubble());
+    if (bubbles.length > 0) {
+        messages.push({
+            type: 'flex',
+            altText: '史都華 (Stuart) 為你找了幾家好吃的 Banana! (請在手機看)',
+            contents: {
+                type: 'carousel',
+                contents: bubbles
+            }
+        });
+    }
+    if (options.hasMore) {
+        messages[messages.length - 1].quickReply = { items: [{ type: 'action', action: MORE_RESTAURANTS_ACTION }] };
+    }
+    return messages;
+}
+
+module.exports = {
+    parseRecommendationReply,
+    buildRestaurantMessages
+};
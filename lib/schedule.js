@@ -1,360 +1,276 @@
-const fs = require('fs');
-const path = require('path');
-const { SCHEDULE_CACHE_TTL, SCHEDULE_CLEANUP } = require('./constants');
-
-// 資料目錄：優先使用環境變數 DATA_DIR，預設為 /tmp (Zeabur 容器可寫)
-const DATA_DIR = process.env.DATA_DIR || '/tmp';
-const DB_PATH = path.resolve(DATA_DIR, 'schedules.json');
-
-// 暫存已解析的課表 (結構: Map<sourceId, Map<period, entry>>)
-// sourceId 可能是 groupId、roomId 或 userId
-const storageBySource = new Map();
-
 /**
- * 載入持久化存儲的課表
+ * 訓練課表解析模組
+ * 將教練貼出的課表文字解析為結構化資料：依組別大項 (全馬 / 半馬 / 10K) 拆成各自的組別清單，
+ * 每組記錄目標成績與一整週逐日的訓練內容 (單日內容的解析見 scheduleSessions.js)
  */
-function loadSchedulesFromDB() {
-    try {
-        if (fs.existsSync(DB_PATH)) {
-            const data = JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
-            // data 結構: { sourceId: { period: entry, ... }, ... }
-            for (const [sourceId, periodsMap] of Object.entries(data)) {
-                const innerMap = new Map();
-                for (const [period, entry] of Object.entries(periodsMap)) {
-                    // 過濾掉明顯太舊的資料 (超過一個月就不載入)
-                    if (Date.now() - entry.timestamp < 30 * 24 * 60 * 60 * 1000) {
-                        innerMap.set(period, entry);
-                    }
-                }
-                if (innerMap.size > 0) {
-                    storageBySource.set(sourceId, innerMap);
-                }
-            }
-            console.log(`[系統通知] 載入共 ${storageBySource.size} 個來源單位的歷史課表。`);
-        }
-    } catch (e) {
-        console.warn('[系統警告] 載入 schedules.json 失敗:', e.message);
-    }
-}
+const { paceToSeconds, parseDaySessions } = require('./scheduleSessions');
+
+// 組別大項 (key 為內部識別，label 用於回覆與 Quick Reply)
+const DIVISIONS = [
+    { key: 'full', label: '全馬', pattern: /全\s*馬/ },
+    { key: 'half', label: '半馬', pattern: /半\s*馬/ },
+    { key: '10k', label: '10K', pattern: /10\s*(?:[kKＫｋ]|公里)/ }
+];
+const DIVISION_HEADER_PATTERN = /(全\s*馬|半\s*馬|10\s*(?:[kKＫｋ]|公里))\s*組/g;
+// 週標頭 (如 "Week9  02/23-03/01"、"Week 1 2026/12/28~01/03")
+const WEEK_HEADER_PATTERN = /(Week\s*\d+)\s+((?:\d{4}\/)?\d{1,2}\/\d{1,2}\s*[~-]\s*(?:\d{4}\/)?\d{1,2}\/\d{1,2})/;
 
 /**
- * 將目前課表快取存回持久化檔案
+ * 以範本的正規表達式建立新的 RegExp (保留 i 等旗標，只控制是否為全域比對)
  */
-function saveSchedulesToDB() {
-    try {
-        const rootObj = {};
-        const now = Date.now();
-
-        for (const [sourceId, periodsMap] of storageBySource) {
-            // 找出該來源下最新的一筆更新紀錄
-            const latestEntryTimestamp = Math.max(...Array.from(periodsMap.values()).map(e => e.timestamp));
-
-            // 如果該來源下所有內容都超過一年沒動作，則不寫入檔案 (即變相清除)
-            if (now - latestEntryTimestamp > SCHEDULE_CLEANUP) {
-                console.log(`[維護清理] 來源 ${sourceId} 已超過一年無動作，正式移除其課表內容。`);
-                storageBySource.delete(sourceId);
-                continue;
-            }
-
-            rootObj[sourceId] = Object.fromEntries(periodsMap);
-        }
-        fs.writeFileSync(DB_PATH, JSON.stringify(rootObj, null, 2), 'utf8');
-    } catch (e) {
-        console.warn('[系統警告] 儲存 schedules.json 失敗:', e.message);
-    }
+function toPattern(regex, extraFlags = '') {
+    const flags = new Set([...regex.flags.replace('g', ''), ...extraFlags]);
+    return new RegExp(regex.source, [...flags].join(''));
 }
 
-// 啟動時立即載入
-loadSchedulesFromDB();
-
 /**
- * 偵測訊息是否為訓練週期課表
+ * 由文字 (如「半馬」「10k」) 找出對應的組別大項
+ * @param {Array} [divisions] - 課表範本的大項辨識規則 (預設為 DIVISIONS)
  */
-function isTrainingSchedule(text) {
-    if (!text || text.length < 100) return false;
-    // 課表通常包含這些特徵關鍵字
-    const keywords = ['訓練週期', '全馬組', 'SUB', '週四', 'warm up', 'freejog'];
-    const matchCount = keywords.filter(k => text.includes(k)).length;
-    // 至少命中 3 個關鍵字才算是課表
-    return matchCount >= 3;
+function findDivision(text, divisions = DIVISIONS) {
+    if (!text) return null;
+    return divisions.find(d => d.pattern.test(text)) || null;
 }
 
 /**
- * 將配速字串 (如 "04:00" 或 "03:50") 轉換成秒數
+ * 課表範本命中的特徵關鍵字數 (任一組別大項標頭都算一個)
  */
-function paceToSeconds(paceStr) {
-    const cleaned = paceStr.replace(/[^\d:]/g, '').trim();
-    const parts = cleaned.split(':');
-    if (parts.length !== 2) return null;
-    const mins = parseInt(parts[0], 10);
-    const secs = parseInt(parts[1], 10);
-    if (isNaN(mins) || isNaN(secs)) return null;
-    return mins * 60 + secs;
+function countTemplateKeywords(text, template = DEFAULT_TEMPLATE) {
+    if (!text) return 0;
+    const lower = text.toLowerCase();
+    return template.keywords.filter(k => lower.includes(k.toLowerCase())).length +
+        (toPattern(template.divisionHeader).test(text) ? 1 : 0);
 }
 
 /**
- * 將每公里秒數換算成每 200m 秒數
+ * 偵測訊息是否為訓練週期課表
+ * @param {Object} [template] - 課表範本 (預設為內建範本)
  */
-function paceToLapTime(paceSeconds) {
-    return Math.round(paceSeconds / 5);
+function isTrainingSchedule(text, template = DEFAULT_TEMPLATE) {
+    if (!text || text.length < 100) return false;
+    // 至少命中範本要求的關鍵字數 (內建範本為 3 個) 才算是課表
+    return countTemplateKeywords(text, template) >= template.minMatches;
 }
 
 /**
- * 解析課表文字，提取全馬組各組別的週四間歇資料
- * @param {string} text 完整課表文字
- * @returns {Object} { weekLabel, groups: [{ name, interval, paces, lapTimes, rest }] }
+ * 將課表拆成各組別大項的文字區塊 (從大項標頭到下一個大項標頭之前)
+ * 範本設定了 defaultDivision 時，沒有大項標頭的課表整份視為該大項
+ * @returns {Array<{ key, label, text }>} 同一大項出現多次時合併
  */
-function parseSchedule(text) {
-    // 抓取週數標題與日期週期 (如 "Week9  02/23-03/01")
-    // 放寬空白限制，容忍 Week9 和 02/23 之間有多個空白字元
-    const weekMatch = text.match(/(Week\s*\d+)\s+([\d/]+\s*[~-]\s*[\d/]+)/i);
-    const weekLabel = weekMatch ? weekMatch[1].trim() : '本週';
-    const periodStr = weekMatch ? weekMatch[2].replace(/\s+/g, '') : null;
-
-    // 截取全馬組區塊 (從 "全馬組" 到 "半馬組" 之前，或到文末)
-    const fullMarathonMatch = text.match(/全馬組[\s\S]*?(?=半馬組|$)/);
-    if (!fullMarathonMatch) return null;
-    const fullMarathonBlock = fullMarathonMatch[0];
-
-    // 用組別標頭拆分各組 (S, A, B, C, D, E, F, G, H, I)
-    // 模式：行首的 S/A/B... 後面接 SUB
-    const groupPattern = /^([A-IＡ-Ｉ])\s*SUB\s*([\d:~]+)/gm;
-    const groupHeaders = [];
+function splitDivisionBlocks(text, template = DEFAULT_TEMPLATE) {
+    const headers = [];
+    const pattern = toPattern(template.divisionHeader, 'g');
     let match;
-    while ((match = groupPattern.exec(fullMarathonBlock)) !== null) {
-        // 將全形英文轉為半形
-        let name = match[1].replace(/[Ａ-Ｚ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
-        groupHeaders.push({
-            name: name,
-            target: `SUB ${match[2]} `,
-            index: match.index
-        });
+    while ((match = pattern.exec(text)) !== null) {
+        const division = findDivision(match[1], template.divisions);
+        if (division) headers.push({ division, index: match.index });
     }
-
-    // 也要處理 "S SUB" 的情況 (S 組前面有行首)
-    const sMatch = fullMarathonBlock.match(/^S\s+SUB\s*([\d:~]+)/m);
-    if (sMatch && !groupHeaders.find(g => g.name === 'S')) {
-        groupHeaders.unshift({
-            name: 'S',
-            target: `SUB ${sMatch[1]} `,
-            index: fullMarathonBlock.indexOf(sMatch[0])
-        });
+    const fallback = DIVISIONS.find(d => d.key === template.defaultDivision);
+    if (headers.length === 0 && fallback) {
+        return [{ key: fallback.key, label: fallback.label, text: `\n${text}` }]; // 首行保留給大項標頭
     }
 
-    // 按出現順序排序
-    groupHeaders.sort((a, b) => a.index - b.index);
-
-    const groups = [];
-
-    for (let i = 0; i < groupHeaders.length; i++) {
-        const start = groupHeaders[i].index;
-        const end = i < groupHeaders.length - 1 ? groupHeaders[i + 1].index : fullMarathonBlock.length;
-        const block = fullMarathonBlock.substring(start, end);
-
-        // 抓取週四間歇資料 (特徵：1200 x N 或 800 x N)
-        const intervalMatch = block.match(/(1200|800)\s*[xX×]\s*(\d+)(?:\s*~\s*(\d+))?\s*@\s*([\d:~!]+)\/km/);
-        if (!intervalMatch) continue;
-
-        const distance = intervalMatch[1]; // 1200 或 800
-        const repsMin = intervalMatch[2];
-        const repsMax = intervalMatch[3] || null;
-        const reps = repsMax ? `${repsMin} ~${repsMax} ` : repsMin;
-
-        // 解析配速 (可能是範圍如 "03:50~03:45" 或單一如 "05:00")
-        let paceRaw = intervalMatch[4].replace(/!/g, '1'); // 修正常見 typo (04:!5 → 04:15)
-        const paceRange = paceRaw.split('~').map(p => p.trim());
-
-        const paces = paceRange.map(p => ({
-            display: p.includes(':') ? p : null,
-            seconds: paceToSeconds(p)
-        })).filter(p => p.seconds);
-
-        const lapTimes = paces.map(p => paceToLapTime(p.seconds));
-
-        // 抓取休息時間
-        const restMatch = block.match(/R\s*[:：]\s*([\d''"]+)/);
-        const rest = restMatch ? restMatch[1].replace(/['']/g, "'").replace(/[""]/g, '"') : '?';
-
-        groups.push({
-            name: groupHeaders[i].name,
-            target: groupHeaders[i].target,
-            distance: distance,
-            reps: reps,
-            paces: paces.map(p => p.display),
-            lapTimes: lapTimes,
-            rest: rest,
-            lapsPerRep: distance === '1200' ? 6 : 4
-        });
-    }
-
-    if (groups.length === 0) return null;
-
-    return { weekLabel, periodStr, groups };
+    const blocks = [];
+    headers.forEach((h, i) => {
+        const end = i < headers.length - 1 ? headers[i + 1].index : text.length;
+        const blockText = text.substring(h.index, end);
+        const existing = blocks.find(b => b.key === h.division.key);
+        if (existing) existing.text += `\n${blockText}`;
+        else blocks.push({ key: h.division.key, label: h.division.label, text: blockText });
+    });
+    return blocks;
 }
 
+// 星期標頭：行首的「週六」「星期六」「(六)」「3/7(六)」或英文縮寫，後方可直接接訓練內容
+const DAY_HEADER_PATTERN = /^[ \t　]*(?:\d{1,2}\/\d{1,2}\s*)?(?:(?:週|周|星期|禮拜)([一二三四五六日天])|[(（]([一二三四五六日])[)）]|(Sun|Mon|Tue|Wed|Thu|Fri|Sat)(?:[a-z]*day)?\b\.?)[\s:：,，)）]*/i;
+const WEEKDAY_CHARS = { 日: 0, 天: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6 };
+const WEEKDAY_ABBRS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// 組別標頭：行首的 S/A/B... 後面接 SUB 目標 (容忍全形字母與不規律空白)，或後續日子只寫 "B組" / "B:"
+const GROUP_HEADER_PATTERN = /^[ \t　]*([SA-IＳＡ-Ｉ])\s*(?:SUB\s*([\d:~]+)|組|[:：])[\s,，]*/;
+
+// 內建課表範本 (原本團練課表的格式)；schedule.config.yaml 中的範本沒設定的欄位都沿用這裡，
+// 間歇與休息的寫法 (intervalPattern / restPattern) 未設定時使用 scheduleSessions.js 的預設
+const DEFAULT_TEMPLATE = {
+    key: 'default',
+    name: '內建格式',
+    keywords: ['訓練週期', 'SUB', '週四', 'warm up', 'freejog'],
+    minMatches: 3,
+    weekHeader: WEEK_HEADER_PATTERN,
+    divisions: DIVISIONS,
+    divisionHeader: DIVISION_HEADER_PATTERN,
+    groupHeader: GROUP_HEADER_PATTERN,
+    defaultDivision: null
+};
+
 /**
- * 將單一組別的資料格式化成使用者友善的文字回覆
+ * 比對行首的星期標頭
+ * @returns {{ weekday: number, rest: string }|null} weekday 0 = 週日
  */
-function formatGroupResult(parsed, groupName) {
-    const group = parsed.groups.find(g => g.name === groupName);
-    if (!group) return null;
-
-    const lapTimeStr = group.lapTimes.length > 1
-        ? `${group.lapTimes[0]} ~ ${group.lapTimes[group.lapTimes.length - 1]} 秒`
-        : `${group.lapTimes[0]} 秒`;
-
-    const paceStr = group.paces.length > 1
-        ? `@${group.paces[0]} ~ ${group.paces[group.paces.length - 1]}/km`
-        : `@${group.paces[0]}/km`;
-
-    let result = `🏃 ${parsed.weekLabel} 全馬${groupName}組\n`;
-    result += `🎯 ${group.target}\n`;
-    result += `━━━━━━━━━━━━━━\n`;
-    result += `📋 間歇：${group.distance}m × ${group.reps}\n`;
-    result += `⏱ 配速：${paceStr}\n`;
-    result += `🔄 200m：${lapTimeStr}\n`;
-    result += `😮‍💨 恢復：${group.rest}\n`;
-    result += `━━━━━━━━━━━━━━\n`;
-    result += `📐 ${group.distance}m = ${group.lapsPerRep} 圈\n`;
-    result += `💡 配速(秒/km) ÷ 5 = 200m 秒數`;
-
-    return result;
+function matchDayHeader(line) {
+    const match = line.match(DAY_HEADER_PATTERN);
+    if (!match) return null;
+    const weekday = match[3] ? WEEKDAY_ABBRS.indexOf(match[3].toLowerCase()) : WEEKDAY_CHARS[match[1] || match[2]];
+    return { weekday, rest: line.substring(match[0].length) };
 }
 
-
 /**
- * 產生 LINE Quick Reply 按鈕陣列 (讓使用者選擇組別)
+ * 比對行首的組別標頭
+ * @param {RegExp} [pattern] - 課表範本的組別標頭 (擷取群組 1 為組別、2 為 SUB 目標)
+ * @returns {{ name: string, target: string|null, rest: string }|null}
  */
-function buildGroupQuickReply(groups) {
-    return groups.map(g => ({
-        type: 'action',
-        action: {
-            type: 'message',
-            label: `${g.name}組 ${g.target}`,
-            text: `課表${g.name}組`
-        }
-    }));
+function matchGroupHeader(line, pattern = GROUP_HEADER_PATTERN) {
+    const match = line.match(pattern);
+    if (!match) return null;
+    // 將全形英文轉為半形
+    const name = match[1].replace(/[Ａ-Ｚ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0)).toUpperCase();
+    return { name, target: match[2] ? `SUB ${match[2]}` : null, rest: line.substring(match[0].length) };
 }
 
 /**
- * 儲存解析結果到快取
+ * 解析單一組別大項區塊內的各組 (S, A, B ... I) 一整週的訓練內容
+ * 課表有兩種寫法，以第一個出現的標頭判斷：
+ * - 以日為主 (週四 → 各組內容)：遇到新的星期標頭時回到「全組共用」，沒有標組別的內容套用到每一組
+ * - 以組為主 (S 組 → 週二、週四...)：組別標頭之後的星期標頭都屬於該組
+ * @param {string} block - 大項區塊文字
+ * @param {Object} [template] - 課表範本
+ * @returns {Array} [{ name, target, days: [{ weekday, sessions }] }]
  */
-function cacheSchedule(sourceId, parsed) {
-    if (!parsed.periodStr || !sourceId) return;
+function parseGroups(block, template = DEFAULT_TEMPLATE) {
+    const lines = block.split(/\r?\n/).slice(1); // 第一行為大項標頭
+    const firstDay = lines.findIndex(l => matchDayHeader(l));
+    const firstGroup = lines.findIndex(l => matchGroupHeader(l, template.groupHeader));
+    const isDayMajor = firstDay !== -1 && (firstGroup === -1 || firstDay < firstGroup);
+
+    const groups = new Map(); // name → { name, target, lines: Map<weekday, [line]> }
+    const sharedLines = new Map(); // weekday → [line] (全組共用)
+    const push = (map, weekday, line) => map.set(weekday, [...(map.get(weekday) || []), line]);
+
+    let weekday = null;
+    let group = null;
+    for (const rawLine of lines) {
+        let line = rawLine;
+        const day = matchDayHeader(line);
+        if (day) {
+            weekday = day.weekday;
+            if (isDayMajor) group = null;
+            line = day.rest;
+        }
+        const header = matchGroupHeader(line, template.groupHeader);
+        if (header) {
+            group = groups.get(header.name) || { name: header.name, target: null, lines: new Map() };
+            group.target = group.target || header.target;
+            groups.set(header.name, group);
+            if (!isDayMajor && !day) weekday = null;
+            line = header.rest;
+        }
+        if (!line.trim() || (weekday === null && !group)) continue;
 
-    let periodsMap = storageBySource.get(sourceId);
-    if (!periodsMap) {
-        periodsMap = new Map();
-        storageBySource.set(sourceId, periodsMap);
+        // 以組為主但還沒標星期的內容，先視為週四 (傳統課表只列週四間歇)
+        const targetDay = weekday === null ? 4 : weekday;
+        if (group) push(group.lines, targetDay, line);
+        else push(sharedLines, targetDay, line);
     }
 
-    const entry = {
-        data: parsed,
-        timestamp: Date.now()
-    };
-
-    periodsMap.set(parsed.periodStr, entry);
-    saveSchedulesToDB(); // 持久化存儲
+    return [...groups.values()].map(g => {
+        const weekdays = [...new Set([...sharedLines.keys(), ...g.lines.keys()])].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+        const days = weekdays
+            .map(w => ({ weekday: w, sessions: parseDaySessions([...(sharedLines.get(w) || []), ...(g.lines.get(w) || [])], template) }))
+            .filter(d => d.sessions.length > 0);
+        return { name: g.name, target: g.target || '', days };
+    }).filter(g => g.days.some(d => d.sessions.some(s => s.type !== 'other')));
 }
 
 /**
- * 檢查給定的週期字串是否包含目標日期
- * @param {string} periodStr - 格式範例: "02/23-03/01"
- * @param {Date} targetDate - 要檢查的目標日期 (若不傳則預設為今天)
+ * 解析課表文字，提取每個組別大項 (全馬 / 半馬 / 10K) 各組一整週的訓練內容
+ * @param {string} text 完整課表文字
+ * @param {Object} [template] - 課表範本 (預設為內建範本)
+ * @returns {Object|null} { weekLabel, periodStr, divisions: [{ key, label, groups }], location, startTime }
  */
-function isDateInPeriod(periodStr, targetDate) {
-    if (!periodStr) return false;
-    try {
-        const parts = periodStr.split(/[\s~-]/).filter(Boolean);
-        if (parts.length !== 2) return false;
-
-        const baseDate = targetDate ? new Date(targetDate) : new Date();
-        const currentYear = baseDate.getFullYear();
+function parseSchedule(text, template = DEFAULT_TEMPLATE) {
+    // 抓取週數標題與日期週期 (如 "Week9  02/23-03/01")
+    // 放寬空白限制，容忍 Week9 和 02/23 之間有多個空白字元
+    const weekMatch = text.match(toPattern(template.weekHeader, 'i'));
+    const weekLabel = weekMatch ? weekMatch[1].trim() : '本週';
+    const periodStr = weekMatch ? weekMatch[2].replace(/\s+/g, '') : null;
 
-        const parseDate = (str) => {
-            const [m, d] = str.split('/').map(Number);
-            // 處理跨年問題 (如果結束月份小於起始月份，代表跨年)
-            return new Date(currentYear, m - 1, d);
-        };
+    const divisions = splitDivisionBlocks(text, template)
+        .map(b => ({ key: b.key, label: b.label, groups: parseGroups(b.text, template) }))
+        .filter(d => d.groups.length > 0);
 
-        let start = parseDate(parts[0]);
-        let end = parseDate(parts[1]);
-        end.setHours(23, 59, 59, 999);
+    if (divisions.length === 0) return null;
 
-        // 如果 end 比 start 小，且現在是年初，可能是去年底貼的
-        if (end < start) {
-            if (baseDate.getMonth() < 2) start.setFullYear(currentYear - 1);
-            else end.setFullYear(currentYear + 1);
-        }
+    // 選填的集合地點與時間 (如「地點：河濱操場」「集合時間 19:30」)，供行事曆匯出使用
+    const locationMatch = text.match(/(?:集合)?(?:地點|場地)\s*[:：]\s*([^\n]+)/);
+    const timeMatch = text.match(/(?<![息復])時間\s*[:：]?\s*(\d{1,2})\s*[:：]\s*(\d{2})/);
+    const location = locationMatch ? locationMatch[1].trim() : null;
+    const startTime = timeMatch ? `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}` : null;
 
-        return baseDate >= start && baseDate <= end;
-    } catch (e) {
-        return false;
-    }
+    return { weekLabel, periodStr, divisions, location, startTime };
 }
 
 /**
- * 從快取取得已解析的課表 (相容舊邏輯，改為依來源抓取最新)
+ * 將一次貼上的整個訓練週期 (多個 "WeekN 日期" 區塊) 拆成逐週的文字
+ * 第一個週標頭之前的共同說明 (地點、集合時間等) 附加到每一週；
+ * 某週沒寫組別大項標頭時沿用前一週最後出現的大項 (例如「全馬組」底下連續列出多週)
+ * @returns {Array<string>} 只有一週時回傳原文
  */
-function getCachedSchedule(sourceId) {
-    return getLatestSchedule(sourceId);
+function splitWeekBlocks(text, template = DEFAULT_TEMPLATE) {
+    const starts = [...text.matchAll(toPattern(template.weekHeader, 'gi'))].map(m => m.index);
+    if (starts.length <= 1) return [text];
+
+    const preamble = text.substring(0, starts[0]);
+    let lastDivisionHeader = (preamble.match(toPattern(template.divisionHeader, 'g')) || []).pop() || '';
+    return starts.map((start, i) => {
+        const block = text.substring(start, starts[i + 1] || text.length);
+        const headers = block.match(toPattern(template.divisionHeader, 'g'));
+        const weekText = headers || !lastDivisionHeader ? block : block.replace(/^[^\n]*/, line => `${line}\n${lastDivisionHeader}`);
+        if (headers) lastDivisionHeader = headers[headers.length - 1];
+        return `${preamble}${weekText}`;
+    });
 }
 
 /**
- * 檢查訊息是否為組別選擇指令 (如 "課表A組")
+ * 解析可能包含多週的課表文字，回傳逐週的解析結果 (無法解析的週次略過)
+ * @param {Object} [template] - 課表範本 (預設為內建範本)
+ * @returns {Array<Object>} parseSchedule() 結果的陣列
  */
-function isGroupSelection(text) {
-    if (!text) return null;
-    const match = text.match(/課表\s*([A-ISa-is])\s*組/i);
-    if (match) return match[1].toUpperCase();
-    return null;
+function parseScheduleWeeks(text, template = DEFAULT_TEMPLATE) {
+    return splitWeekBlocks(text, template).map(week => parseSchedule(week, template)).filter(Boolean);
 }
 
 /**
- * 取得特定來源「本週」或「最接近現在」的課表
+ * 檢查訊息是否為組別選擇指令 (如 "課表A組"、"課表半馬B組")
+ * @returns {{ division: string|null, group: string }|null} 沒指定大項時 division 為 null
  */
-function getLatestSchedule(sourceId) {
-    if (!sourceId) return null;
-    const periodsMap = storageBySource.get(sourceId);
-    if (!periodsMap || periodsMap.size === 0) return null;
-
-    // 1. 優先找日期符合今天的
-    for (const [period, entry] of periodsMap.entries()) {
-        if (isDateInPeriod(period)) return entry.data;
-    }
-
-    // 2. 若沒找到本週的，回傳最後一份存入的
-    const sortedEntries = Array.from(periodsMap.values())
-        .sort((a, b) => b.timestamp - a.timestamp);
-
-    return sortedEntries.length > 0 ? sortedEntries[0].data : null;
+function isGroupSelection(text) {
+    if (!text) return null;
+    const match = text.match(/課表\s*(全\s*馬|半\s*馬|10\s*(?:[kKＫｋ]|公里))?\s*([A-ISa-is])\s*組/i);
+    if (!match) return null;
+    const division = findDivision(match[1]);
+    return { division: division ? division.key : null, group: match[2].toUpperCase() };
 }
 
 /**
- * 取得特定來源包含目標日期的課表 (嚴格判定日期)
- * @param {string} sourceId - 來源 ID
- * @param {Date} targetDate - 目標日期
+ * 檢查訊息是否為組別大項選擇指令 (如 "課表半馬"、"課表10K組")
+ * @returns {string|null} 大項 key
  */
-function getThisWeekSchedule(sourceId, targetDate) {
-    if (!sourceId) return null;
-    const periodsMap = storageBySource.get(sourceId);
-    if (!periodsMap) return null;
-
-    for (const [period, entry] of periodsMap.entries()) {
-        if (isDateInPeriod(period, targetDate)) return entry.data;
-    }
-    return null;
+function isDivisionSelection(text) {
+    if (!text) return null;
+    const match = text.match(/^課表\s*(全\s*馬|半\s*馬|10\s*(?:[kKＫｋ]|公里))\s*組?$/i);
+    const division = match ? findDivision(match[1]) : null;
+    return division ? division.key : null;
 }
 
 module.exports = {
+    DIVISIONS,
+    DEFAULT_TEMPLATE,
+    matchDayHeader,
+    countTemplateKeywords,
     isTrainingSchedule,
     parseSchedule,
-    formatGroupResult,
-    buildGroupQuickReply,
-    cacheSchedule,
-    getCachedSchedule,
+    parseScheduleWeeks,
     isGroupSelection,
-    getLatestSchedule,
-    getThisWeekSchedule,
-    isDateInPeriod
+    isDivisionSelection,
+    paceToSeconds
 };
@@ -0,0 +1,182 @@
+/**
+ * 課表行事曆匯出模組
+ * 每個對話來源發一組不可猜測的 token，透過 /calendar/<token>.ics 提供指定組別的 iCalendar 訂閱，
+ * 每個訓練日一個事件 (含集合地點、開始時間與含 200m 秒數的課表內容)，教練貼新課表後手機行事曆會自動更新
+ */
+const crypto = require('crypto');
+const { loadJsonFile, saveJsonFile, serializeWithCleanup } = require('./dataStore');
+const { WEEKDAY_NAMES, fromTaipeiParts } = require('./taipeiTime');
+const { DIVISIONS, isGroupSelection } = require('./schedule');
+const { getCachedSchedule, listSchedules, findGroup } = require('./scheduleStore');
+const { formatDayResult } = require('./scheduleFormat');
+const { getMyGroup } = require('./myGroup');
+const { SCHEDULE_EVENT_START, SCHEDULE_EVENT_MINUTES, SCHEDULE_EVENT_LOCATION, PUBLIC_BASE_URL } = require('./constants');
+
+const DB_FILE = 'calendars.json';
+
+// 結構: Map<sourceId, { token, updatedAt }>
+const tokensBySource = new Map(Object.entries(loadJsonFile(DB_FILE)));
+
+/**
+ * 取得來源的行事曆 token，沒有就產生一組新的並持久化
+ */
+function getOrCreateToken(sourceId) {
+    const entry = tokensBySource.get(sourceId) || { token: crypto.randomBytes(18).toString('base64url') };
+    entry.updatedAt = Date.now();
+    tokensBySource.set(sourceId, entry);
+    saveJsonFile(DB_FILE, serializeWithCleanup(tokensBySource, '行事曆連結'));
+    return entry.token;
+}
+
+function findSourceByToken(token) {
+    for (const [sourceId, entry] of tokensBySource) {
+        if (entry.token === token) return sourceId;
+    }
+    return null;
+}
+
+// iCalendar 文字欄位跳脫 (RFC 5545 3.3.11)
+function escapeText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// 每行超過 75 octets 需折行，續行以空白開頭 (中文與 emoji 以 UTF-8 位元組計算)
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * 課表某組某一週的行事曆事件 (全休日不產生事件)
+ */
+function buildWeekEvents(schedule, division, group) {
+    const [year, month, date] = schedule.startDate.split('-').map(Number);
+    const firstWeekday = fromTaipeiParts(year, month, date, 12).getUTCDay();
+
+    return group.days
+        .filter(day => day.sessions.some(s => s.type !== 'rest'))
+        .map(day => {
+            const isWeekend = day.weekday === 0 || day.weekday === 6;
+            // 課表寫的集合時間通常指平日操場課，週末長跑仍用預設的清晨時段
+            const [hour, minute] = ((!isWeekend && schedule.startTime) || SCHEDULE_EVENT_START[isWeekend ? 'weekend' : 'weekday']).split(':').map(Number);
+            const offset = (day.weekday - firstWeekday + 7) % 7;
+            const begin = fromTaipeiParts(year, month, date + offset, hour, minute);
+            const dayLabel = `週${WEEKDAY_NAMES[day.weekday]}`;
+            return {
+                uid: `${schedule.startDate}-${division.key}-${group.name}-${day.weekday}`.replace(/[^\w-]/g, '') + '@stuart',
+                begin,
+                end: new Date(begin.getTime() + SCHEDULE_EVENT_MINUTES * 60 * 1000),
+                summary: `${division.label}${group.name}組 ${dayLabel}課表`,
+                location: schedule.location || SCHEDULE_EVENT_LOCATION,
+                description: formatDayResult(schedule, division, group, day.weekday, dayLabel)
+            };
+        });
+}
+
+/**
+ * 產生來源指定組別的 .ics 內容
+ * @param {string} token - 行事曆 token
+ * @param {string|null} divisionKey - 大項 key (沒指定時依各週課表自動判斷)
+ * @param {string} groupName - 組別名稱 (如 "B")
+ * @returns {string|null} token 不存在或課表裡沒有這個組別時回傳 null
+ */
+function renderCalendarFeed(token, divisionKey, groupName) {
+    const sourceId = token ? findSourceByToken(token) : null;
+    if (!sourceId) return null;
+
+    // 組別以此來源實際解析出的課表為準，沒有任何一週有這組就視為不存在
+    const weeks = listSchedules(sourceId)
+        .map(({ data }) => ({ data, found: findGroup(data, divisionKey, groupName) }))
+        .filter(({ found }) => found && !found.candidates);
+    if (weeks.length === 0) return null;
+    const events = weeks.flatMap(({ data, found }) => buildWeekEvents(data, found.division, found.group));
+
+    const now = formatUtc(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Stuart LINE Bot//Training Schedule//ZH',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`史都華課表 ${groupName}組`)}`,
+        'X-WR-TIMEZONE:Asia/Taipei',
+        ...events.flatMap(e => [
+            'BEGIN:VEVENT',
+            `UID:${e.uid}`,
+            `DTSTAMP:${now}`,
+            `DTSTART:${formatUtc(e.begin)}`,
+            `DTEND:${formatUtc(e.end)}`,
+            `SUMMARY:${escapeText(e.summary)}`,
+            ...(e.location ? [`LOCATION:${escapeText(e.location)}`] : []),
+            `DESCRIPTION:${escapeText(e.description)}`,
+            'END:VEVENT'
+        ]),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * 「stu 匯出行事曆」/「stu 匯出行事曆 半馬B組」：回覆該組的行事曆訂閱連結
+ * 沒指定組別時使用登記的組別
+ * @param {Object} ctx - { text, sourceId, userId, displayName, sendMessage }
+ * @returns {Promise|null} 若不是匯出行事曆指令則回傳 null
+ */
+function handleCalendarCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    const match = body.match(/^(?:匯出|訂閱)\s*(?:課表)?\s*行事曆\s*(.*)$/);
+    if (!match) return null;
+
+    const selection = isGroupSelection(`課表${match[1]}`) || getMyGroup(ctx.sourceId, ctx.userId);
+    if (!selection?.group) {
+        return ctx.sendMessage({ type: 'text', text: '要匯出哪一組呢？說「stu 匯出行事曆 B組」，或先用「stu 我是B組」登記組別～' });
+    }
+    if (!PUBLIC_BASE_URL) {
+        console.warn('[行事曆匯出] 未設定 PUBLIC_BASE_URL，無法產生訂閱連結');
+        return ctx.sendMessage({ type: 'text', text: '管理員還沒設定服務網址 (PUBLIC_BASE_URL)，暫時無法產生行事曆連結 🙈' });
+    }
+
+    let divisionKey = selection.division;
+    if (!divisionKey) {
+        const found = findGroup(getCachedSchedule(ctx.sourceId), null, selection.group);
+        if (found?.candidates) {
+            return ctx.sendMessage({
+                type: 'text',
+                text: `好幾個大項都有 ${selection.group} 組耶，要匯出哪一個？👇`,
+                quickReply: {
+                    items: found.candidates.map(d => ({
+                        type: 'action',
+                        action: { type: 'message', label: `${d.label}${selection.group}組`, text: `stu 匯出行事曆 ${d.label}${selection.group}組` }
+                    }))
+                }
+            });
+        }
+        divisionKey = found ? found.division.key : null;
+    }
+
+    const label = `${DIVISIONS.find(d => d.key === divisionKey)?.label || ''}${selection.group}組`;
+    const query = new URLSearchParams({ group: selection.group, ...(divisionKey ? { div: divisionKey } : {}) });
+    const url = `${PUBLIC_BASE_URL}/calendar/${getOrCreateToken(ctx.sourceId)}.ics?${query}`;
+    return ctx.sendMessage({
+        type: 'text',
+        text: `📅 ${label}的課表行事曆：\n${url}\n\n在手機行事曆選「加入訂閱行事曆」貼上這個網址，每個訓練日都會有事件，備註裡就有 200m 秒數。之後教練貼新課表會自動更新！\n🔒 這個連結專屬這個聊天室，請不要外流喔。`
+    });
+}
+
+module.exports = {
+    renderCalendarFeed,
+    handleCalendarCommand
+};
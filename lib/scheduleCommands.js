@@ -0,0 +1,271 @@
+/**
+ * 課表對話指令模組
+ * 處理「課表半馬B組」組別選擇、「課表半馬」大項選擇、「課表 / 下週課表」查詢、
+ * 「週六課表B組」「明天練什麼」單日查詢，以及貼上課表原文的解析存檔
+ */
+const { getUserHistory } = require('./gemini');
+const { WEEKDAY_NAMES, getTaipeiParts, fromTaipeiParts, nearestYear } = require('./taipeiTime');
+const { DIVISIONS, isGroupSelection, isDivisionSelection } = require('./schedule');
+const { cacheScheduleWeeks, getCachedSchedule, getLatestSchedule, getThisWeekSchedule, getScheduleByPeriod, isDateInSchedule, findGroup } = require('./scheduleStore');
+const { formatGroupResult, formatDayResult, formatPaceBand, buildGroupQuickReply, buildScheduleQuickReply, describeDivisions } = require('./scheduleFormat');
+const { buildGroupResultMessage } = require('./scheduleFlex');
+const { getMyGroup } = require('./myGroup');
+const { parsePastedSchedule } = require('./scheduleTemplates');
+const { handleSchedulePaste } = require('./scheduleImport');
+
+const NO_SCHEDULE_TEXT = '教練的記憶體裡沒有存到課表耶～請重新貼一次課表給我！';
+
+function divisionLabel(key) {
+    return DIVISIONS.find(d => d.key === key)?.label || '';
+}
+
+/**
+ * 解析單日查詢的日期：「今天 / 明天 / 後天」或「週六 / 下週六」(以週一到週日為一週)
+ * @returns {{ date: Date, weekday: number, word: string, label: string }|null} word 為原文，供 Quick Reply 帶回
+ */
+function resolveScheduleDay(text, now = new Date()) {
+    const today = getTaipeiParts(now);
+    let word;
+    let offset;
+
+    const relativeMatch = text.match(/今天|今日|明天|後天/);
+    const weekdayMatch = text.match(/([下上])?(?:週|周|星期|禮拜)([一二三四五六日天])/);
+    if (relativeMatch) {
+        word = relativeMatch[0];
+        offset = { 今: 0, 明: 1, 後: 2 }[word[0]];
+    } else if (weekdayMatch) {
+        word = weekdayMatch[0];
+        const weekday = WEEKDAY_NAMES.indexOf(weekdayMatch[2] === '天' ? '日' : weekdayMatch[2]);
+        const weekShift = weekdayMatch[1] === '下' ? 7 : weekdayMatch[1] === '上' ? -7 : 0;
+        offset = (weekday + 6) % 7 - (today.weekday + 6) % 7 + weekShift;
+    } else {
+        return null;
+    }
+
+    const date = fromTaipeiParts(today.year, today.month, today.day + offset, 12);
+    const weekday = getTaipeiParts(date).weekday;
+    return { date, weekday, word, label: relativeMatch ? `${word} (週${WEEKDAY_NAMES[weekday]})` : word };
+}
+
+/**
+ * 找出使用者在此來源登記的組別 (「stu 我是B組」)，課表裡沒有這組時回傳 null
+ */
+function findMyGroup(ctx, parsed) {
+    const mine = getMyGroup(ctx.sourceId, ctx.userId);
+    const found = mine?.group ? findGroup(parsed, mine.division, mine.group) : null;
+    return found && !found.candidates ? found : null;
+}
+
+/**
+ * 單日查詢只找包含該日期的課表 (不拿別週的課表充數)；沒有指定日期時用最近一份
+ */
+function getScheduleForDay(sourceId, day) {
+    return day ? getThisWeekSchedule(sourceId, day.date) : getCachedSchedule(sourceId);
+}
+
+function noScheduleText(day) {
+    return day ? `史都華教練的記憶體還沒存到${day.label}那週的課表耶～有這週的課表請貼給我一次吧！` : NO_SCHEDULE_TEXT;
+}
+
+/**
+ * 「課表X組」/「課表半馬X組」：回覆該組的整週安排與 200m 操場換算；帶有日期時 (「週六課表B組」) 只回覆當天
+ * 沒指定大項且多個大項都有這組時，改問要看哪個大項
+ */
+function replyGroupSelection(ctx, selection, day) {
+    const cached = getScheduleForDay(ctx.sourceId, day);
+    if (!cached) return ctx.sendMessage({ type: 'text', text: noScheduleText(day) });
+
+    const found = findGroup(cached, selection.division, selection.group);
+    if (!found) {
+        return ctx.sendMessage({ type: 'text', text: `找不到${divisionLabel(selection.division)}${selection.group}組的資料耶，確認一下課表裡有沒有這組？` });
+    }
+    const dayWord = day ? day.word : '';
+    if (found.candidates) {
+        return ctx.sendMessage({
+            type: 'text',
+            text: `這份課表有好幾個大項都有 ${selection.group} 組，你要看哪一個？👇`,
+            quickReply: {
+                items: found.candidates.map(d => ({
+                    type: 'action',
+                    action: { type: 'message', label: `${d.label}${selection.group}組`, text: `${dayWord}課表${d.label}${selection.group}組` }
+                }))
+            }
+        });
+    }
+    if (!day) {
+        return ctx.sendMessage(buildGroupResultMessage(cached, found.division, found.group, {
+            altText: formatGroupResult(cached, found.division, found.group)
+        }));
+    }
+    return ctx.sendMessage(buildGroupResultMessage(cached, found.division, found.group, {
+        altText: formatDayResult(cached, found.division, found.group, day.weekday, day.label),
+        weekday: day.weekday,
+        dayLabel: day.label
+    }));
+}
+
+/**
+ * 「課表半馬」：列出該大項的組別讓使用者挑選
+ */
+function replyDivisionSelection(ctx, divisionKey, day) {
+    const cached = getScheduleForDay(ctx.sourceId, day);
+    if (!cached) return ctx.sendMessage({ type: 'text', text: noScheduleText(day) });
+
+    const division = cached.divisions.find(d => d.key === divisionKey);
+    if (!division) {
+        return ctx.sendMessage({ type: 'text', text: `這份課表裡沒有${divisionLabel(divisionKey)}組耶～目前有：\n${describeDivisions(cached)}` });
+    }
+    return ctx.sendMessage({
+        type: 'text',
+        text: `${division.label}組有 ${division.groups.length} 組，請選擇組別 👇`,
+        quickReply: { items: buildGroupQuickReply(division, day ? day.word : '') }
+    });
+}
+
+/**
+ * 「明天練什麼」「週六課表」：有登記組別就直接回覆該組當天內容，否則請使用者選擇組別
+ */
+function replyDayQuery(ctx, day) {
+    const parsed = getScheduleForDay(ctx.sourceId, day);
+    if (!parsed) return ctx.sendMessage({ type: 'text', text: noScheduleText(day) });
+
+    const mine = findMyGroup(ctx, parsed);
+    if (mine) return replyGroupSelection(ctx, { division: mine.division.key, group: mine.group.name }, day);
+
+    return ctx.sendMessage({
+        type: 'text',
+        text: `Bello, ${ctx.displayName}! 🍌 要看${day.label} 哪一組的課表？👇`,
+        quickReply: { items: buildScheduleQuickReply(parsed, day.word) }
+    });
+}
+
+/**
+ * 處理課表 Flex 卡片上的「配速帶」Postback
+ * @param {Object} ctx - { sourceId, sendMessage }
+ * @param {URLSearchParams} params - { period, div, group }
+ */
+function handlePaceBandPostback(ctx, params) {
+    const parsed = getScheduleByPeriod(ctx.sourceId, params.get('period'));
+    const found = parsed && findGroup(parsed, params.get('div'), params.get('group'));
+    if (!found || found.candidates) return ctx.sendMessage({ type: 'text', text: NO_SCHEDULE_TEXT });
+    return ctx.sendMessage({ type: 'text', text: formatPaceBand(parsed, found.division, found.group) });
+}
+
+/**
+ * 判斷查詢意圖的指定日期或週次偏移
+ * @returns {{ targetDate: Date, targetWeekName: string, isSpecificQuery: boolean }}
+ */
+function resolveQueryWeek(text, now = new Date()) {
+    // 擷取指定日期 (例如 "3/5" 或 "03/05" 或 "3月5日")，以台北時間取最接近現在的年份 (與課表週期的推算規則相同)
+    const dateMatch = text.match(/([01]?\d)[/月]([0-3]?\d)/);
+    if (dateMatch) {
+        const m = parseInt(dateMatch[1], 10);
+        const d = parseInt(dateMatch[2], 10);
+        const targetDate = fromTaipeiParts(nearestYear(m, d, now), m, d, 12);
+        return { targetDate, targetWeekName: `${m}/${d}`, isSpecificQuery: true };
+    }
+    const today = getTaipeiParts(now);
+    const shiftDays = (offset) => fromTaipeiParts(today.year, today.month, today.day + offset, 12);
+    if (text.includes('下') || text.includes('明') || text.includes('次') || text.toLowerCase().includes('next')) {
+        return { targetDate: shiftDays(7), targetWeekName: '下週', isSpecificQuery: true };
+    }
+    if (text.includes('上') || text.includes('前') || text.toLowerCase().includes('last')) {
+        return { targetDate: shiftDays(-7), targetWeekName: '上週', isSpecificQuery: true };
+    }
+    return { targetDate: now, targetWeekName: '本週', isSpecificQuery: false };
+}
+
+/**
+ * 快取沒了 (例如部署重啟) 時，嘗試從對話紀錄中「救援」最近貼過的課表
+ */
+function rescueScheduleFromHistory(sourceId, userId, targetDate, targetWeekName, isSpecificQuery) {
+    console.log(`[課表救援] 來源 ${sourceId} 快取為空，嘗試從對話紀錄中搜尋課表文字...`);
+    const history = getUserHistory(userId);
+    // 由新到舊找，看有沒有人傳過課表文字
+    for (let i = history.length - 1; i >= 0; i--) {
+        const pastText = history[i].content;
+        const { weeks: parsedWeeks } = parsePastedSchedule(sourceId, pastText);
+        if (parsedWeeks.length === 0) continue;
+        const weeks = cacheScheduleWeeks(sourceId, parsedWeeks).map(r => r.data); // 放回該來源的快取
+        if (weeks.length === 0) continue;
+
+        // 重新檢查救回來的週次裡有沒有我們要的那個日期
+        const rescued = weeks.find(w => isDateInSchedule(w, targetDate)) || (!isSpecificQuery ? getLatestSchedule(sourceId) : null);
+        if (rescued) console.log(`[課表救援] 成功救回並匹配到 ${targetWeekName} 課表:`, rescued.weekLabel);
+        return rescued;
+    }
+    return null;
+}
+
+/**
+ * 「課表」查詢 (模糊匹配，支援指定日期與相對週次)
+ */
+function replyScheduleQuery(ctx) {
+    const { targetDate, targetWeekName, isSpecificQuery } = resolveQueryWeek(ctx.text);
+
+    // 1. 優先查記憶體快取中對應日期的課表
+    // 若找的是本週且沒找到，才 fallback 到 getLatestSchedule (如果是找未來或過去就不要 fallback)
+    const parsed = getThisWeekSchedule(ctx.sourceId, targetDate)
+        || (!isSpecificQuery ? getLatestSchedule(ctx.sourceId) : null)
+        || rescueScheduleFromHistory(ctx.sourceId, ctx.userId, targetDate, targetWeekName, isSpecificQuery);
+
+    if (!parsed) {
+        // 真的找不到了
+        return ctx.sendMessage({ type: 'text', text: '史都華教練的記憶體還沒存到這週的訓練週期課表耶～請把整份課表再貼給我一次吧！' });
+    }
+
+    const promptIntro = isDateInSchedule(parsed, targetDate)
+        ? `Bello, ${ctx.displayName}! 🍌 幫你找到${targetWeekName} (${parsed.periodStr}) 的課表了！`
+        : `Bello, ${ctx.displayName}! 🍌 目前沒找到指定時間的課表，但教練幫你挖出最近一份紀錄 (${parsed.weekLabel})。`;
+
+    const mine = findMyGroup(ctx, parsed);
+    if (mine) {
+        return ctx.sendMessage([
+            { type: 'text', text: promptIntro },
+            buildGroupResultMessage(parsed, mine.division, mine.group, { altText: formatGroupResult(parsed, mine.division, mine.group) })
+        ]);
+    }
+
+    return ctx.sendMessage({
+        type: 'text',
+        text: `${promptIntro}\n\n請選擇${parsed.divisions.length > 1 ? '組別大項' : '組別'} 👇`,
+        quickReply: { items: buildScheduleQuickReply(parsed) }
+    });
+}
+
+/**
+ * 處理課表相關的對話指令
+ * @param {Object} ctx - { text, sourceId, userId, displayName, sendMessage }
+ * @returns {Promise|null} 若不是課表指令 (或課表原文解析失敗) 則回傳 null
+ */
+function handleScheduleCommand(ctx) {
+    const { text } = ctx;
+
+    // 單日查詢 (「週六課表B組」「明天練什麼」)；只說「練什麼」視為今天
+    const isTrainingAsk = /練什麼|練啥/.test(text);
+    const day = (text.includes('課表') || isTrainingAsk) && text.length < 20
+        ? resolveScheduleDay(text) || (isTrainingAsk ? resolveScheduleDay('今天') : null)
+        : null;
+    const body = day ? text.replace(day.word, '').trim() : text;
+
+    // 組別 / 大項選擇必須最優先，以免被下方模糊匹配蓋過
+    const selection = isGroupSelection(body);
+    if (selection) return replyGroupSelection(ctx, selection, day);
+
+    const divisionKey = isDivisionSelection(body);
+    if (divisionKey) return replyDivisionSelection(ctx, divisionKey, day);
+
+    if (day) return replyDayQuery(ctx, day);
+
+    if ((text.includes('課表') || text.includes('訓練表')) && text.length < 15) {
+        return replyScheduleQuery(ctx);
+    }
+
+    // 偵測是否為原始課表文字 (如是，解析並存入快取與 JSON；解析失敗就當作普通文字交給 AI 處理)
+    return handleSchedulePaste(ctx);
+}
+
+module.exports = {
+    handleScheduleCommand,
+    handlePaceBandPostback
+};
@@ -0,0 +1,129 @@
+/**
+ * 課表組別結果的 Flex Message 組裝模組
+ * 清晨在操場上也能一眼看懂：標頭為週次、大項與目標，內容為逐趟的距離 / 圈數 / 配速 / 200m 秒數 / 休息表格，
+ * 底部提供切換組別、下週課表與配速帶的快捷按鈕；原本的純文字回覆保留為 altText
+ */
+const { WEEKDAY_NAMES } = require('./taipeiTime');
+const { summarizeSession } = require('./scheduleSessions');
+
+const ALT_TEXT_MAX = 400; // LINE altText 長度上限
+const TABLE_COLUMNS = [
+    { title: '距離', flex: 3 },
+    { title: '圈數', flex: 2 },
+    { title: '配速/km', flex: 4 },
+    { title: '200m', flex: 3 },
+    { title: '休息', flex: 2 }
+];
+
+function buildTableRow(cells, isHeader) {
+    return {
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'sm',
+        contents: cells.map((text, i) => ({
+            type: 'text',
+            text: text || '-',
+            size: 'xs',
+            flex: TABLE_COLUMNS[i].flex,
+            color: isHeader ? '#888888' : '#333333',
+            weight: isHeader ? 'bold' : 'regular',
+            wrap: true
+        }))
+    };
+}
+
+/**
+ * 間歇項目的逐組表格 (混合組每組一列)
+ */
+function buildIntervalTable(day, session) {
+    const rows = session.sets.map(set => buildTableRow([
+        `${set.distance}m×${set.reps}`,
+        `${set.lapsPerRep} 圈`,
+        set.paces.length > 1 ? `${set.paces[0]}~${set.paces[set.paces.length - 1]}` : set.paces[0],
+        set.lapTimes.length > 1 ? `${set.lapTimes[0]}~${set.lapTimes[set.lapTimes.length - 1]}″` : set.lapTimes.length === 1 ? `${set.lapTimes[0]}″` : null,
+        session.rest
+    ], false));
+
+    return {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        margin: 'lg',
+        contents: [
+            { type: 'text', text: `🔁 週${WEEKDAY_NAMES[day.weekday]} 間歇`, size: 'sm', weight: 'bold', color: '#03C755' },
+            buildTableRow(TABLE_COLUMNS.map(c => c.title), true),
+            { type: 'separator' },
+            ...rows
+        ]
+    };
+}
+
+/**
+ * 每天一行的訓練摘要
+ */
+function buildDayRow(day) {
+    return {
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'md',
+        contents: [
+            { type: 'text', text: `週${WEEKDAY_NAMES[day.weekday]}`, size: 'sm', weight: 'bold', flex: 0 },
+            { type: 'text', text: day.sessions.map(summarizeSession).join('、'), size: 'sm', color: '#555555', wrap: true, flex: 1 }
+        ]
+    };
+}
+
+/**
+ * 組裝課表組別結果的 Flex Message
+ * @param {Object} parsed - 課表資料 (取 weekLabel、periodStr、startDate)
+ * @param {Object} division - 組別大項 { key, label }
+ * @param {Object} group - 組別資料 { name, target, days }
+ * @param {Object} options - { altText: 純文字版回覆, weekday: 只顯示某一天時的星期, dayLabel: 顯示用日期文字 }
+ */
+function buildGroupResultMessage(parsed, division, group, options = {}) {
+    const isSingleDay = options.weekday !== undefined && options.weekday !== null;
+    const days = isSingleDay ? group.days.filter(d => d.weekday === options.weekday) : group.days;
+
+    const bodyContents = days.length > 0
+        ? days.map(buildDayRow)
+        : [{ type: 'text', text: '這天課表上沒有安排訓練，好好休息或輕鬆慢跑就好 🍌', size: 'sm', wrap: true }];
+    for (const day of days) {
+        for (const session of day.sessions.filter(s => s.type === 'interval')) {
+            bodyContents.push(buildIntervalTable(day, session));
+        }
+    }
+    if (days.some(d => d.sessions.some(s => s.type === 'interval'))) {
+        bodyContents.push({ type: 'text', text: '💡 配速(秒/km) ÷ 5 = 200m 秒數', size: 'xxs', color: '#AAAAAA', margin: 'lg' });
+    }
+
+    const paceBandData = new URLSearchParams({ action: 'paceband', period: parsed.startDate || parsed.periodStr || '', div: division.key, group: group.name });
+    const footerButtons = [
+        { type: 'button', style: 'primary', color: '#03C755', height: 'sm', action: { type: 'postback', label: '配速帶', data: paceBandData.toString(), displayText: `${division.label}${group.name}組配速帶` } },
+        { type: 'button', style: 'secondary', height: 'sm', action: { type: 'message', label: '切換組別', text: `課表${division.label}` } },
+        { type: 'button', style: 'link', height: 'sm', action: { type: 'message', label: '下週課表', text: '下週課表' } }
+    ];
+
+    const subtitle = [parsed.periodStr, isSingleDay ? options.dayLabel : null].filter(Boolean).join('｜');
+    return {
+        type: 'flex',
+        altText: (options.altText || `${parsed.weekLabel} ${division.label}${group.name}組課表`).slice(0, ALT_TEXT_MAX),
+        contents: {
+            type: 'bubble',
+            header: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [
+                    { type: 'text', text: `🏃 ${parsed.weekLabel} ${division.label}${group.name}組`, weight: 'bold', size: 'lg' },
+                    { type: 'text', text: group.target ? `🎯 ${group.target}` : '🎯 未標示目標', size: 'sm', color: '#03C755', weight: 'bold' },
+                    ...(subtitle ? [{ type: 'text', text: subtitle, size: 'xs', color: '#888888' }] : [])
+                ]
+            },
+            body: { type: 'box', layout: 'vertical', spacing: 'sm', contents: bodyContents },
+            footer: { type: 'box', layout: 'vertical', spacing: 'sm', contents: footerButtons }
+        }
+    };
+}
+
+module.exports = {
+    buildGroupResultMessage
+};
@@ -0,0 +1,154 @@
+/**
+ * 課表回覆格式化模組
+ * 將已解析的課表組別轉為文字回覆，並產生選擇組別大項 / 組別的 LINE Quick Reply
+ */
+const { WEEKDAY_NAMES } = require('./taipeiTime');
+const { paceToSeconds, formatPaces, summarizeSession } = require('./scheduleSessions');
+const { RACE_DISTANCE_KM, formatDuration, splitSeconds, parseTargetSeconds, buildRaceSplits } = require('./pace');
+
+/**
+ * 將間歇項目格式化為 200m 操場換算 (混合組逐組列出)
+ */
+function formatIntervalDetail(session) {
+    const lines = session.sets.flatMap(set => {
+        const lapTimeStr = set.lapTimes.length > 1
+            ? `${set.lapTimes[0]} ~ ${set.lapTimes[set.lapTimes.length - 1]} 秒`
+            : set.lapTimes.length === 1 ? `${set.lapTimes[0]} 秒` : '課表未寫配速';
+        return [
+            `📋 間歇：${set.distance}m × ${set.reps} (每趟 ${set.lapsPerRep} 圈)`,
+            ...(set.paces.length > 0 ? [`⏱ 配速：${formatPaces(set.paces)}`] : []),
+            `🔄 200m：${lapTimeStr}`
+        ];
+    });
+    if (session.rest) lines.push(`😮‍💨 恢復：${session.rest}`);
+    return lines.join('\n');
+}
+
+function formatDayLine(day) {
+    return `週${WEEKDAY_NAMES[day.weekday]}｜${day.sessions.map(summarizeSession).join('、')}`;
+}
+
+/**
+ * 將單一組別一整週的資料格式化成使用者友善的文字回覆 (逐日摘要 + 間歇日的 200m 換算)
+ * @param {Object} parsed - 課表資料 (取 weekLabel)
+ * @param {Object} division - 組別大項 { key, label, groups }
+ * @param {Object} group - 組別資料
+ */
+function formatGroupResult(parsed, division, group) {
+    let result = `🏃 ${parsed.weekLabel} ${division.label}${group.name}組\n`;
+    if (group.target) result += `🎯 ${group.target}\n`;
+    result += `━━━━━━━━━━━━━━\n`;
+    result += `📅 本週安排\n${group.days.map(formatDayLine).join('\n')}\n`;
+
+    for (const day of group.days) {
+        for (const session of day.sessions.filter(s => s.type === 'interval')) {
+            result += `━━━━━━━━━━━━━━\n🔁 週${WEEKDAY_NAMES[day.weekday]} 操場換算\n${formatIntervalDetail(session)}\n`;
+        }
+    }
+    result += `━━━━━━━━━━━━━━\n`;
+    result += `💡 配速(秒/km) ÷ 5 = 200m 秒數`;
+
+    return result;
+}
+
+/**
+ * 將單一組別某一天的訓練內容格式化成文字回覆
+ * @param {number} weekday - 0 = 週日
+ * @param {string} dayLabel - 顯示用的日期文字 (如 "明天 (週六)")
+ */
+function formatDayResult(parsed, division, group, weekday, dayLabel) {
+    const day = group.days.find(d => d.weekday === weekday);
+    let result = `🏃 ${parsed.weekLabel} ${division.label}${group.name}組｜${dayLabel}\n`;
+    if (group.target) result += `🎯 ${group.target}\n`;
+    result += `━━━━━━━━━━━━━━\n`;
+    if (!day) return `${result}這天課表上沒有安排訓練，好好休息或輕鬆慢跑就好 🍌`;
+
+    result += day.sessions.map(s => `・${summarizeSession(s)}`).join('\n');
+    for (const session of day.sessions.filter(s => s.type === 'interval')) {
+        result += `\n━━━━━━━━━━━━━━\n${formatIntervalDetail(session)}`;
+    }
+    return result;
+}
+
+/**
+ * 配速帶：間歇每 200m 的累計時間，以及依組別目標換算的比賽每 5K 分段
+ */
+function formatPaceBand(parsed, division, group) {
+    let result = `🎗️ ${parsed.weekLabel} ${division.label}${group.name}組配速帶\n`;
+
+    const sets = group.days.flatMap(d => d.sessions.filter(s => s.type === 'interval').flatMap(s => s.sets));
+    for (const set of sets) {
+        for (const pace of set.paces) {
+            const secondsPerKm = paceToSeconds(pace);
+            const splits = Array.from({ length: set.lapsPerRep }, (_, i) => formatDuration(Math.round(splitSeconds(secondsPerKm, (i + 1) * 200))));
+            result += `━━━━━━━━━━━━━━\n📋 ${set.distance}m @${pace}/km\n${splits.map((t, i) => `${(i + 1) * 200}m ${t}`).join('｜')}\n`;
+        }
+    }
+
+    const targetSeconds = parseTargetSeconds(group.target, division.key);
+    if (targetSeconds && RACE_DISTANCE_KM[division.key]) {
+        const perKm = targetSeconds / RACE_DISTANCE_KM[division.key];
+        result += `━━━━━━━━━━━━━━\n🏁 ${division.label} ${group.target.trim()} 需要 ${formatDuration(Math.round(perKm))}/km\n`;
+        result += buildRaceSplits(targetSeconds, division.key).map(split => `${split.label} ${formatDuration(Math.round(split.seconds))}`).join('\n');
+    } else if (sets.length === 0) {
+        result += '這組課表沒有可換算的配速耶～';
+    }
+    return result.trim();
+}
+
+/**
+ * 產生 LINE Quick Reply 按鈕陣列 (讓使用者選擇某個大項內的組別)
+ * @param {string} [dayWord] - 查詢特定一天時帶在指令前方 (如 "週六")，點選後直接回覆當天內容
+ */
+function buildGroupQuickReply(division, dayWord = '') {
+    return division.groups.map(g => ({
+        type: 'action',
+        action: {
+            type: 'message',
+            label: `${division.label}${g.name}組 ${g.target}`.substring(0, 20),
+            text: `${dayWord}課表${division.label}${g.name}組`
+        }
+    }));
+}
+
+/**
+ * 產生 LINE Quick Reply 按鈕陣列 (讓使用者先選擇組別大項)
+ */
+function buildDivisionQuickReply(divisions, dayWord = '') {
+    return divisions.map(d => ({
+        type: 'action',
+        action: {
+            type: 'message',
+            label: `${d.label}組 (${d.groups.length} 組)`,
+            text: `${dayWord}課表${d.label}`
+        }
+    }));
+}
+
+/**
+ * 依課表的大項數量決定下一步的 Quick Reply：只有一個大項時直接列組別，否則先選大項
+ */
+function buildScheduleQuickReply(parsed, dayWord = '') {
+    return parsed.divisions.length === 1
+        ? buildGroupQuickReply(parsed.divisions[0], dayWord)
+        : buildDivisionQuickReply(parsed.divisions, dayWord);
+}
+
+/**
+ * 列出課表內各大項的組別 (如 "全馬組：S組、A組｜半馬組：A組、B組")
+ */
+function describeDivisions(parsed) {
+    return parsed.divisions
+        .map(d => `${d.label}組：${d.groups.map(g => `${g.name}組`).join('、')}`)
+        .join('\n');
+}
+
+module.exports = {
+    formatGroupResult,
+    formatDayResult,
+    formatPaceBand,
+    buildGroupQuickReply,
+    buildDivisionQuickReply,
+    buildScheduleQuickReply,
+    describeDivisions
+};
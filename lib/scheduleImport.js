@@ -0,0 +1,172 @@
+/**
+ * 課表原文匯入模組
+ * 以課表格式範本解析貼上的課表並存檔；沒有範本認得的課表 (但看得出是一週訓練內容) 改請 LLM 做結構化解析，
+ * 訓練內容仍交給 parseDaySessions 在本地解析，確保配速換算與比對邏輯一致
+ */
+const { SchemaType } = require('@google/generative-ai');
+const { hasLlm, generateJson } = require('./llmJson');
+const { getTaipeiParts, fromTaipeiParts } = require('./taipeiTime');
+const { DIVISIONS, matchDayHeader } = require('./schedule');
+const { parseDaySessions } = require('./scheduleSessions');
+const { cacheScheduleWeeks, isDateInSchedule, resolvePeriodDates } = require('./scheduleStore');
+const { describeDivisions, buildScheduleQuickReply } = require('./scheduleFormat');
+const { formatChangeSummary } = require('./scheduleVersions');
+const { parsePastedSchedule } = require('./scheduleTemplates');
+const { SCHEDULE_LLM_MIN_LENGTH } = require('./constants');
+
+const WORKOUT_PATTERN = /\d{3,4}\s*(?:m|公尺)?\s*[xX×*]\s*\d+|間歇|interval|tempo|節奏|LSD|配速|pace/i;
+
+const SCHEDULE_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        is_schedule: { type: SchemaType.BOOLEAN, description: '文字是否為跑步訓練課表' },
+        week_label: { type: SchemaType.STRING, description: '週次標題 (如 "Week 3"、"第3週")，沒有則留空' },
+        period: { type: SchemaType.STRING, description: '課表日期區間，格式 MM/DD-MM/DD，沒寫則留空' },
+        divisions: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    division: { type: SchemaType.STRING, description: '大項：full (全馬)、half (半馬)、10k；沒有分大項填 full' },
+                    groups: {
+                        type: SchemaType.ARRAY,
+                        items: {
+                            type: SchemaType.OBJECT,
+                            properties: {
+                                name: { type: SchemaType.STRING, description: '組別：S 或 A~I 的單一字母' },
+                                target: { type: SchemaType.STRING, description: '目標完賽時間 (如 "3:15")，沒有則留空' },
+                                days: {
+                                    type: SchemaType.ARRAY,
+                                    items: {
+                                        type: SchemaType.OBJECT,
+                                        properties: {
+                                            weekday: { type: SchemaType.INTEGER, description: '星期幾，0 為週日、1 為週一' },
+                                            lines: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING }, description: '當天訓練內容，一行一項' }
+                                        },
+                                        required: ['weekday', 'lines']
+                                    }
+                                }
+                            },
+                            required: ['name', 'days']
+                        }
+                    }
+                },
+                required: ['division', 'groups']
+            }
+        }
+    },
+    required: ['is_schedule']
+};
+
+/**
+ * 沒有範本認得時，判斷這段文字是否值得請 LLM 解析 (至少兩個星期標頭，且有間歇或配速等訓練字眼)
+ */
+function looksLikeSchedule(text) {
+    if (text.length < SCHEDULE_LLM_MIN_LENGTH || !WORKOUT_PATTERN.test(text)) return false;
+    const weekdays = new Set(text.split(/\r?\n/).map(line => matchDayHeader(line.trim())?.weekday).filter(w => w !== undefined));
+    return weekdays.size >= 2;
+}
+
+// 課表沒寫日期時，視為貼上當週 (週一到週日)
+function currentWeekPeriod(now = new Date()) {
+    const { year, month, day, weekday } = getTaipeiParts(now);
+    const monday = fromTaipeiParts(year, month, day - ((weekday + 6) % 7), 12);
+    const sunday = new Date(monday.getTime() + 6 * 24 * 60 * 60 * 1000);
+    const format = (d) => { const p = getTaipeiParts(d); return `${p.month}/${p.day}`; };
+    return `${format(monday)}-${format(sunday)}`;
+}
+
+/**
+ * 將 LLM 的結構化結果轉為 parseSchedule() 的格式 (組別、大項與星期不合法的項目一律捨棄)
+ */
+function toSchedule(result) {
+    const divisions = [];
+    for (const item of result.divisions || []) {
+        const division = DIVISIONS.find(d => d.key === item.division) || DIVISIONS[0];
+        const groups = (item.groups || [])
+            .filter(g => /^[SA-I]$/i.test(String(g.name || '').trim()))
+            .map(g => ({
+                name: g.name.trim().toUpperCase(),
+                target: g.target ? `SUB ${String(g.target).replace(/^SUB\s*/i, '')}` : '',
+                days: (g.days || [])
+                    .filter(day => Number.isInteger(day.weekday) && day.weekday >= 0 && day.weekday <= 6)
+                    .map(day => ({ weekday: day.weekday, sessions: parseDaySessions((day.lines || []).map(String)) }))
+                    .filter(day => day.sessions.length > 0)
+            }))
+            .filter(g => g.days.length > 0);
+        if (groups.length === 0 || divisions.some(d => d.key === division.key)) continue;
+        divisions.push({ key: division.key, label: division.label, groups });
+    }
+    if (divisions.length === 0) return null;
+
+    const period = String(result.period || '').replace(/\s+/g, '');
+    return {
+        weekLabel: String(result.week_label || '').trim() || '本週',
+        periodStr: resolvePeriodDates(period) ? period : currentWeekPeriod(),
+        divisions,
+        location: null,
+        startTime: null
+    };
+}
+
+/**
+ * 請 LLM 解析範本無法辨識的課表
+ * @returns {Promise<Object|null>} parseSchedule() 格式的課表，不是課表或解析失敗時回傳 null
+ */
+async function parseScheduleWithLlm(text) {
+    const result = await generateJson(
+        `你是跑步課表整理助手。請判斷以下文字是否為跑團的訓練課表，若是，依大項與組別 (S、A~I；課表用其他組名時依由快到慢對應 A、B、C…) 整理每組每天的訓練內容。
+每行訓練內容請改寫為標準格式：間歇「800m x 10 @04:05 R:90"」、節奏跑「節奏跑 8K @04:30」、長距離「LSD 25K @05:00」、慢跑「慢跑 40min」、休息日「休息」。不要補上原文沒有的內容。
+
+課表原文：
+${text}`,
+        SCHEDULE_SCHEMA
+    );
+    if (!result || !result.is_schedule) return null;
+    return toSchedule(result);
+}
+
+/**
+ * 存檔並回覆解析結果 (一次貼整個訓練週期時逐週保存，回覆以本週、沒有就第一週為主)
+ */
+function replyImportedSchedule(ctx, parsedWeeks, viaLlm = false) {
+    const saved = cacheScheduleWeeks(ctx.sourceId, parsedWeeks);
+    const weeks = saved.length > 0 ? saved.map(r => r.data) : parsedWeeks;
+    const parsed = weeks.find(w => isDateInSchedule(w)) || weeks[0];
+    const received = weeks.length > 1
+        ? `${weeks.length} 週的課表 (${weeks[0].weekLabel} ～ ${weeks[weeks.length - 1].weekLabel})`
+        : `${parsed.weekLabel} 的課表`;
+    const note = viaLlm ? '\n\n⚠️ 這份課表的格式教練不熟，是請 AI 幫忙整理的，數字請再對照原文確認喔！' : '';
+    // 重貼修正版時先列出各組改了什麼
+    const changeSummary = formatChangeSummary(saved);
+    return ctx.sendMessage([...(changeSummary ? [{ type: 'text', text: changeSummary }] : []), {
+        type: 'text',
+        text: `Bello, ${ctx.displayName}! 🍌 收到 ${received}了！\n\n${weeks.length > 1 ? `${parsed.weekLabel} (${parsed.periodStr}) ` : ''}偵測到：\n${describeDivisions(parsed)}${note}\n\n請選擇你要看哪一組的 200m 操場換算 👇`,
+        quickReply: { items: buildScheduleQuickReply(parsed) }
+    }]);
+}
+
+/**
+ * 偵測並匯入貼上的課表原文
+ * @param {Object} ctx - { text, sourceId, displayName, sendMessage }
+ * @returns {Promise|null} 若不像課表原文則回傳 null；交給 LLM 後才確認不是課表時 resolve 為 null (兩者都交給 AI 對話處理)
+ */
+function handleSchedulePaste(ctx) {
+    const { template, weeks } = parsePastedSchedule(ctx.sourceId, ctx.text);
+    if (weeks.length > 0) {
+        console.log(`偵測到訓練週期課表 (範本：${template.key})，共 ${weeks.length} 週`);
+        return replyImportedSchedule(ctx, weeks);
+    }
+    if (!hasLlm() || !(template || looksLikeSchedule(ctx.text))) return null;
+
+    console.log('[課表匯入] 沒有範本能解析這份課表，改用 LLM 結構化解析...');
+    return parseScheduleWithLlm(ctx.text).then(parsed => {
+        if (parsed) return replyImportedSchedule(ctx, [parsed], true);
+        if (!template) return null; // 只是內容像課表的一般訊息 (如分享自己的訓練計畫)，交回 handler 由 AI 回覆
+        return ctx.sendMessage({ type: 'text', text: '這份看起來是課表，但教練看不懂它的格式 🙈 可以用「stu 課表格式」指定範本，或請管理員在 schedule.config.yaml 新增一個。' });
+    });
+}
+
+module.exports = {
+    handleSchedulePaste
+};
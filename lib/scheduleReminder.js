@@ -0,0 +1,88 @@
+/**
+ * 課表提醒排程器
+ * 在伺服器行程內定期檢查：台北時間晚上到了提醒時刻，且明天是訂閱者所屬組別的間歇課表日，
+ * 就推播該組明天的課表卡片 (含 200m 秒數)。每個來源每天只推播一次，推播紀錄持久化避免重啟後重發
+ */
+const { getTaipeiParts, fromTaipeiParts, toDateKey, WEEKDAY_NAMES } = require('./taipeiTime');
+const { getThisWeekSchedule, findGroup } = require('./scheduleStore');
+const { formatDayResult } = require('./scheduleFormat');
+const { buildGroupResultMessage } = require('./scheduleFlex');
+const { listReminderSubscriptions, markReminded } = require('./myGroup');
+const { SCHEDULE_REMINDER_HOUR, SCHEDULE_REMINDER_CHECK_MS, SCHEDULE_REMINDER_MAX_BUBBLES } = require('./constants');
+
+/**
+ * 找出某來源明天有間歇課表的組別 (同組的訂閱者合併為一張卡片)
+ * @returns {Array<{ division, group, names: Array<string> }>}
+ */
+function collectIntervalGroups(schedule, members, weekday) {
+    const byKey = new Map();
+    for (const m of members) {
+        const found = findGroup(schedule, m.division, m.group);
+        if (!found || found.candidates) continue;
+        const day = found.group.days.find(d => d.weekday === weekday);
+        if (!day || !day.sessions.some(s => s.type === 'interval')) continue;
+
+        const key = `${found.division.key}:${found.group.name}`;
+        const item = byKey.get(key) || { division: found.division, group: found.group, names: [] };
+        item.names.push(m.displayName || '跑友');
+        byKey.set(key, item);
+    }
+    return [...byKey.values()];
+}
+
+/**
+ * 檢查並推播所有訂閱者的課表提醒
+ * @param {Object} client - LINE MessagingApiClient
+ * @param {Date} [now] - 基準時間
+ */
+async function runScheduleReminders(client, now = new Date()) {
+    const today = getTaipeiParts(now);
+    if (today.hour < SCHEDULE_REMINDER_HOUR) return;
+
+    const tomorrow = fromTaipeiParts(today.year, today.month, today.day + 1, 12);
+    const t = getTaipeiParts(tomorrow);
+    const dateKey = toDateKey(tomorrow);
+    const dayLabel = `明天 (週${WEEKDAY_NAMES[t.weekday]})`;
+
+    for (const sub of listReminderSubscriptions()) {
+        if (sub.remindedOn === dateKey) continue;
+        const schedule = getThisWeekSchedule(sub.sourceId, tomorrow);
+        if (!schedule) continue;
+
+        const items = collectIntervalGroups(schedule, sub.members, t.weekday).slice(0, SCHEDULE_REMINDER_MAX_BUBBLES);
+        if (items.length === 0) continue;
+
+        const isPrivate = sub.members.length === 1 && sub.members[0].userId === sub.sourceId;
+        const intro = isPrivate
+            ? `Bello! 🍌 ${dayLabel} 是間歇課表日，今晚早點睡，明天操場見！`
+            : `Bello! 🍌 ${dayLabel} 間歇課表提醒：${items.flatMap(i => i.names).join('、')} 今晚早點睡，明天操場見！`;
+        const bubbles = items.map(i => buildGroupResultMessage(schedule, i.division, i.group, {
+            altText: formatDayResult(schedule, i.division, i.group, t.weekday, dayLabel),
+            weekday: t.weekday,
+            dayLabel
+        }));
+
+        try {
+            await client.pushMessage({ to: sub.sourceId, messages: [{ type: 'text', text: intro }, ...bubbles] });
+            markReminded(sub.sourceId, dateKey);
+            console.log(`[課表提醒] 已推播 ${dateKey} 課表給來源 ${sub.sourceId} (${items.length} 組)`);
+        } catch (err) {
+            console.error('課表提醒推播失敗:', err?.originalError?.response?.data || err.message);
+        }
+    }
+}
+
+/**
+ * 啟動課表提醒排程 (由 index.js 在伺服器啟動時呼叫)
+ */
+function startScheduleReminders(client) {
+    setInterval(() => {
+        runScheduleReminders(client).catch(err => console.error('課表提醒排程錯誤:', err.message));
+    }, SCHEDULE_REMINDER_CHECK_MS);
+    console.log(`[系統通知] 課表提醒排程已啟動，每晚 ${SCHEDULE_REMINDER_HOUR} 點後推播隔天的間歇課表。`);
+}
+
+module.exports = {
+    runScheduleReminders,
+    startScheduleReminders
+};
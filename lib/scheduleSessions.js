@@ -0,0 +1,199 @@
+/**
+ * 課表單日訓練內容解析模組
+ * 將某一天的課表文字解析為結構化的訓練項目：間歇 (含 400 / 1000 / 1600 / 2000 與混合組)、節奏跑、LSD、慢跑、加速跑、熱身緩和與休息
+ */
+
+const { splitSeconds } = require('./pace');
+
+const SESSION_LABELS = {
+    warmup: '熱身 / 緩和',
+    interval: '間歇',
+    tempo: '節奏跑',
+    lsd: 'LSD',
+    jog: '慢跑',
+    strides: '加速跑',
+    rest: '休息',
+    other: '其他'
+};
+
+// 各訓練項目的辨識關鍵字 (依序比對，先命中者為準)
+const SESSION_KEYWORDS = [
+    { type: 'rest', pattern: /^(?:休息|全休|rest\b|off\b)/i },
+    { type: 'strides', pattern: /加速跑|strides?|跨步跑/i },
+    { type: 'warmup', pattern: /warm\s*up|熱身|cool\s*down|緩和/i },
+    { type: 'tempo', pattern: /tempo|節奏|閾值|乳酸|\bT\s*跑|\bM\s*配速|馬拉松配速/i },
+    { type: 'lsd', pattern: /LSD|長距離|long\s*run/i },
+    { type: 'jog', pattern: /慢跑|恢復跑|輕鬆跑|easy|jog|\bE\s*跑/i }
+];
+
+// 間歇組：距離 x 趟數 (可為範圍) @ 配速，例如 "1600 x 2"、"400m×8~10 @03:40/km"
+// 課表範本可自訂，擷取群組依序為 1 距離、2 趟數、3 趟數上限 (選填)、4 配速 (選填)
+const INTERVAL_SET_PATTERN = /(\d{3,4})\s*(?:m|公尺)?\s*[xX×*]\s*(\d+)(?:\s*~\s*(\d+))?(?:\s*(?:趟|組))?(?:\s*@\s*([\d:~!]+)(?:\s*\/\s*km)?)?/g;
+// 間歇休息時間，例如 "R: 2'"、"R：90\""；擷取群組 1 為時間
+const REST_PATTERN = /R\s*[:：]\s*([\d'’"”]+)/;
+
+/**
+ * 將配速字串 (如 "04:00" 或 "03:50") 轉換成秒數
+ */
+function paceToSeconds(paceStr) {
+    const cleaned = paceStr.replace(/[^\d:]/g, '').trim();
+    const parts = cleaned.split(':');
+    if (parts.length !== 2) return null;
+    const mins = parseInt(parts[0], 10);
+    const secs = parseInt(parts[1], 10);
+    if (isNaN(mins) || isNaN(secs)) return null;
+    return mins * 60 + secs;
+}
+
+/**
+ * 將每公里秒數換算成每圈秒數 (課表的操場換算以 200m 為一圈)
+ */
+function paceToLapTime(paceSeconds, lapMeters = 200) {
+    return Math.round(splitSeconds(paceSeconds, lapMeters));
+}
+
+/**
+ * 解析配速文字 (可能是範圍如 "03:50~03:45" 或單一如 "05:00")
+ * @returns {Array<string>} 格式正確的配速字串
+ */
+function parsePaces(paceRaw) {
+    if (!paceRaw) return [];
+    return paceRaw.replace(/!/g, '1') // 修正常見 typo (04:!5 → 04:15)
+        .split('~')
+        .map(p => p.trim())
+        .filter(p => p.includes(':') && paceToSeconds(p));
+}
+
+/**
+ * 找出一行文字中的距離 (如 "25K"、"10公里") 或時間 (如 "40'"、"60分鐘")
+ */
+function parseAmount(line) {
+    const km = line.match(/(\d+(?:\.\d+)?)\s*(?:~\s*(\d+(?:\.\d+)?)\s*)?(?:km|k|公里)(?![a-z])/i);
+    if (km) return km[2] ? `${km[1]}~${km[2]}K` : `${km[1]}K`;
+    const minutes = line.match(/(\d+)\s*(?:~\s*(\d+)\s*)?(?:'|’|分鐘|min)/i);
+    if (minutes) return minutes[2] ? `${minutes[1]}~${minutes[2]} 分鐘` : `${minutes[1]} 分鐘`;
+    return null;
+}
+
+/**
+ * 解析一行文字中的所有間歇組 (混合組如 "1600x2 + 800x2 + 400x4 @03:50/km" 會拆成三組)
+ * 沒寫配速的組沿用同一行最後出現的配速
+ */
+function parseIntervalSets(line, intervalPattern = INTERVAL_SET_PATTERN) {
+    const sets = [];
+    const pattern = new RegExp(intervalPattern.source, intervalPattern.flags.includes('g') ? intervalPattern.flags : `${intervalPattern.flags}g`);
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        const distance = parseInt(match[1], 10);
+        if (distance < 200 || distance % 100 !== 0) continue;
+        sets.push({
+            distance,
+            reps: match[3] ? `${match[2]}~${match[3]}` : match[2],
+            paces: parsePaces(match[4])
+        });
+    }
+
+    const sharedPaces = [...sets].reverse().find(s => s.paces.length > 0)?.paces || parsePaces(line.match(/@\s*([\d:~!]+)/)?.[1]);
+    return sets.map(s => {
+        const paces = s.paces.length > 0 ? s.paces : sharedPaces;
+        return {
+            ...s,
+            paces,
+            lapTimes: paces.map(p => paceToLapTime(paceToSeconds(p))),
+            lapsPerRep: s.distance / 200
+        };
+    });
+}
+
+/**
+ * 抓取休息時間 (如 "R: 2'"、"R：90\"")
+ */
+function parseRest(text, restPattern = REST_PATTERN) {
+    const restMatch = text.match(restPattern);
+    return restMatch ? restMatch[1].replace(/’/g, "'").replace(/”/g, '"') : null;
+}
+
+/**
+ * 解析一行訓練內容
+ * @param {string} line - 課表文字行
+ * @param {Object} [template] - 課表範本 (可自訂 intervalPattern / restPattern)
+ * @returns {Object|null} { type, ... } 無法辨識的內容歸為 other 並保留原文
+ */
+function parseSessionLine(line, template = {}) {
+    const text = line.trim();
+    if (!text) return null;
+
+    const keyword = SESSION_KEYWORDS.find(k => k.pattern.test(text));
+    const sets = keyword?.type === 'strides' ? [] : parseIntervalSets(text, template.intervalPattern);
+    if (sets.length > 0) {
+        return { type: 'interval', sets, rest: parseRest(text, template.restPattern), text };
+    }
+
+    const type = keyword ? keyword.type : 'other';
+    const session = { type, text };
+    if (type === 'strides') {
+        const strides = text.match(/(?:(\d{2,3})\s*m?\s*)?[xX×*]\s*(\d+)/);
+        if (strides) Object.assign(session, { distance: strides[1] ? parseInt(strides[1], 10) : null, reps: strides[2] });
+    } else if (type === 'tempo' || type === 'lsd' || type === 'jog') {
+        Object.assign(session, { amount: parseAmount(text), paces: parsePaces(text.match(/@\s*([\d:~!]+)/)?.[1]) });
+    }
+    return session;
+}
+
+/**
+ * 解析一天的所有訓練內容
+ * 間歇的「休息時間」常自成一行 (如 "R: 2'")，併入前一個間歇項目
+ * @param {Array<string>} lines - 該天的課表文字行
+ * @param {Object} [template] - 課表範本
+ */
+function parseDaySessions(lines, template = {}) {
+    const restPattern = template.restPattern || REST_PATTERN;
+    const sessions = [];
+    for (const line of lines) {
+        const lastInterval = [...sessions].reverse().find(s => s.type === 'interval');
+        if (lastInterval && line.trim().search(restPattern) === 0) {
+            lastInterval.rest = parseRest(line, restPattern);
+            continue;
+        }
+        const session = parseSessionLine(line, template);
+        if (session) sessions.push(session);
+    }
+    return sessions;
+}
+
+/**
+ * 將配速陣列格式化為 "@03:50~03:45/km"
+ */
+function formatPaces(paces) {
+    if (!paces || paces.length === 0) return '';
+    return paces.length > 1 ? `@${paces[0]}~${paces[paces.length - 1]}/km` : `@${paces[0]}/km`;
+}
+
+/**
+ * 將訓練項目格式化為一行摘要 (如 "間歇 1200m×6 @03:50~03:45/km")
+ */
+function summarizeSession(session) {
+    const label = SESSION_LABELS[session.type];
+    switch (session.type) {
+        case 'interval':
+            return `${label} ${session.sets.map(s => `${s.distance}m×${s.reps}`).join(' + ')} ${formatPaces(session.sets[0].paces)}`.trim();
+        case 'tempo':
+        case 'lsd':
+        case 'jog':
+            return [label, session.amount, formatPaces(session.paces)].filter(Boolean).join(' ');
+        case 'strides':
+            return session.reps ? `${label} ${session.distance ? `${session.distance}m` : ''}×${session.reps}` : label;
+        case 'rest':
+            return label;
+        default:
+            return session.text;
+    }
+}
+
+module.exports = {
+    SESSION_LABELS,
+    paceToSeconds,
+    parseDaySessions,
+    formatPaces,
+    summarizeSession
+};
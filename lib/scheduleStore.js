@@ -0,0 +1,276 @@
+/**
+ * 課表持久化存儲模組
+ * 以對話來源 (groupId / roomId / userId) 嚴格隔離存放已解析的課表，並依週期查詢
+ */
+const { loadJsonFile, saveJsonFile } = require('./dataStore');
+const { fromTaipeiParts, nearestYear, toDateKey } = require('./taipeiTime');
+const { SCHEDULE_CLEANUP, SCHEDULE_KEEP_DAYS, SCHEDULE_HISTORY_MAX } = require('./constants');
+
+const DB_FILE = 'schedules.json';
+
+// 暫存已解析的課表 (結構: Map<sourceId, Map<period, entry>>)
+// sourceId 可能是 groupId、roomId 或 userId
+const storageBySource = new Map();
+
+/**
+ * 舊版課表每組只存週四間歇的扁平欄位，轉為逐日的 days 結構
+ */
+function normalizeGroup(group) {
+    if (group.days) return group;
+    const { name, target, distance, reps, paces, lapTimes, rest, lapsPerRep } = group;
+    const set = { distance: parseInt(distance, 10), reps: String(reps).trim(), paces, lapTimes, lapsPerRep };
+    return { name, target: (target || '').trim(), days: [{ weekday: 4, sessions: [{ type: 'interval', sets: [set], rest, text: '' }] }] };
+}
+
+/**
+ * 舊版課表只有全馬組的 groups 陣列，統一轉為 divisions 結構；
+ * 舊版只存「MM/DD-MM/DD」字串的課表，依當初貼上的時間補上 ISO 起訖日期
+ * @param {Object} data - 課表資料
+ * @param {number} postedAt - 貼上時間 (timestamp)
+ */
+function normalizeSchedule(data, postedAt) {
+    if (!data) return data;
+    const { groups, ...rest } = data;
+    const divisions = data.divisions || [{ key: 'full', label: '全馬', groups: groups || [] }];
+    const dates = data.startDate ? {} : resolvePeriodDates(data.periodStr, new Date(postedAt));
+    return { ...rest, ...dates, divisions: divisions.map(d => ({ ...d, groups: d.groups.map(normalizeGroup) })) };
+}
+
+/**
+ * 將「MM/DD-MM/DD」週期字串換算為 ISO 起訖日期
+ * 有寫年份 (如「2026/12/28-01/03」) 就直接採用；沒寫時取起始日最接近貼上時間的那一年，
+ * 結束日早於起始日代表跨年 (例如 12/28-01/03)
+ * @param {string} periodStr - 週期字串
+ * @param {Date} postedAt - 課表貼上的時間
+ * @returns {{ startDate: string, endDate: string }|null}
+ */
+function resolvePeriodDates(periodStr, postedAt = new Date()) {
+    const match = (periodStr || '').match(/^(?:(\d{4})[/.-])?(\d{1,2})[/.](\d{1,2})\s*[~-]\s*(?:(\d{4})[/.-])?(\d{1,2})[/.](\d{1,2})$/);
+    if (!match) return null;
+    const [startMonth, startDay, endMonth, endDay] = [match[2], match[3], match[5], match[6]].map(Number);
+
+    const startYear = match[1] ? parseInt(match[1], 10) : nearestYear(startMonth, startDay, postedAt);
+    const start = fromTaipeiParts(startYear, startMonth, startDay, 12);
+    let end = fromTaipeiParts(match[4] ? parseInt(match[4], 10) : startYear, endMonth, endDay, 12);
+    if (end < start) end = fromTaipeiParts(startYear + 1, endMonth, endDay, 12);
+    return { startDate: toDateKey(start), endDate: toDateKey(end) };
+}
+
+/**
+ * 載入持久化存儲的課表
+ */
+function loadSchedulesFromDB() {
+    // data 結構: { sourceId: { startDate: entry, ... }, ... } (舊版以「MM/DD-MM/DD」為鍵值，載入時改以起始日期為鍵值)
+    const data = loadJsonFile(DB_FILE);
+    const oldestKept = toDateKey(new Date(Date.now() - SCHEDULE_KEEP_DAYS * 24 * 60 * 60 * 1000));
+    for (const [sourceId, periodsMap] of Object.entries(data)) {
+        const innerMap = new Map();
+        for (const entry of Object.values(periodsMap)) {
+            const schedule = normalizeSchedule(entry.data, entry.timestamp);
+            // 過濾掉明顯太舊的資料 (週期結束超過一個月就不載入；一次貼整個週期時未來的週次都會保留)
+            if (schedule?.startDate && schedule.endDate >= oldestKept) {
+                innerMap.set(schedule.startDate, { ...entry, data: schedule });
+            }
+        }
+        if (innerMap.size > 0) {
+            storageBySource.set(sourceId, innerMap);
+        }
+    }
+    console.log(`[系統通知] 載入共 ${storageBySource.size} 個來源單位的歷史課表。`);
+}
+
+/**
+ * 將目前課表快取存回持久化檔案
+ */
+function saveSchedulesToDB() {
+    const rootObj = {};
+    const now = Date.now();
+
+    for (const [sourceId, periodsMap] of storageBySource) {
+        // 找出該來源下最新的一筆更新紀錄
+        const latestEntryTimestamp = Math.max(...Array.from(periodsMap.values()).map(e => e.timestamp));
+
+        // 如果該來源下所有內容都超過一年沒動作，則不寫入檔案 (即變相清除)
+        if (now - latestEntryTimestamp > SCHEDULE_CLEANUP) {
+            console.log(`[維護清理] 來源 ${sourceId} 已超過一年無動作，正式移除其課表內容。`);
+            storageBySource.delete(sourceId);
+            continue;
+        }
+
+        rootObj[sourceId] = Object.fromEntries(periodsMap);
+    }
+    saveJsonFile(DB_FILE, rootObj);
+}
+
+// 啟動時立即載入
+loadSchedulesFromDB();
+
+/**
+ * 儲存解析結果到快取 (以 ISO 起始日期為鍵值，年份依貼上時間推算)
+ * 同一週期分次貼出不同大項 (例如先貼全馬組、再貼半馬組) 時合併保存，同大項則以新的為準
+ * @param {string} sourceId - 來源 ID
+ * @param {Object} parsed - parseSchedule() 的結果
+ * @param {Date} [postedAt] - 貼上時間
+ * @param {Date} [referenceDate] - 推算年份的基準日 (預設為貼上時間)
+ * @returns {{ data, previous }|null} data 為補上 startDate / endDate 的課表資料，previous 為被取代的上一版 (沒有則為 null)；
+ *          週期無法辨識時回傳 null
+ */
+function cacheSchedule(sourceId, parsed, postedAt = new Date(), referenceDate = postedAt) {
+    const dates = resolvePeriodDates(parsed.periodStr, referenceDate);
+    if (!dates || !sourceId) return null;
+
+    let periodsMap = storageBySource.get(sourceId);
+    if (!periodsMap) {
+        periodsMap = new Map();
+        storageBySource.set(sourceId, periodsMap);
+    }
+
+    const existing = periodsMap.get(dates.startDate);
+    const previous = existing?.data || null;
+    const keptDivisions = (previous?.divisions || []).filter(d => !parsed.divisions.some(n => n.key === d.key));
+    const data = { ...parsed, ...dates, divisions: [...parsed.divisions, ...keptDivisions] };
+
+    // 教練重貼修正版時保留舊版本 (內容完全相同的重貼不算新版本)
+    const changed = previous && JSON.stringify(previous.divisions) !== JSON.stringify(data.divisions);
+    const history = changed
+        ? [{ data: previous, timestamp: existing.timestamp }, ...(existing.history || [])].slice(0, SCHEDULE_HISTORY_MAX)
+        : existing?.history || [];
+
+    periodsMap.set(dates.startDate, { data, timestamp: postedAt.getTime(), history });
+    saveSchedulesToDB(); // 持久化存儲
+    return { data, previous: changed ? previous : null };
+}
+
+/**
+ * 依序儲存一次貼上的多週課表
+ * 第一週依貼上時間推算年份，之後每週以前一週的起始日為基準，跨年的週期 (12 月到隔年 1 月) 才不會算錯年
+ * @returns {Array<{ data, previous }>} 成功儲存的課表資料與被取代的上一版
+ */
+function cacheScheduleWeeks(sourceId, weeks, postedAt = new Date()) {
+    const saved = [];
+    let referenceDate = postedAt;
+    for (const parsed of weeks) {
+        const result = cacheSchedule(sourceId, parsed, postedAt, referenceDate);
+        if (!result) continue;
+        saved.push(result);
+        referenceDate = new Date(`${result.data.startDate}T12:00:00+08:00`);
+    }
+    return saved;
+}
+
+/**
+ * 取得某週課表被修正前的各個版本 (由新到舊)
+ * @param {string} sourceId - 來源 ID
+ * @param {string} startDate - 該週起始日期 (ISO)
+ * @returns {Array<{ data, timestamp }>}
+ */
+function getScheduleHistory(sourceId, startDate) {
+    return storageBySource.get(sourceId)?.get(startDate)?.history || [];
+}
+
+/**
+ * 檢查課表的起訖日期是否包含目標日期 (以台北日期比較)
+ * @param {Object} schedule - 課表資料 (需有 startDate / endDate)
+ * @param {Date} [targetDate] - 要檢查的目標日期 (若不傳則預設為今天)
+ */
+function isDateInSchedule(schedule, targetDate = new Date()) {
+    if (!schedule?.startDate) return false;
+    const key = toDateKey(targetDate);
+    return key >= schedule.startDate && key <= schedule.endDate;
+}
+
+/**
+ * 從快取取得已解析的課表 (相容舊邏輯，改為依來源抓取最新)
+ */
+function getCachedSchedule(sourceId) {
+    return getLatestSchedule(sourceId);
+}
+
+/**
+ * 取得特定來源「本週」或「最接近現在」的課表
+ */
+function getLatestSchedule(sourceId) {
+    if (!sourceId) return null;
+    const periodsMap = storageBySource.get(sourceId);
+    if (!periodsMap || periodsMap.size === 0) return null;
+
+    // 1. 優先找日期符合今天的
+    const entries = Array.from(periodsMap.values());
+    const current = entries.find(e => isDateInSchedule(e.data));
+    if (current) return current.data;
+
+    // 2. 若沒找到本週的，回傳起始日最接近今天的一份 (一次貼整個週期時不能只看貼上時間)
+    const today = Date.parse(toDateKey());
+    const sortedEntries = entries
+        .sort((a, b) => Math.abs(Date.parse(a.data.startDate) - today) - Math.abs(Date.parse(b.data.startDate) - today) || b.timestamp - a.timestamp);
+    return sortedEntries[0].data;
+}
+
+/**
+ * 取得特定來源包含目標日期的課表 (嚴格判定日期)
+ * @param {string} sourceId - 來源 ID
+ * @param {Date} targetDate - 目標日期
+ */
+function getThisWeekSchedule(sourceId, targetDate) {
+    if (!sourceId) return null;
+    const periodsMap = storageBySource.get(sourceId);
+    if (!periodsMap) return null;
+
+    for (const entry of periodsMap.values()) {
+        if (isDateInSchedule(entry.data, targetDate)) return entry.data;
+    }
+    return null;
+}
+
+/**
+ * 依起始日期取得特定來源的課表 (給 Flex 按鈕帶回的 period 使用)，找不到時回傳最近一份
+ * 舊版按鈕帶的是「MM/DD-MM/DD」字串，仍以週期字串比對
+ */
+function getScheduleByPeriod(sourceId, period) {
+    const periodsMap = storageBySource.get(sourceId);
+    const entry = periodsMap?.get(period) || [...(periodsMap?.values() || [])].find(e => e.data.periodStr === period);
+    return entry ? entry.data : getLatestSchedule(sourceId);
+}
+
+/**
+ * 列出特定來源保存中的所有課表 (依起始日期由舊到新，供行事曆匯出使用)
+ * @returns {Array<{ data, timestamp }>}
+ */
+function listSchedules(sourceId) {
+    const periodsMap = storageBySource.get(sourceId);
+    if (!periodsMap) return [];
+    return Array.from(periodsMap.values()).sort((a, b) => a.data.startDate.localeCompare(b.data.startDate));
+}
+
+/**
+ * 依大項與組別名稱取得組別資料
+ * 沒指定大項時，若只有一個大項有這組就直接使用，否則回傳候選大項讓使用者挑選
+ * @param {Object} parsed - 課表資料
+ * @param {string|null} divisionKey - 大項 key
+ * @param {string} groupName - 組別名稱 (如 "B")
+ * @returns {{ division, group }|{ candidates: Array }|null}
+ */
+function findGroup(parsed, divisionKey, groupName) {
+    const divisions = (parsed?.divisions || []).filter(d => !divisionKey || d.key === divisionKey);
+    const matches = divisions
+        .map(division => ({ division, group: division.groups.find(g => g.name === groupName) }))
+        .filter(m => m.group);
+    if (matches.length === 0) return null;
+    if (matches.length === 1) return matches[0];
+    return { candidates: matches.map(m => m.division) };
+}
+
+module.exports = {
+    normalizeSchedule,
+    cacheSchedule,
+    cacheScheduleWeeks,
+    getScheduleHistory,
+    getCachedSchedule,
+    getLatestSchedule,
+    getThisWeekSchedule,
+    getScheduleByPeriod,
+    isDateInSchedule,
+    resolvePeriodDates,
+    listSchedules,
+    findGroup
+};
@@ -0,0 +1,131 @@
+/**
+ * 課表格式範本模組
+ * 從 schedule.config.yaml 載入各跑團的課表寫法 (偵測關鍵字、大項 / 組別標頭、間歇與休息寫法)，
+ * 每個聊天室可用「stu 課表格式」指定範本，沒指定時依關鍵字自動挑選最吻合的範本
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadJsonFile, saveJsonFile, serializeWithCleanup } = require('./dataStore');
+const { DIVISIONS, DEFAULT_TEMPLATE, countTemplateKeywords, isTrainingSchedule, parseScheduleWeeks } = require('./schedule');
+
+const CONFIG_FILE = path.resolve(__dirname, '../schedule.config.yaml');
+const DB_FILE = 'schedule_formats.json';
+const PATTERN_FIELDS = ['weekHeader', 'divisionHeader', 'groupHeader', 'intervalPattern', 'restPattern'];
+
+function compilePattern(source, label) {
+    try {
+        return new RegExp(source, 'i');
+    } catch (e) {
+        console.warn(`[課表範本] ${label} 的正規表達式無效，改用內建設定:`, e.message);
+        return null;
+    }
+}
+
+/**
+ * 將 YAML 中的範本設定轉為解析器使用的範本物件 (沒設定的欄位沿用內建範本)
+ */
+function compileTemplate(raw) {
+    const key = String(raw.key);
+    const template = { ...DEFAULT_TEMPLATE, key, name: raw.name || key };
+    if (Array.isArray(raw.keywords)) template.keywords = raw.keywords.map(String);
+    if (raw.minMatches) template.minMatches = Number(raw.minMatches);
+    if (raw.defaultDivision && DIVISIONS.some(d => d.key === raw.defaultDivision)) template.defaultDivision = raw.defaultDivision;
+
+    if (raw.divisions && typeof raw.divisions === 'object') {
+        template.divisions = DIVISIONS
+            .filter(d => raw.divisions[d.key])
+            .map(d => ({ ...d, pattern: compilePattern(raw.divisions[d.key], `${key}.divisions.${d.key}`) || d.pattern }));
+        const sources = template.divisions.map(d => `(?:${d.pattern.source})`).join('|');
+        template.divisionHeader = new RegExp(`(${sources})\\s*(?:組|班)`, 'i');
+    }
+    for (const field of PATTERN_FIELDS) {
+        if (raw[field]) template[field] = compilePattern(raw[field], `${key}.${field}`) || template[field];
+    }
+    return template;
+}
+
+function loadTemplates() {
+    try {
+        const config = yaml.load(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        const templates = (config?.templates || []).filter(t => t?.key).map(compileTemplate);
+        if (!templates.some(t => t.key === DEFAULT_TEMPLATE.key)) templates.unshift(DEFAULT_TEMPLATE);
+        console.log(`[系統通知] 載入 ${templates.length} 個課表格式範本：${templates.map(t => t.key).join(', ')}`);
+        return templates;
+    } catch (e) {
+        console.log('找不到 schedule.config.yaml (或格式錯誤)，只使用內建課表格式。');
+        return [DEFAULT_TEMPLATE];
+    }
+}
+
+const TEMPLATES = loadTemplates();
+
+// 各聊天室指定的範本 (結構: Map<sourceId, { template, updatedAt }>)，沒有紀錄即為自動判斷
+const formatsBySource = new Map(Object.entries(loadJsonFile(DB_FILE)));
+
+function saveFormatsToDB() {
+    saveJsonFile(DB_FILE, serializeWithCleanup(formatsBySource, '課表格式設定'));
+}
+
+function getTemplate(key) {
+    return TEMPLATES.find(t => t.key === key) || null;
+}
+
+/**
+ * 以適用的範本解析貼上的課表
+ * 聊天室有指定範本時優先使用，其餘認得這份課表的範本依命中關鍵字數由多到少依序嘗試
+ * @returns {{ template: Object|null, weeks: Array }} template 為認得這份課表的範本 (都不認得時為 null)
+ */
+function parsePastedSchedule(sourceId, text) {
+    const chosen = getTemplate(formatsBySource.get(sourceId)?.template);
+    const candidates = [
+        ...(chosen && isTrainingSchedule(text, chosen) ? [chosen] : []),
+        ...TEMPLATES
+            .filter(t => t !== chosen && isTrainingSchedule(text, t))
+            .sort((a, b) => countTemplateKeywords(text, b) - countTemplateKeywords(text, a))
+    ];
+    for (const template of candidates) {
+        const weeks = parseScheduleWeeks(text, template);
+        if (weeks.length > 0) return { template, weeks };
+    }
+    return { template: candidates[0] || null, weeks: [] };
+}
+
+function describeTemplates(sourceId) {
+    const current = formatsBySource.get(sourceId)?.template;
+    const lines = TEMPLATES.map(t => `・${t.key}｜${t.name}${t.key === current ? ' ✅' : ''}`);
+    return `📋 課表格式範本：\n${lines.join('\n')}\n\n目前：${getTemplate(current)?.name || '自動判斷'}\n說「stu 課表格式 <代號>」指定範本，「stu 課表格式 自動」恢復自動判斷。`;
+}
+
+/**
+ * 「課表格式」：列出範本；「課表格式 english」：指定此聊天室使用的範本；「課表格式 自動」：恢復自動判斷
+ * @param {Object} ctx - { text, sourceId, sendMessage }
+ * @returns {Promise|null} 若不是課表格式指令則回傳 null
+ */
+function handleScheduleFormatCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    const match = body.match(/^課表(?:格式|範本)\s*(.*)$/);
+    if (!match) return null;
+
+    const arg = match[1].trim();
+    if (!arg) return ctx.sendMessage({ type: 'text', text: describeTemplates(ctx.sourceId) });
+
+    if (/^(?:自動|auto)$/i.test(arg)) {
+        formatsBySource.delete(ctx.sourceId);
+        saveFormatsToDB();
+        return ctx.sendMessage({ type: 'text', text: '好的！之後貼課表會自動判斷格式 🍌' });
+    }
+
+    const template = TEMPLATES.find(t => t.key.toLowerCase() === arg.toLowerCase() || t.name.startsWith(arg));
+    if (!template) {
+        return ctx.sendMessage({ type: 'text', text: `找不到「${arg}」這個範本耶～\n\n${describeTemplates(ctx.sourceId)}` });
+    }
+    formatsBySource.set(ctx.sourceId, { template: template.key, updatedAt: Date.now() });
+    saveFormatsToDB();
+    return ctx.sendMessage({ type: 'text', text: `Banana! 🍌 這個聊天室之後貼的課表會優先用「${template.name}」解析。` });
+}
+
+module.exports = {
+    parsePastedSchedule,
+    handleScheduleFormatCommand
+};
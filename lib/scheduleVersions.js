@@ -0,0 +1,131 @@
+/**
+ * 課表修正版比對與版本紀錄模組
+ * 教練重貼同一週的修正版課表時，逐組比對新舊內容 (距離、趟數、配速、休息) 並回覆變更摘要；
+ * 舊版本保存在 scheduleStore 的 history 中，可用「上一版課表」查看
+ */
+const { WEEKDAY_NAMES, formatTaipeiTime } = require('./taipeiTime');
+const { isGroupSelection, isDivisionSelection } = require('./schedule');
+const { summarizeSession } = require('./scheduleSessions');
+const { getCachedSchedule, getScheduleHistory, findGroup } = require('./scheduleStore');
+const { formatGroupResult, buildGroupQuickReply, buildScheduleQuickReply } = require('./scheduleFormat');
+const { getMyGroup } = require('./myGroup');
+const { SCHEDULE_CHANGE_MAX_LINES } = require('./constants');
+
+// 熱身、無法辨識的內容不列入比對 (重貼時常有措辭調整)
+const COMPARED_TYPES = ['interval', 'tempo', 'lsd', 'jog', 'strides', 'rest'];
+
+/**
+ * 間歇的比對摘要 (如 "800×10 @4:05 R:90")，其餘項目沿用一般摘要
+ */
+function describeSession(session) {
+    if (session.type !== 'interval') return summarizeSession(session);
+    const sets = session.sets.map(set => {
+        const paces = set.paces.length > 1 ? `${set.paces[0]}~${set.paces[set.paces.length - 1]}` : set.paces[0];
+        return `${set.distance}×${set.reps}${paces ? ` @${paces}` : ''}`;
+    }).join(' + ');
+    return session.rest ? `${sets} R:${session.rest}` : sets;
+}
+
+function describeDay(group, weekday) {
+    const day = group?.days.find(d => d.weekday === weekday);
+    const sessions = (day?.sessions || []).filter(s => COMPARED_TYPES.includes(s.type));
+    return sessions.map(describeSession).join('、');
+}
+
+/**
+ * 比對同一週新舊兩版課表，列出每組有變動的訓練日
+ * @returns {Array<string>} 變更摘要 (如 "B組 週四 改為 800×10 @4:05（原 1000×5 @4:10）")
+ */
+function diffSchedules(previous, next) {
+    const changes = [];
+    const showDivision = next.divisions.length > 1;
+    for (const division of next.divisions) {
+        const oldDivision = previous.divisions.find(d => d.key === division.key);
+        if (!oldDivision) continue;
+        const prefix = showDivision ? division.label : '';
+
+        for (const group of division.groups) {
+            const oldGroup = oldDivision.groups.find(g => g.name === group.name);
+            if (!oldGroup) {
+                changes.push(`${prefix}${group.name}組 新增`);
+                continue;
+            }
+            const weekdays = [...new Set([...oldGroup.days, ...group.days].map(d => d.weekday))]
+                .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)); // 週一排最前
+            for (const weekday of weekdays) {
+                const [before, after] = [describeDay(oldGroup, weekday), describeDay(group, weekday)];
+                if (before === after) continue;
+                changes.push(`${prefix}${group.name}組 週${WEEKDAY_NAMES[weekday]} ${after ? `改為 ${after}` : '取消'}${before ? `（原 ${before}）` : ''}`);
+            }
+        }
+        oldDivision.groups
+            .filter(g => !division.groups.some(n => n.name === g.name))
+            .forEach(g => changes.push(`${prefix}${g.name}組 已移除`));
+    }
+    return changes;
+}
+
+/**
+ * 將重貼課表的比對結果組成回覆文字
+ * @param {Array<{ data, previous }>} saved - cacheScheduleWeeks() 的結果
+ * @returns {string|null} 沒有任何修正時回傳 null
+ */
+function formatChangeSummary(saved) {
+    const sections = saved
+        .filter(s => s.previous)
+        .map(s => ({ data: s.data, changes: diffSchedules(s.previous, s.data) }))
+        .filter(s => s.changes.length > 0);
+    if (sections.length === 0) return null;
+
+    const lines = sections.flatMap(s => [`📌 ${s.data.weekLabel} (${s.data.periodStr})`, ...s.changes.map(c => `・${c}`)]);
+    const shown = lines.slice(0, SCHEDULE_CHANGE_MAX_LINES);
+    if (lines.length > shown.length) shown.push(`…還有 ${lines.length - shown.length} 項`);
+    return `📝 課表有修正！\n${shown.join('\n')}\n\n說「stu 上一版課表」可以查看修正前的內容。`;
+}
+
+/**
+ * 「上一版課表」/「上一版課表B組」：查看本週課表修正前的版本
+ * 指定或已登記組別時回覆該組的舊版內容，否則列出與目前版本的差異並讓使用者選組
+ * @param {Object} ctx - { text, sourceId, userId, sendMessage }
+ * @returns {Promise|null} 若不是上一版課表指令則回傳 null
+ */
+function handleScheduleVersionCommand(ctx) {
+    const body = ctx.text.replace(/史都華|stuart|stu/ig, '').trim();
+    if (!/^(?:上一版|舊版|修正前)(?:的)?課表/.test(body)) return null;
+
+    const current = getCachedSchedule(ctx.sourceId);
+    const [older] = current ? getScheduleHistory(ctx.sourceId, current.startDate) : [];
+    if (!older) {
+        return ctx.sendMessage({ type: 'text', text: '這週的課表沒有修正過，目前就是唯一的版本喔 🍌' });
+    }
+
+    const header = `🕘 上一版課表｜${formatTaipeiTime(new Date(older.timestamp))} 貼上`;
+    const rest = body.replace(/^(?:上一版|舊版|修正前)(?:的)?/, '');
+    const selection = isGroupSelection(rest) || getMyGroup(ctx.sourceId, ctx.userId);
+    const found = selection?.group ? findGroup(older.data, selection.division, selection.group) : null;
+    if (found && !found.candidates) {
+        return ctx.sendMessage({ type: 'text', text: `${header}\n${formatGroupResult(older.data, found.division, found.group)}` });
+    }
+
+    const division = older.data.divisions.find(d => d.key === isDivisionSelection(rest));
+    if (division) {
+        return ctx.sendMessage({
+            type: 'text',
+            text: `要看上一版${division.label}的哪一組？👇`,
+            quickReply: { items: buildGroupQuickReply(division, '上一版') }
+        });
+    }
+
+    const changes = diffSchedules(older.data, current);
+    return ctx.sendMessage({
+        type: 'text',
+        text: `${header}\n與目前版本的差異：\n${changes.slice(0, SCHEDULE_CHANGE_MAX_LINES).map(c => `・${c}`).join('\n') || '・訓練內容相同'}\n\n要看哪一組的舊版內容？👇`,
+        quickReply: { items: buildScheduleQuickReply(older.data, '上一版') }
+    });
+}
+
+module.exports = {
+    diffSchedules,
+    formatChangeSummary,
+    handleScheduleVersionCommand
+};
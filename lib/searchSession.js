@@ -0,0 +1,45 @@
+/**
+ * 餐廳搜尋 Session 模組
+ * 記住每個來源最近一次的餐廳搜尋 (尚未推薦的候選店家、next_page_token 與已推薦過的店家)，
+ * 讓「再推薦幾家」能接著推薦下一批而不重複。Session 以 groupId / roomId / userId 隔離，逾時即失效。
+ */
+const { SEARCH_SESSION_TTL_MS } = require('./constants');
+
+// 結構: Map<sourceId, { pager, expiresAt }>
+const sessionsBySource = new Map();
+
+/**
+ * 儲存 (覆蓋) 此來源的搜尋 Session，並順便清掉其他已過期的 Session
+ * @param {string} sourceId - groupId / roomId / userId
+ * @param {Object} pager - places.js 回傳的分頁狀態
+ */
+function saveSearchSession(sourceId, pager) {
+    const now = Date.now();
+    for (const [id, session] of sessionsBySource) {
+        if (session.expiresAt <= now) sessionsBySource.delete(id);
+    }
+    sessionsBySource.set(sourceId, { pager, expiresAt: now + SEARCH_SESSION_TTL_MS });
+}
+
+/**
+ * 取得此來源仍有效的分頁狀態 (過期或不存在時回傳 null)
+ */
+function getSearchSession(sourceId) {
+    const session = sessionsBySource.get(sourceId);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+        sessionsBySource.delete(sourceId);
+        return null;
+    }
+    return session.pager;
+}
+
+function clearSearchSession(sourceId) {
+    sessionsBySource.delete(sourceId);
+}
+
+module.exports = {
+    saveSearchSession,
+    getSearchSession,
+    clearSearchSession
+};
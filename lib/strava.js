@@ -1,5 +1,8 @@
 const fetch = require('node-fetch');
 
+// Strava 活動網址或 App 分享短網址
+const STRAVA_LINK_PATTERN = /(?:https?:\/\/)?(?:www\.)?(?:strava\.com\/activities\/\d+|strava\.app\.link\/\w+)/i;
+
 /**
  * 計算陣列平均值
  */
@@ -56,123 +59,139 @@ async function fetchWeather(lat, lng, localTimeStr) {
 }
 
 /**
- * 給定一個可能是 Strava 分享網址的字串，進行發送請求並解析網頁
+ * 下載 Strava 分享頁面，取出 OGP 摘要與頁面內嵌的活動資料 (__NEXT_DATA__)
+ * @returns {Promise<{ title: string, description: string, activity: Object|null }|null>} 不是 Strava 網址或下載失敗時回傳 null
  */
-async function extractStravaStats(url) {
-    if (!url) return '';
+async function fetchStravaActivity(url) {
+    if (!url) return null;
     url = url.trim();
 
     if (!/(strava\.app\.link|strava\.com\/activities)/i.test(url)) {
-        return '';
+        return null;
     }
 
-    try {
-        const res = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-            },
-            timeout: 5000
-        });
+    const res = await fetch(url, {
+        method: 'GET',
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+        },
+        timeout: 5000
+    });
+
+    if (!res.ok) {
+        console.log(`Strava 網址解析失敗，HTTP 狀態碼: ${res.status}`);
+        return null;
+    }
 
-        if (!res.ok) {
-            console.log(`Strava 網址解析失敗，HTTP 狀態碼: ${res.status}`);
-            return '';
-        }
+    const html = await res.text();
 
-        const html = await res.text();
+    // 1. 萃取 OGP 摘要 (基本資料)
+    let title = '';
+    const titleMatch = html.match(/<meta\s+(?:property|name)="og:title"\s+content="([^"]+)"/i) ||
+        html.match(/<meta\s+content="([^"]+)"\s+(?:property|name)="og:title"/i);
+    if (titleMatch && titleMatch[1]) {
+        title = titleMatch[1].replace(/&#x27;/g, "'").replace(/&quot;/g, '"');
+    }
 
-        // 1. 萃取 OGP 摘要 (基本資料)
-        let title = '';
-        const titleMatch = html.match(/<meta\s+(?:property|name)="og:title"\s+content="([^"]+)"/i) ||
-            html.match(/<meta\s+content="([^"]+)"\s+(?:property|name)="og:title"/i);
-        if (titleMatch && titleMatch[1]) {
-            title = titleMatch[1].replace(/&#x27;/g, "'").replace(/&quot;/g, '"');
-        }
+    let description = '';
+    const descMatch = html.match(/<meta\s+(?:property|name)="og:description"\s+content="([^"]+)"/i) ||
+        html.match(/<meta\s+content="([^"]+)"\s+(?:property|name)="og:description"/i);
+    if (descMatch && descMatch[1]) {
+        description = descMatch[1].replace(/&#x27;/g, "'").replace(/&quot;/g, '"');
+    }
 
-        let description = '';
-        const descMatch = html.match(/<meta\s+(?:property|name)="og:description"\s+content="([^"]+)"/i) ||
-            html.match(/<meta\s+content="([^"]+)"\s+(?:property|name)="og:description"/i);
-        if (descMatch && descMatch[1]) {
-            description = descMatch[1].replace(/&#x27;/g, "'").replace(/&quot;/g, '"');
+    // 2. 嘗試解析 React 隱藏 State 以取得進階數據 (距離、時間、Elev, HR, Cadence, Weather)
+    let activity = null;
+    const nextDataMatch = html.match(/<script id="__NEXT_DATA__" type="application\/json">([\s\S]*?)<\/script>/i);
+    if (nextDataMatch && nextDataMatch[1]) {
+        try {
+            activity = JSON.parse(nextDataMatch[1])?.props?.pageProps?.activity || null;
+        } catch (e) {
+            console.log('解析 Strava 進階資料 JSON 失敗:', e.message);
         }
+    }
+
+    return { title, description, activity };
+}
+
+/**
+ * 給定一個可能是 Strava 分享網址的字串，進行發送請求並解析網頁
+ * @param {Object} [fetchedPage] - 已下載的 fetchStravaActivity() 結果 (避免重複下載同一頁)；跑錶檔案解析結果亦同格式，並以 source 標示來源
+ */
+async function extractStravaStats(url, fetchedPage = null) {
+    try {
+        const page = fetchedPage || await fetchStravaActivity(url);
+        if (!page) return '';
+        const { title, description, activity } = page;
 
-        // 2. 嘗試解析 React 隱藏 State 以取得進階數據 (Elev, HR, Cadence, Weather)
         let advancedStats = [];
-        const nextDataMatch = html.match(/<script id="__NEXT_DATA__" type="application\/json">([\s\S]*?)<\/script>/i);
-
-        if (nextDataMatch && nextDataMatch[1]) {
-            try {
-                const nextData = JSON.parse(nextDataMatch[1]);
-                const activity = nextData?.props?.pageProps?.activity;
-
-                if (activity) {
-                    // 跑者姓名 (Athlete Name)
-                    if (activity.athlete) {
-                        const runnerName = `${activity.athlete.lastName || ''} ${activity.athlete.firstName || ''}`.trim();
-                        if (runnerName) {
-                            advancedStats.push(`跑者: ${runnerName}`);
-                        }
+        try {
+            if (activity) {
+                // 跑者姓名 (Athlete Name)
+                if (activity.athlete) {
+                    const runnerName = `${activity.athlete.lastName || ''} ${activity.athlete.firstName || ''}`.trim();
+                    if (runnerName) {
+                        advancedStats.push(`跑者: ${runnerName}`);
                     }
+                }
 
-                    // 距離、時間、爬升 (Scalars)
-                    if (activity.scalars) {
-                        if (activity.scalars.distance) {
-                            const distKm = (activity.scalars.distance / 1000).toFixed(2);
-                            advancedStats.push(`距離: ${distKm} km`);
-
-                            // 藉由 distance 與 movingTime 算配速
-                            if (activity.scalars.movingTime) {
-                                const timeSecs = activity.scalars.movingTime;
-                                const paceSecs = Math.round(timeSecs / (activity.scalars.distance / 1000));
-                                const paceMins = Math.floor(paceSecs / 60);
-                                const paceRemainSecs = (paceSecs % 60).toString().padStart(2, '0');
-                                advancedStats.push(`配速: ${paceMins}:${paceRemainSecs} /km`);
-
-                                const timeMins = Math.floor(timeSecs / 60);
-                                const timeHrs = Math.floor(timeMins / 60);
-                                const remainMins = timeMins % 60;
-                                advancedStats.push(`移動時間: ${timeHrs > 0 ? timeHrs + 'h ' : ''}${remainMins}m`);
-                            }
-                        }
-
-                        if (activity.scalars.elevationGain !== undefined) {
-                            advancedStats.push(`總爬升: ${activity.scalars.elevationGain}m`);
+                // 距離、時間、爬升 (Scalars)
+                if (activity.scalars) {
+                    if (activity.scalars.distance) {
+                        const distKm = (activity.scalars.distance / 1000).toFixed(2);
+                        advancedStats.push(`距離: ${distKm} km`);
+
+                        // 藉由 distance 與 movingTime 算配速
+                        if (activity.scalars.movingTime) {
+                            const timeSecs = activity.scalars.movingTime;
+                            const paceSecs = Math.round(timeSecs / (activity.scalars.distance / 1000));
+                            const paceMins = Math.floor(paceSecs / 60);
+                            const paceRemainSecs = (paceSecs % 60).toString().padStart(2, '0');
+                            advancedStats.push(`配速: ${paceMins}:${paceRemainSecs} /km`);
+
+                            const timeMins = Math.floor(timeSecs / 60);
+                            const timeHrs = Math.floor(timeMins / 60);
+                            const remainMins = timeMins % 60;
+                            advancedStats.push(`移動時間: ${timeHrs > 0 ? timeHrs + 'h ' : ''}${remainMins}m`);
                         }
                     }
 
-                    // 步頻、心率、功率 (從 streams 擷取並算平均)
-                    if (activity.streams) {
-                        const avgHr = calculateAverage(activity.streams.heartrate);
-                        if (avgHr) advancedStats.push(`平均心率: ${avgHr} bpm`);
+                    if (activity.scalars.elevationGain !== undefined) {
+                        advancedStats.push(`總爬升: ${activity.scalars.elevationGain}m`);
+                    }
+                }
 
-                        const avgCadence = calculateAverage(activity.streams.cadence);
-                        if (avgCadence) {
-                            // Strava 步頻如果是跑步通常是單腳，因此乘以 2 換算成大眾熟悉的 SPM
-                            // 這裡直接提供原始值跟兩倍值給 AI 判斷
-                            advancedStats.push(`平均步頻(單/雙腳): ${avgCadence} / ${avgCadence * 2} spm`);
-                        }
+                // 步頻、心率、功率 (從 streams 擷取並算平均)
+                if (activity.streams) {
+                    const avgHr = calculateAverage(activity.streams.heartrate);
+                    if (avgHr) advancedStats.push(`平均心率: ${avgHr} bpm`);
 
-                        const avgWatts = calculateAverage(activity.streams.watts);
-                        if (avgWatts) advancedStats.push(`平均功率: ${avgWatts} W`);
+                    const avgCadence = calculateAverage(activity.streams.cadence);
+                    if (avgCadence) {
+                        // Strava 步頻如果是跑步通常是單腳，因此乘以 2 換算成大眾熟悉的 SPM
+                        // 這裡直接提供原始值跟兩倍值給 AI 判斷
+                        advancedStats.push(`平均步頻(單/雙腳): ${avgCadence} / ${avgCadence * 2} spm`);
                     }
 
-                    // 天氣 (Weather)
-                    if (activity.weather) {
-                        advancedStats.push(`天氣: ${activity.weather}`);
-                    } else if (activity.streams && activity.streams.location && activity.streams.location.length > 0 && activity.startLocal) {
-                        // 如果 Strava 沒記天氣，嘗試用當地時間與座標打外部 API 查天氣
-                        const startLoc = activity.streams.location[0]; // { lat, lng }
-                        if (startLoc.lat && startLoc.lng) {
-                            const extWeather = await fetchWeather(startLoc.lat, startLoc.lng, activity.startLocal);
-                            if (extWeather) advancedStats.push(`(外部氣象局) 當時天氣: ${extWeather}`);
-                        }
+                    const avgWatts = calculateAverage(activity.streams.watts);
+                    if (avgWatts) advancedStats.push(`平均功率: ${avgWatts} W`);
+                }
+
+                // 天氣 (Weather)
+                if (activity.weather) {
+                    advancedStats.push(`天氣: ${activity.weather}`);
+                } else if (activity.streams && activity.streams.location && activity.streams.location.length > 0 && activity.startLocal) {
+                    // 如果 Strava 沒記天氣，嘗試用當地時間與座標打外部 API 查天氣
+                    const startLoc = activity.streams.location[0]; // { lat, lng }
+                    if (startLoc.lat && startLoc.lng) {
+                        const extWeather = await fetchWeather(startLoc.lat, startLoc.lng, activity.startLocal);
+                        if (extWeather) advancedStats.push(`(外部氣象局) 當時天氣: ${extWeather}`);
                     }
                 }
-            } catch (e) {
-                console.log('解析 Strava 進階資料 JSON 失敗:', e.message);
             }
+        } catch (e) {
+            console.log('整理 Strava 進階資料失敗:', e.message);
         }
 
         if (!title && !description) {
@@ -180,12 +199,12 @@ async function extractStravaStats(url) {
             return '';
         }
 
-        let result = `[這是一份 Strava 的運動紀錄數據]\n活動名稱：${title || '無標題'}\n基本防護數據：${description || '無摘要'}`;
+        let result = `[這是一份 ${page.source || 'Strava'} 的運動紀錄數據]\n活動名稱：${title || '無標題'}\n基本防護數據：${description || '無摘要'}`;
         if (advancedStats.length > 0) {
             result += `\n進階教練分析數據：${advancedStats.join(', ')}`;
         }
 
-        console.log(`[Strava 解析成功] 標題: ${title}`);
+        console.log(`[${page.source || 'Strava'} 解析成功] 標題: ${title}`);
         return result;
 
     } catch (err) {
@@ -195,5 +214,7 @@ async function extractStravaStats(url) {
 }
 
 module.exports = {
+    STRAVA_LINK_PATTERN,
+    fetchStravaActivity,
     extractStravaStats
 };
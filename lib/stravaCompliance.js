@@ -0,0 +1,207 @@
+/**
+ * Strava 間歇達成檢查模組
+ * 跑者分享 Strava 活動時，取出頁面內嵌的分圈 (laps)，對照快取課表中該跑者組別當天的間歇趟數與目標配速，
+ * 由程式產生逐趟達成表 (實際 vs 目標、達標 / 偏快 / 偏慢、穩定度)；AI 只負責後面的鼓勵與建議
+ */
+const { formatDuration } = require('./pace');
+const { WEEKDAY_NAMES, getTaipeiParts, fromTaipeiParts } = require('./taipeiTime');
+const { paceToSeconds, summarizeSession } = require('./scheduleSessions');
+const { getThisWeekSchedule, findGroup } = require('./scheduleStore');
+const { getMyGroup, listMyGroups } = require('./myGroup');
+const { fetchStravaActivity, extractStravaStats } = require('./strava');
+const { recordActivity } = require('./leaderboard');
+const { analyzeHeartRate } = require('./heartRate');
+const {
+    COMPLIANCE_DISTANCE_TOLERANCE, COMPLIANCE_PACE_TOLERANCE_SEC, COMPLIANCE_RECOVERY_PACE_MARGIN_SEC, COMPLIANCE_MAX_REP_LINES,
+    COMPLIANCE_STDEV_BOUNDS
+} = require('./constants');
+
+const LAP_FIELDS = ['laps', 'lapEfforts', 'lap_efforts'];
+const STATUS_LABELS = { within: '✅ 達標', fast: '⚡ 偏快', slow: '🐢 偏慢', none: '—' };
+
+/**
+ * 取出活動的分圈資料 (各版本 Strava 頁面的欄位名稱不同，盡量寬鬆地讀取)
+ * @returns {Array<{ distance: number, seconds: number }>} distance 為公尺
+ */
+function extractLaps(activity) {
+    const raw = LAP_FIELDS.map(field => activity?.[field]).find(Array.isArray) || [];
+    return raw.map(lap => {
+        const scalars = lap.scalars || lap;
+        return {
+            distance: Number(scalars.distance),
+            seconds: Number(scalars.movingTime ?? scalars.moving_time ?? scalars.elapsedTime ?? scalars.elapsed_time)
+        };
+    }).filter(lap => lap.distance > 0 && lap.seconds > 0);
+}
+
+/**
+ * 活動開始日期 (Strava 的 startLocal 為當地時間字串，如 "2026-03-01T09:36:46")
+ */
+function resolveActivityDate(activity) {
+    const match = String(activity?.startLocal || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) {
+        const today = getTaipeiParts(new Date());
+        return fromTaipeiParts(today.year, today.month, today.day, 12);
+    }
+    return fromTaipeiParts(Number(match[1]), Number(match[2]), Number(match[3]), 12);
+}
+
+/**
+ * 將間歇項目展開成逐趟目標 (趟數寫範圍如 "8~10" 時，超過下限的趟數為選做)
+ */
+function expandTargetReps(session) {
+    return session.sets.flatMap(set => {
+        const [min, max] = String(set.reps).split('~').map(n => parseInt(n, 10));
+        const paces = set.paces.map(paceToSeconds).filter(Boolean);
+        const range = paces.length > 0 ? [Math.min(...paces), Math.max(...paces)] : null;
+        return Array.from({ length: max || min || 0 }, (_, i) => ({ distance: set.distance, range, optional: i >= min }));
+    });
+}
+
+/**
+ * 依序把分圈對應到課表的每一趟：距離相近、且不是休息慢跑的分圈才算一趟
+ */
+function matchLapsToReps(laps, targets) {
+    const results = [];
+    let cursor = 0;
+    for (const target of targets) {
+        while (cursor < laps.length) {
+            const lap = laps[cursor++];
+            const pace = lap.seconds * 1000 / lap.distance;
+            const closeDistance = Math.abs(lap.distance - target.distance) <= target.distance * COMPLIANCE_DISTANCE_TOLERANCE;
+            const isRecovery = target.range && pace > target.range[1] + COMPLIANCE_RECOVERY_PACE_MARGIN_SEC;
+            if (closeDistance && !isRecovery) {
+                results.push({ target, lap, pace, status: judgePace(pace, target.range) });
+                break;
+            }
+        }
+        if (cursor >= laps.length) break;
+    }
+    return results;
+}
+
+function findIntervalSession(group, weekday) {
+    return group.days.find(d => d.weekday === weekday)?.sessions.find(s => s.type === 'interval') || null;
+}
+
+function judgePace(pace, range) {
+    if (!range) return 'none';
+    if (pace < range[0] - COMPLIANCE_PACE_TOLERANCE_SEC) return 'fast';
+    if (pace > range[1] + COMPLIANCE_PACE_TOLERANCE_SEC) return 'slow';
+    return 'within';
+}
+
+/**
+ * 穩定度：各趟配速的最大差距與標準差 (秒/公里)
+ */
+function describeConsistency(paces) {
+    if (paces.length < 2) return null;
+    const mean = paces.reduce((sum, p) => sum + p, 0) / paces.length;
+    const stdev = Math.sqrt(paces.reduce((sum, p) => sum + (p - mean) ** 2, 0) / paces.length);
+    const spread = Math.max(...paces) - Math.min(...paces);
+    const verdict = stdev <= COMPLIANCE_STDEV_BOUNDS[0] ? '非常穩定 👍' : stdev <= COMPLIANCE_STDEV_BOUNDS[1] ? '還算穩定' : '起伏較大，下次試著平均分配體力';
+    return `📈 穩定度：最快最慢差 ${Math.round(spread)} 秒/km，標準差 ${stdev.toFixed(1)} 秒 → ${verdict}`;
+}
+
+/**
+ * 對照跑者組別當天的間歇課表，產生逐趟達成表
+ * @returns {{ text: string, summary: string }|{ hint: string }|null} 不是間歇日或沒有分圈資料時回傳 null (私訊沒有課表時回傳提示)
+ */
+function checkIntervalCompliance(activity, sourceId, userId) {
+    const laps = extractLaps(activity);
+    if (laps.length === 0) return null;
+
+    const date = resolveActivityDate(activity);
+    const weekday = date.getUTCDay();
+    const schedule = getThisWeekSchedule(sourceId, date);
+    if (!schedule) {
+        // 課表依聊天室存放，私訊沒有課表；跑友登記的組別當天有間歇時，提醒改到群組分享
+        const isIntervalDay = sourceId === userId && listMyGroups(userId).some(r => {
+            const found = findGroup(getThisWeekSchedule(r.sourceId, date), r.division, r.group);
+            return found && !found.candidates && findIntervalSession(found.group, weekday);
+        });
+        return isIntervalDay ? { hint: '私訊裡沒有課表可以對照，想要逐趟檢查間歇的話，請把 Strava 分享到跑團群組並呼叫史都華喔！' } : null;
+    }
+
+    const mine = getMyGroup(sourceId, userId);
+    const found = mine ? findGroup(schedule, mine.division, mine.group) : null;
+    if (!found || found.candidates) {
+        // 當天有間歇課表才提示登記組別，避免每次分享輕鬆跑都被提醒
+        const isIntervalDay = schedule.divisions.some(d => d.groups.some(g => findIntervalSession(g, weekday)));
+        return isIntervalDay ? { hint: '想要逐趟對照課表的話，先用「stu 我是B組」登記組別，之後分享 Strava 就會自動檢查喔！' } : null;
+    }
+
+    const session = findIntervalSession(found.group, weekday);
+    if (!session) return null;
+
+    const targets = expandTargetReps(session);
+    const results = matchLapsToReps(laps, targets);
+    const header = `📊 間歇達成檢查｜${found.division.label}${found.group.name}組 週${WEEKDAY_NAMES[weekday]}\n課表：${summarizeSession(session)}${session.rest ? ` R:${session.rest}` : ''}`;
+    if (results.length === 0) {
+        return { hint: `${header}\n\n分圈距離對不上課表的趟數耶～間歇時記得每趟手動按 Lap，教練才能逐趟幫你檢查！` };
+    }
+
+    const lines = results.slice(0, COMPLIANCE_MAX_REP_LINES).map((r, i) => {
+        const [fastest, slowest] = r.target.range || [];
+        const target = !r.target.range ? '' : `目標 ${fastest === slowest ? formatDuration(fastest) : `${formatDuration(fastest)}~${formatDuration(slowest)}`}`;
+        return `#${i + 1} ${Math.round(r.lap.distance)}m ${formatDuration(Math.round(r.lap.seconds))}｜${formatDuration(Math.round(r.pace))}/km ${target}｜${STATUS_LABELS[r.status]}`;
+    });
+    const counts = ['within', 'fast', 'slow'].map(status => results.filter(r => r.status === status).length);
+    const required = targets.filter(t => !t.optional).length;
+    const tally = `✅ 達標 ${counts[0]}｜⚡ 偏快 ${counts[1]}｜🐢 偏慢 ${counts[2]} (完成 ${results.length}/${required} 趟)`;
+    const consistency = describeConsistency(results.map(r => r.pace));
+
+    return {
+        text: [header, '', ...lines, '━━━━━━━━━━━━━━', tally, consistency].filter(line => line !== null).join('\n'),
+        summary: `${summarizeSession(session)}；${tally}${consistency ? `；${consistency}` : ''}`
+    };
+}
+
+/**
+ * 產生活動的 AI 數據提示，以及先行回覆的逐趟達成表 (間歇日時) 與心率區間圖 (有登記心率時)
+ * @param {Object} page - fetchStravaActivity() 格式的活動資料 { title, description, activity } (跑錶檔案亦同)
+ * @param {Object} ctx - { sourceId, userId }
+ * @returns {Promise<{ systemContext: string, messages: Array }>}
+ */
+async function analyzeActivity(page, { sourceId, userId }) {
+    const stats = await extractStravaStats(null, page);
+    if (!stats) return { systemContext: '', messages: [] };
+
+    let systemContext = `${stats}\n\n【重要指令】：分析以上用戶傳來的運動數據，明確針對「他/該位跑者」進行數據分析（如距離、配速等）。請發揮史都華教練的專業、正向與同理心性格，給予有溫度且幽默的鼓勵與指導。絕對不要把這份數據當成是你自己的！`;
+    const compliance = checkIntervalCompliance(page.activity, sourceId, userId);
+    if (compliance?.text) {
+        console.log(`[間歇達成檢查] ${compliance.summary}`);
+        systemContext += `\n\n【間歇達成結果】${compliance.summary}\n【重要指令】：逐趟達成表已由系統另外回覆，請不要重新計算或列出任何數字表格，只需根據達成結果給予鼓勵與下次的建議。`;
+    }
+    const note = compliance?.text || compliance?.hint;
+    const messages = note ? [{ type: 'text', text: note }] : [];
+
+    const heartRate = analyzeHeartRate(page.activity, userId, page.title);
+    if (heartRate) {
+        console.log(`[心率區間] ${heartRate.summary}`);
+        systemContext += `\n\n【心率區間分析】${heartRate.summary}\n【重要指令】：心率區間圖已由系統另外回覆，請不要重新計算或列出區間數字，只需依區間分布與心率飄移判斷這次強度是否符合訓練目的 (例如輕鬆跑是否真的輕鬆)。`;
+        messages.push(heartRate.message);
+    }
+    return { systemContext, messages };
+}
+
+/**
+ * 解析分享的 Strava 活動：記錄到里程排行後，交給 analyzeActivity() 產生數據提示與先行回覆的訊息
+ * @param {string} url - Strava 分享連結
+ * @param {Object} ctx - { sourceId, userId, displayName }
+ * @returns {Promise<{ systemContext: string, messages: Array }>}
+ */
+async function analyzeStravaShare(url, { sourceId, userId, displayName }) {
+    const page = await fetchStravaActivity(url).catch(err => {
+        console.error('Strava 網址解析發生例外錯誤:', err.message);
+        return null;
+    });
+    if (!page) return { systemContext: '', messages: [] };
+    recordActivity(sourceId, { userId, displayName }, url, page);
+    return analyzeActivity(page, { sourceId, userId });
+}
+
+module.exports = {
+    analyzeActivity,
+    analyzeStravaShare
+};
@@ -0,0 +1,101 @@
+/**
+ * 台北時間工具模組
+ * 台灣固定為 UTC+8 且無日光節約時間，直接以位移換算，避免依賴伺服器所在時區
+ */
+const { MEAL_DEFAULT_TIMES } = require('./constants');
+
+const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+/**
+ * 取得某個時間點在台北時區的年月日時分與星期
+ * @param {Date} [date] - 預設為現在
+ * @returns {{ year, month, day, weekday, hour, minute }} month 從 1 開始，weekday 0 = 週日
+ */
+function getTaipeiParts(date = new Date()) {
+    const d = new Date(date.getTime() + TAIPEI_OFFSET_MS);
+    return {
+        year: d.getUTCFullYear(),
+        month: d.getUTCMonth() + 1,
+        day: d.getUTCDate(),
+        weekday: d.getUTCDay(),
+        hour: d.getUTCHours(),
+        minute: d.getUTCMinutes()
+    };
+}
+
+/**
+ * 以台北時間的年月日時分建立 Date (日期溢位會自動進位，例如 day = 32)
+ */
+function fromTaipeiParts(year, month, day, hour = 0, minute = 0) {
+    return new Date(Date.UTC(year, month - 1, day, hour, minute) - TAIPEI_OFFSET_MS);
+}
+
+/**
+ * 沒寫年份的「月/日」取最接近基準時間的那一年 (12 月底說「1/3」指隔年、1 月初說「12/28」指去年)
+ * @returns {number} 年份
+ */
+function nearestYear(month, day, ref = new Date()) {
+    const { year } = getTaipeiParts(ref);
+    return [year - 1, year, year + 1]
+        .map(y => ({ y, diff: Math.abs(fromTaipeiParts(y, month, day) - ref) }))
+        .sort((a, b) => a.diff - b.diff)[0].y;
+}
+
+/**
+ * 取得台北時間的 ISO 日期字串「2026-03-05」(可直接比較先後)
+ */
+function toDateKey(date = new Date()) {
+    const p = getTaipeiParts(date);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * 格式化為「3/5 (週四) 06:30」
+ */
+function formatTaipeiTime(date) {
+    const p = getTaipeiParts(date);
+    const hh = String(p.hour).padStart(2, '0');
+    const mm = String(p.minute).padStart(2, '0');
+    return `${p.month}/${p.day} (週${WEEKDAY_NAMES[p.weekday]}) ${hh}:${mm}`;
+}
+
+/**
+ * 將意圖萃取出的時間欄位換算成實際的目標時間
+ * 只說餐別時套用預設用餐時間 (例如早餐 07:00)；沒有指定日期且時間已過則視為隔天
+ * @param {Object} slot - intent.parseTimeSlot() 的結果 { dayOffset, weekday, meal, hour, minute }
+ * @param {Date} [now] - 基準時間
+ * @returns {Date|null} 沒有可用的時刻 (只說「明天」) 時回傳 null
+ */
+function resolveTargetTime(slot, now = new Date()) {
+    if (!slot) return null;
+    const hasClock = slot.hour !== null && slot.hour !== undefined;
+    if (!hasClock && !slot.meal) return null;
+
+    let [hour, minute] = hasClock ? [slot.hour, slot.minute || 0] : MEAL_DEFAULT_TIMES[slot.meal];
+    // 「晚餐 7 點」「宵夜 11 點」這類沒寫下午/晚上的說法
+    if (hasClock && (slot.meal === 'dinner' || slot.meal === 'late_night') && hour < 12) hour += 12;
+
+    const today = getTaipeiParts(now);
+    const at = (offset) => fromTaipeiParts(today.year, today.month, today.day + offset, hour, minute);
+
+    if (slot.dayOffset !== null && slot.dayOffset !== undefined) {
+        return at(slot.dayOffset);
+    }
+    if (slot.weekday !== null && slot.weekday !== undefined) {
+        let diff = (slot.weekday - today.weekday + 7) % 7;
+        if (diff === 0 && at(0) < now) diff = 7;
+        return at(diff);
+    }
+    return at(0) < now ? at(1) : at(0);
+}
+
+module.exports = {
+    WEEKDAY_NAMES,
+    getTaipeiParts,
+    fromTaipeiParts,
+    nearestYear,
+    toDateKey,
+    formatTaipeiTime,
+    resolveTargetTime
+};
@@ -0,0 +1,207 @@
+/**
+ * 群組揪吃投票模組
+ * 史都華在群組推薦餐廳時自動開啟投票，成員點卡片上的「我投這家」即可投票，
+ * 逾時或有人說「結算」時結束投票並公布結果。投票資料以 groupId / roomId 嚴格隔離。
+ */
+const crypto = require('crypto');
+const { VOTE_TIMEOUT_MS } = require('./constants');
+
+// 進行中的投票 (結構: Map<sourceId, { id, options, votes: Map<userId, { placeId, name }>, timer, client }>)
+const pollsBySource = new Map();
+
+/**
+ * 在群組內開啟一場新的投票 (同一群組若已有投票則直接取代)
+ * @param {string} sourceId - groupId 或 roomId
+ * @param {Array} places - 推薦的餐廳物件陣列
+ * @param {Object} client - LINE Messaging API Client (逾時公布結果用)
+ * @returns {string} 投票 ID，用於卡片 Postback 驗證
+ */
+function openPoll(sourceId, places, client) {
+    discardPoll(sourceId);
+
+    const poll = {
+        id: crypto.randomBytes(4).toString('hex'),
+        options: places.map(p => ({ placeId: p.placeId, name: p.name, mapUrl: p.mapUrl })),
+        votes: new Map(),
+        client
+    };
+
+    // 逾時自動結算並推播結果
+    poll.timer = setTimeout(() => {
+        const closed = closePoll(sourceId, poll.id);
+        if (!closed || closed.votes.size === 0) return;
+        client.pushMessage({ to: sourceId, messages: [buildPollResultMessage(closed, true)] })
+            .catch(err => console.error('投票結果推播失敗:', err?.originalError?.response?.data || err.message));
+    }, VOTE_TIMEOUT_MS);
+
+    pollsBySource.set(sourceId, poll);
+    console.log(`[投票] 來源 ${sourceId} 開啟投票 ${poll.id}，共 ${poll.options.length} 個選項`);
+    return poll.id;
+}
+
+/**
+ * 將「再推薦幾家」的新店家併入進行中的投票 (沒有進行中的投票則開新的一場)
+ * @returns {string} 投票 ID
+ */
+function extendPoll(sourceId, places, client) {
+    const poll = pollsBySource.get(sourceId);
+    if (!poll) return openPoll(sourceId, places, client);
+
+    for (const p of places) {
+        if (!poll.options.some(o => o.placeId === p.placeId)) {
+            poll.options.push({ placeId: p.placeId, name: p.name, mapUrl: p.mapUrl });
+        }
+    }
+    console.log(`[投票] 來源 ${sourceId} 的投票 ${poll.id} 新增選項，目前共 ${poll.options.length} 個`);
+    return poll.id;
+}
+
+function discardPoll(sourceId) {
+    const existing = pollsBySource.get(sourceId);
+    if (existing) clearTimeout(existing.timer);
+    pollsBySource.delete(sourceId);
+}
+
+/**
+ * 結束投票並回傳最終狀態 (若指定 pollId 則只在 ID 相符時才結束)
+ */
+function closePoll(sourceId, pollId) {
+    const poll = pollsBySource.get(sourceId);
+    if (!poll || (pollId && poll.id !== pollId)) return null;
+    discardPoll(sourceId);
+    return poll;
+}
+
+function hasOpenPoll(sourceId) {
+    return pollsBySource.has(sourceId);
+}
+
+/**
+ * 統計每個選項的票數 (依票數由高到低)
+ */
+function tallyVotes(poll) {
+    const tally = poll.options.map(o => ({ ...o, voters: [] }));
+    for (const vote of poll.votes.values()) {
+        const option = tally.find(o => o.placeId === vote.placeId);
+        if (option) option.voters.push(vote.name);
+    }
+    return tally.sort((a, b) => b.voters.length - a.voters.length);
+}
+
+/**
+ * 組裝投票結果的 Flex Bubble (含長條圖)
+ * @param {Object} poll - 投票資料
+ * @param {boolean} isFinal - 是否為最終結果
+ */
+function buildPollResultMessage(poll, isFinal) {
+    const tally = tallyVotes(poll);
+    const total = poll.votes.size;
+    const topCount = tally[0]?.voters.length || 0;
+
+    const rows = tally.map(o => {
+        const pct = total > 0 ? Math.round(o.voters.length / total * 100) : 0;
+        const isLeader = topCount > 0 && o.voters.length === topCount;
+        return {
+            type: 'box',
+            layout: 'vertical',
+            spacing: 'xs',
+            contents: [
+                {
+                    type: 'box',
+                    layout: 'horizontal',
+                    contents: [
+                        { type: 'text', text: `${isLeader && isFinal ? '🏆 ' : ''}${o.name}`, size: 'sm', weight: isLeader ? 'bold' : 'regular', wrap: true, flex: 5 },
+                        { type: 'text', text: `${o.voters.length} 票`, size: 'sm', align: 'end', flex: 1 }
+                    ]
+                },
+                {
+                    type: 'box',
+                    layout: 'horizontal',
+                    backgroundColor: '#EEEEEE',
+                    height: '6px',
+                    contents: [
+                        {
+                            type: 'box',
+                            layout: 'vertical',
+                            backgroundColor: isLeader ? '#03C755' : '#AAAAAA',
+                            width: `${Math.max(pct, 1)}%`,
+                            height: '6px',
+                            contents: []
+                        }
+                    ]
+                }
+            ]
+        };
+    });
+
+    const bubble = {
+        type: 'bubble',
+        header: {
+            type: 'box',
+            layout: 'vertical',
+            contents: [
+                { type: 'text', text: isFinal ? '🏆 揪吃投票結果' : '🗳️ 揪吃投票進行中', weight: 'bold', size: 'lg' },
+                { type: 'text', text: isFinal ? `共 ${total} 人投票` : `目前 ${total} 人投票・說「結算」即可結束`, size: 'xs', color: '#888888' }
+            ]
+        },
+        body: { type: 'box', layout: 'vertical', spacing: 'md', contents: rows }
+    };
+
+    if (isFinal && topCount > 0) {
+        bubble.footer = {
+            type: 'box',
+            layout: 'vertical',
+            contents: [{
+                type: 'button',
+                style: 'primary',
+                color: '#03C755',
+                action: { type: 'uri', label: `出發去 ${tally[0].name}`.slice(0, 20), uri: tally[0].mapUrl }
+            }]
+        };
+    }
+
+    return {
+        type: 'flex',
+        altText: isFinal ? `揪吃投票結果：${topCount > 0 ? tally[0].name : '沒有人投票'}` : '揪吃投票進行中',
+        contents: bubble
+    };
+}
+
+/**
+ * 處理「我投這家」Postback
+ * @param {Object} ctx - { sourceId, userId, displayName, sendMessage }
+ * @param {URLSearchParams} params - { poll, pid }
+ */
+function handleVotePostback(ctx, params) {
+    const poll = pollsBySource.get(ctx.sourceId);
+    // 投票 ID 不符代表是舊卡片或來自其他群組的卡片，一律不受理
+    if (!poll || poll.id !== params.get('poll') || !ctx.userId) {
+        return ctx.sendMessage({ type: 'text', text: '這場投票已經結束囉～想再揪一次就叫史都華重新推薦吧！🍌' });
+    }
+
+    const option = poll.options.find(o => o.placeId === params.get('pid'));
+    if (!option) return Promise.resolve(null);
+
+    // 每人一票，重投則改票
+    poll.votes.set(ctx.userId, { placeId: option.placeId, name: ctx.displayName });
+    return ctx.sendMessage(buildPollResultMessage(poll, false));
+}
+
+/**
+ * 處理「結算」指令
+ * @param {Object} ctx - { sourceId, sendMessage }
+ * @returns {Promise|null} 若此來源沒有進行中的投票則回傳 null
+ */
+function handleSettleCommand(ctx) {
+    if (!hasOpenPoll(ctx.sourceId)) return null;
+    const poll = closePoll(ctx.sourceId);
+    return ctx.sendMessage(buildPollResultMessage(poll, true));
+}
+
+module.exports = {
+    openPoll,
+    extendPoll,
+    hasOpenPoll,
+    handleVotePostback,
+    handleSettleCommand
+};